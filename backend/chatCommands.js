@@ -0,0 +1,133 @@
+// chatCommands.js
+//
+// Keywords a user can send at any point of the chat: HELP, STATUS, RESTART,
+// BACK, STOP and START. Words and replies come from the `commands` section of
+// the registration flow (see registrationFlow.js), so a campaign can rename
+// or translate them.
+import { renderTemplate } from "./conversationEngine.js";
+import { releaseReservations } from "./codeReservations.js";
+import { optIn, optOut } from "./optOuts.js";
+import { findFinishedRegistration, findRegistrationByPhone } from "./registrations.js";
+import sessionStore from "./sessionStore.js";
+import { sendText } from "./whatsapp.js";
+
+// `startRegistration(phone, { intro })` starts the registration over, by
+// default with `registration.start`
+export function createChatCommands(registration, { startRegistration = registration.start } = {}) {
+  const { flow } = registration;
+  const commands = flow.commands || {};
+
+  const wordToCommand = new Map();
+  for (const [name, command] of Object.entries(commands)) {
+    for (const word of command.words || []) {
+      wordToCommand.set(word.trim().toLowerCase(), name);
+    }
+  }
+
+  const orderedSteps = flow.fields.map((field) => Object.values(flow.steps).find((step) => step.field === field));
+
+  const describeSteps = () =>
+    orderedSteps.map((step, index) => `${index + 1}. Your ${step.label || step.field}`).join("\n");
+
+  const describeCommands = () =>
+    Object.values(commands)
+      .filter((command) => command.words?.length)
+      .map((command) => `• *${command.words[0].toUpperCase()}*: ${command.description || ""}`)
+      .join("\n");
+
+  // Drops the conversation and frees any code it was holding
+  async function reset(phone) {
+    await sessionStore.clear(phone);
+    await releaseReservations(phone);
+  }
+
+  const handlers = {
+    help: async (phone) => {
+      await sendText(phone, renderTemplate(commands.help.reply, {
+        steps: describeSteps(),
+        commands: describeCommands()
+      }));
+    },
+
+    status: async (phone, session) => {
+      const command = commands.status;
+      if (session.step === flow.completeStep) {
+        await sendText(phone, renderTemplate(command.processingReply, session));
+        return;
+      }
+
+      const step = flow.steps[session.step];
+      if (step?.review) {
+        await registration.sendReview(phone, session);
+        return;
+      }
+      if (step) {
+        await sendText(phone, renderTemplate(command.reply, {
+          ...session,
+          stepNumber: orderedSteps.indexOf(step) + 1,
+          stepCount: orderedSteps.length,
+          label: step.label || step.field,
+          prompt: step.prompt
+        }));
+        return;
+      }
+
+      const existingRegistration = await findRegistrationByPhone(phone);
+      await sendText(phone, existingRegistration
+        ? renderTemplate(command.registeredReply, existingRegistration)
+        : renderTemplate(command.idleReply, session));
+    },
+
+    restart: async (phone) => {
+      await reset(phone);
+      const finishedRegistration = await findFinishedRegistration(phone);
+      if (finishedRegistration) {
+        await sendText(phone, renderTemplate(commands.status.registeredReply, finishedRegistration));
+        return;
+      }
+      await startRegistration(phone, { intro: commands.restart.reply });
+    },
+
+    back: async (phone, session) => {
+      const command = commands.back;
+      if (!registration.isActive(session) || session.step === flow.completeStep) {
+        await sendText(phone, renderTemplate(command.idleReply, session));
+        return;
+      }
+      const movedBack = await registration.back(phone, session, { intro: renderTemplate(command.reply, session) });
+      if (!movedBack) {
+        await sendText(phone, renderTemplate(command.firstStepReply, {
+          ...session,
+          prompt: flow.steps[session.step].prompt
+        }));
+      }
+    },
+
+    stop: async (phone) => {
+      // Confirm first, afterwards the number no longer gets messages
+      await sendText(phone, renderTemplate(commands.stop.reply), { context: "opt_out" });
+      await optOut(phone, "chat");
+      await reset(phone);
+    },
+
+    start: async (phone) => {
+      await optIn(phone);
+      await sendText(phone, renderTemplate(commands.start.reply), { context: "opt_in" });
+    },
+  };
+
+  /**
+   * Returns the command name the message text is a keyword for, or null.
+   */
+  function match(text) {
+    const name = wordToCommand.get((text || "").trim().toLowerCase());
+    return name && handlers[name] ? name : null;
+  }
+
+  async function run(name, phone, session) {
+    console.log(`⌨️ Command ${name.toUpperCase()} from ${phone}`);
+    await handlers[name](phone, session);
+  }
+
+  return { match, run };
+}
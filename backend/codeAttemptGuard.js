@@ -0,0 +1,161 @@
+// codeAttemptGuard.js
+//
+// Limits scratch code guessing. Failed ASK_CODE attempts are counted per phone;
+// after CODE_ATTEMPTS_MAX_FAILURES within an hour the phone is locked out, and
+// every further lockout within a day lasts four times longer than the last
+// (5 min, 20 min, 80 min, ... capped at 24 h). Attempts are also counted
+// globally per minute. When invalid codes spike an alert fires, and while the
+// spike lasts a phone is locked out after CODE_ATTEMPTS_SPIKE_MAX_FAILURES.
+// Code entry is never locked for everyone: one attacker could then keep every
+// real participant from registering.
+import axios from "axios";
+import dotenv from "dotenv";
+import redisClient from "./redisClient.js";
+dotenv.config();
+
+const MAX_FAILURES = parseInt(process.env.CODE_ATTEMPTS_MAX_FAILURES || "5", 10);
+const SPIKE_MAX_FAILURES = parseInt(process.env.CODE_ATTEMPTS_SPIKE_MAX_FAILURES || "2", 10);
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+const BASE_LOCKOUT_SECONDS = parseInt(process.env.CODE_LOCKOUT_BASE_SECONDS || "300", 10);
+const MAX_LOCKOUT_SECONDS = 24 * 60 * 60;
+const LOCKOUT_LEVEL_TTL_SECONDS = 24 * 60 * 60;
+const ALERT_INVALID_PER_MINUTE = parseInt(process.env.CODE_ALERT_INVALID_PER_MINUTE || "50", 10);
+const ALERT_WEBHOOK_URL = process.env.CODE_ALERT_WEBHOOK_URL;
+
+const failuresKey = (phone) => `codeguard:fails:${phone}`;
+const lockKey = (phone) => `codeguard:lock:${phone}`;
+const levelKey = (phone) => `codeguard:level:${phone}`;
+const minuteKey = (kind, minute) => `codeguard:global:${kind}:${minute}`;
+const BLOCKED_KEY = "codeguard:blocked";
+const STATS_KEY = "codeguard:stats";
+
+const currentMinute = () => Math.floor(Date.now() / 60000);
+
+export const lockoutSeconds = (level) =>
+  Math.min(BASE_LOCKOUT_SECONDS * 4 ** (level - 1), MAX_LOCKOUT_SECONDS);
+
+export const formatCooldown = (seconds) =>
+  seconds >= 3600
+    ? `${Math.ceil(seconds / 3600)} hour(s)`
+    : `${Math.max(1, Math.ceil(seconds / 60))} minute(s)`;
+
+async function countGlobal(kind) {
+  const key = minuteKey(kind, currentMinute());
+  const count = await redisClient.incr(key);
+  if (count === 1) {
+    await redisClient.expire(key, 120);
+  }
+  return count;
+}
+
+/**
+ * Returns `{ locked: true, retryAfterSeconds }` while the phone is locked out.
+ */
+export async function getLockout(phone) {
+  const ttl = await redisClient.ttl(lockKey(phone));
+  return ttl > 0 ? { locked: true, retryAfterSeconds: ttl } : { locked: false, retryAfterSeconds: 0 };
+}
+
+export async function recordSuccessfulAttempt(phone) {
+  await countGlobal("attempts");
+  await redisClient.del(failuresKey(phone));
+}
+
+/**
+ * Counts a failed attempt. Returns the new lockout when this attempt
+ * triggered one, otherwise `{ locked: false, remaining }`.
+ */
+export async function recordFailedAttempt(phone) {
+  await countGlobal("attempts");
+  const invalidThisMinute = await countGlobal("invalid");
+  await redisClient.hIncrBy(STATS_KEY, "failedAttempts", 1);
+
+  if (invalidThisMinute === ALERT_INVALID_PER_MINUTE) {
+    await raiseAlert({
+      type: "invalid_code_spike",
+      invalidAttemptsLastMinute: invalidThisMinute,
+      threshold: ALERT_INVALID_PER_MINUTE,
+    });
+  }
+
+  const maxFailures = invalidThisMinute >= ALERT_INVALID_PER_MINUTE ? SPIKE_MAX_FAILURES : MAX_FAILURES;
+  const failures = await redisClient.incr(failuresKey(phone));
+  if (failures === 1) {
+    await redisClient.expire(failuresKey(phone), FAILURE_WINDOW_SECONDS);
+  }
+  if (failures < maxFailures) {
+    return { locked: false, remaining: maxFailures - failures };
+  }
+
+  const level = await redisClient.incr(levelKey(phone));
+  await redisClient.expire(levelKey(phone), LOCKOUT_LEVEL_TTL_SECONDS);
+  const seconds = lockoutSeconds(level);
+
+  await redisClient.set(lockKey(phone), String(level), { expiration: { type: "EX", value: seconds } });
+  await redisClient.zAdd(BLOCKED_KEY, { score: Date.now() + seconds * 1000, value: phone });
+  await redisClient.del(failuresKey(phone));
+  await redisClient.hIncrBy(STATS_KEY, "lockouts", 1);
+
+  console.warn(`🚫 ${phone} locked out of code entry for ${seconds}s (level ${level})`);
+  return { locked: true, retryAfterSeconds: seconds, level };
+}
+
+export async function clearLockout(phone) {
+  await redisClient.del([lockKey(phone), failuresKey(phone), levelKey(phone)]);
+  return (await redisClient.zRem(BLOCKED_KEY, phone)) > 0;
+}
+
+// Phones locked out of code entry right now
+export async function lockedOutPhones() {
+  await redisClient.zRemRangeByScore(BLOCKED_KEY, 0, Date.now());
+  return redisClient.zRange(BLOCKED_KEY, 0, -1);
+}
+
+async function raiseAlert(alert) {
+  const payload = { ...alert, at: new Date().toISOString() };
+  console.warn("🚨 Code entry alert:", payload);
+  await redisClient.hIncrBy(STATS_KEY, "alerts", 1);
+
+  if (!ALERT_WEBHOOK_URL) {
+    return;
+  }
+  try {
+    await axios.post(ALERT_WEBHOOK_URL, payload, { timeout: 5000 });
+  } catch (error) {
+    console.error("Failed to deliver code entry alert:", error.message);
+  }
+}
+
+export async function getCodeAttemptStats() {
+  const now = Date.now();
+  await redisClient.zRemRangeByScore(BLOCKED_KEY, 0, now);
+
+  const minute = currentMinute();
+  const [blocked, totals, attempts, invalid] = await Promise.all([
+    redisClient.zRangeWithScores(BLOCKED_KEY, 0, -1),
+    redisClient.hGetAll(STATS_KEY),
+    redisClient.get(minuteKey("attempts", minute)),
+    redisClient.get(minuteKey("invalid", minute)),
+  ]);
+
+  const levels = await Promise.all(blocked.map(({ value }) => redisClient.get(lockKey(value))));
+
+  return {
+    blocked: blocked.map(({ value, score }, index) => ({
+      phone: value,
+      lockedUntil: new Date(score).toISOString(),
+      level: parseInt(levels[index] || "1", 10),
+    })),
+    stats: {
+      failedAttempts: parseInt(totals.failedAttempts || "0", 10),
+      lockouts: parseInt(totals.lockouts || "0", 10),
+      alerts: parseInt(totals.alerts || "0", 10),
+      attemptsThisMinute: parseInt(attempts || "0", 10),
+      invalidThisMinute: parseInt(invalid || "0", 10),
+      maxFailures: MAX_FAILURES,
+      spikeMaxFailures: SPIKE_MAX_FAILURES,
+      spikeActive: parseInt(invalid || "0", 10) >= ALERT_INVALID_PER_MINUTE,
+      alertThresholdPerMinute: ALERT_INVALID_PER_MINUTE,
+    },
+  };
+}
@@ -0,0 +1,144 @@
+// codeBatches.js
+//
+// Scratch codes generated here in named print batches, instead of being made
+// elsewhere and imported. Codes are 6 characters from an alphabet without the
+// look-alikes O/0 and I/1, drawn with crypto.randomInt, and checked against
+// every existing code before they're inserted. Each code gets a printable
+// serial (`code_id`) made of its batch id and position, e.g. B0007-000042.
+import crypto from "crypto";
+import pool from "./db.js";
+
+export const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export const CODE_LENGTH = 6;
+export const MAX_BATCH_QUANTITY = 100000;
+
+// Codes generated and inserted per query
+const CHUNK_SIZE = 1000;
+
+export function generateCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+export const serialFor = (batchId, position) =>
+  `B${String(batchId).padStart(4, "0")}-${String(position).padStart(6, "0")}`;
+
+/**
+ * Creates a batch and its codes in one transaction. `codes` is locked against
+ * other writers meanwhile, so a code can't be inserted twice by two batches
+ * being generated at once. Returns the batch row.
+ */
+export async function generateBatch({
+  name,
+  quantity,
+  contestId = null,
+  product = null,
+  vendor = null,
+  region = null,
+  validFrom = null,
+  validUntil = null
+}) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("LOCK TABLE codes IN SHARE ROW EXCLUSIVE MODE");
+
+    const batch = (await client.query(
+      `INSERT INTO code_batches (name, contest_id, quantity, product, vendor, region)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [name.trim(), contestId, quantity, product || null, vendor || null, region || null]
+    )).rows[0];
+
+    let inserted = 0;
+    while (inserted < quantity) {
+      const candidates = new Set();
+      while (candidates.size < Math.min(CHUNK_SIZE, quantity - inserted)) {
+        candidates.add(generateCode());
+      }
+
+      const taken = await client.query("SELECT code FROM codes WHERE code = ANY($1)", [[...candidates]]);
+      for (const row of taken.rows) {
+        candidates.delete(row.code);
+      }
+
+      const codes = [...candidates];
+      const serials = codes.map((_, index) => serialFor(batch.id, inserted + index + 1));
+      await client.query(
+        `INSERT INTO codes (code, code_id, status, contest_id, batch_id, valid_from, valid_until)
+         SELECT code, code_id, 'active', $3, $4, $5, $6
+         FROM unnest($1::text[], $2::text[]) AS generated (code, code_id)`,
+        [codes, serials, contestId, batch.id, validFrom, validUntil]
+      );
+      inserted += codes.length;
+    }
+
+    await client.query("COMMIT");
+    console.log(`🎟️ Generated ${quantity} codes in batch "${batch.name}" (${batch.id})`);
+    return batch;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Batches with their redeemed count and redemption rate (0-1)
+export async function listBatches({ contestId = null } = {}) {
+  const result = await pool.query(
+    `SELECT b.*, contests.name AS contest,
+            COUNT(codes.code) FILTER (WHERE codes.status = 'redeemed') AS redeemed,
+            COUNT(codes.code) FILTER (WHERE codes.status = 'voided') AS voided,
+            COUNT(codes.code) FILTER (WHERE codes.status = 'expired') AS expired
+     FROM code_batches b
+     LEFT JOIN contests ON contests.id = b.contest_id
+     LEFT JOIN codes ON codes.batch_id = b.id
+     WHERE ($1::int IS NULL OR b.contest_id = $1)
+     GROUP BY b.id, contests.name
+     ORDER BY b.created_at DESC`,
+    [contestId]
+  );
+  return result.rows.map((row) => {
+    const redeemed = parseInt(row.redeemed, 10);
+    return {
+      ...row,
+      redeemed,
+      voided: parseInt(row.voided, 10),
+      expired: parseInt(row.expired, 10),
+      redemptionRate: row.quantity > 0 ? redeemed / row.quantity : 0,
+    };
+  });
+}
+
+// Null for an unknown or malformed id, e.g. a route's `:id`
+export async function getBatch(id) {
+  if (!Number.isInteger(id)) {
+    return null;
+  }
+  const result = await pool.query("SELECT * FROM code_batches WHERE id = $1", [id]);
+  return result.rows[0] || null;
+}
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The batch's codes as a CSV for the print vendor, one card per row
+export async function exportBatchCsv(batch) {
+  const result = await pool.query(
+    "SELECT code_id, code FROM codes WHERE batch_id = $1 ORDER BY code_id",
+    [batch.id]
+  );
+  const lines = [
+    "serial,code,batch,product,region",
+    ...result.rows.map((row) =>
+      [row.code_id, row.code, batch.name, batch.product, batch.region].map(csvField).join(",")
+    ),
+  ];
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,112 @@
+// codeLifecycle.js
+//
+// Scratch code states and their history:
+//
+//   active → reserved (codeReservations.js) → redeemed (registrations.js)
+//   active / reserved → voided    (an admin voided the code or its batch)
+//   active            → expired   (past valid_until, by the expiry sweep)
+//
+// A code can also carry valid_from / valid_until dates; it can only be
+// reserved between them. Every status change is written to
+// code_status_history by a trigger (migrations/011_code_lifecycle.sql).
+// Statements that change a status set `changed_by` (a phone number, "admin",
+// or the sweep's name) and optionally `change_reason` in the same UPDATE; the
+// trigger records them and clears them again, so a statement that doesn't set
+// them is recorded as "system".
+import pool from "./db.js";
+
+export const CODE_STATUSES = ["active", "reserved", "redeemed", "voided", "expired"];
+
+/**
+ * Why `code` can't be reserved, once the reservation failed: "expired",
+ * "not_yet_valid", "voided", "held_by_other" or "unavailable" (unknown or
+ * already redeemed).
+ */
+export async function unavailableReason(code) {
+  const result = await pool.query(
+    `SELECT status,
+            valid_until < NOW() AS past_validity,
+            valid_from > NOW() AS before_validity
+     FROM codes
+     WHERE code = $1`,
+    [code]
+  );
+  const row = result.rows[0];
+  if (!row || row.status === "redeemed") {
+    return "unavailable";
+  }
+  if (row.status === "voided") {
+    return "voided";
+  }
+  if (row.status === "expired" || row.past_validity) {
+    return "expired";
+  }
+  if (row.before_validity) {
+    return "not_yet_valid";
+  }
+  return row.status === "reserved" ? "held_by_other" : "unavailable";
+}
+
+// Voids unredeemed codes, by code or by batch. Returns the codes voided.
+export async function voidCodes({ codes = null, batchId = null, changedBy = "admin", reason = null }) {
+  const result = await pool.query(
+    `UPDATE codes
+     SET status = 'voided', reserved_by = NULL, reserved_until = NULL,
+         changed_by = $3, change_reason = $4
+     WHERE status IN ('active', 'reserved', 'expired')
+       AND (code = ANY($1::text[]) OR batch_id = $2)
+     RETURNING code`,
+    [codes, batchId, changedBy, reason]
+  );
+  console.log(`🚫 ${changedBy} voided ${result.rows.length} code(s)${reason ? `: ${reason}` : ""}`);
+  return result.rows.map((row) => row.code);
+}
+
+// Sets the validity dates of the given codes or batch; null clears a date.
+// Expired codes the new dates cover become active again.
+export async function setValidity({ codes = null, batchId = null, validFrom = null, validUntil = null, changedBy = "admin" }) {
+  const result = await pool.query(
+    `UPDATE codes
+     SET valid_from = $3, valid_until = $4,
+         status = CASE
+           WHEN status = 'expired' AND ($4::timestamptz IS NULL OR $4::timestamptz >= NOW()) THEN 'active'
+           ELSE status
+         END,
+         changed_by = $5, change_reason = 'validity dates changed'
+     WHERE code = ANY($1::text[]) OR batch_id = $2`,
+    [codes, batchId, validFrom, validUntil, changedBy]
+  );
+  return result.rowCount;
+}
+
+export async function getCodeHistory(code) {
+  const result = await pool.query(
+    `SELECT from_status, to_status, changed_by, reason, changed_at
+     FROM code_status_history
+     WHERE code = $1
+     ORDER BY changed_at ASC, id ASC`,
+    [code]
+  );
+  return result.rows;
+}
+
+export async function expireCodes() {
+  const result = await pool.query(
+    `UPDATE codes
+     SET status = 'expired', changed_by = 'expiry sweep', change_reason = 'past valid_until'
+     WHERE status = 'active' AND valid_until < NOW()
+     RETURNING code`
+  );
+  if (result.rows.length > 0) {
+    console.log(`⌛ Expired ${result.rows.length} code(s) past their valid-until date`);
+  }
+  return result.rows.length;
+}
+
+export function startExpirySweeper(intervalMs = 5 * 60 * 1000) {
+  const timer = setInterval(() => {
+    expireCodes().catch((error) => console.error("Failed to expire codes:", error.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
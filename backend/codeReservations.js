@@ -0,0 +1,102 @@
+// codeReservations.js
+//
+// A scratch code is reserved for a phone as soon as it passes ASK_CODE, so two
+// people can't both validate the same code and only find out at the end. The
+// hold lasts as long as the conversation session and is refreshed on every
+// step; expired holds are released back to `active` by a periodic sweep.
+//
+// Code status: active → reserved (held by reserved_by until reserved_until)
+//                     → redeemed (at completion)
+// See codeLifecycle.js for the other states and the status history.
+import pool from "./db.js";
+import { SESSION_TTL_SECONDS } from "./sessionStore.js";
+import { unavailableReason } from "./codeLifecycle.js";
+
+export const RESERVATION_HOLD_SECONDS = SESSION_TTL_SECONDS;
+
+/**
+ * Reserves `code` for `phone`, or extends the phone's existing hold.
+ * Any other code the phone was holding is released.
+ *
+ * Returns `{ reserved: true, expiresAt }` or `{ reserved: false, reason }`
+ * with a reason from unavailableReason().
+ */
+export async function reserveCode(code, phone) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `UPDATE codes
+       SET status = 'reserved',
+           reserved_by = $2,
+           reserved_until = NOW() + make_interval(secs => $3),
+           changed_by = $2
+       WHERE code = $1
+         AND ((status = 'reserved' AND reserved_by = $2)
+              -- A new hold needs the code to be within its validity dates
+              OR ((status = 'active' OR (status = 'reserved' AND reserved_until < NOW()))
+                  AND (valid_from IS NULL OR valid_from <= NOW())
+                  AND (valid_until IS NULL OR valid_until >= NOW())))
+       RETURNING reserved_until`,
+      [code, phone, RESERVATION_HOLD_SECONDS]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return { reserved: false, reason: await unavailableReason(code) };
+    }
+
+    await client.query(
+      `UPDATE codes
+       SET status = 'active', reserved_by = NULL, reserved_until = NULL,
+           changed_by = $1, change_reason = 'entered another code'
+       WHERE reserved_by = $1 AND status = 'reserved' AND code <> $2`,
+      [phone, code]
+    );
+
+    await client.query("COMMIT");
+    return { reserved: true, expiresAt: result.rows[0].reserved_until };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export async function releaseReservations(phone) {
+  const result = await pool.query(
+    `UPDATE codes
+     SET status = 'active', reserved_by = NULL, reserved_until = NULL,
+         changed_by = $1, change_reason = 'registration restarted'
+     WHERE reserved_by = $1 AND status = 'reserved'
+     RETURNING code`,
+    [phone]
+  );
+  return result.rows.map((row) => row.code);
+}
+
+export async function releaseExpiredReservations() {
+  const result = await pool.query(
+    `UPDATE codes
+     SET status = 'active', reserved_by = NULL, reserved_until = NULL,
+         changed_by = 'reservation sweep', change_reason = 'hold expired'
+     WHERE status = 'reserved' AND reserved_until < NOW()
+     RETURNING code, reserved_by`
+  );
+  if (result.rows.length > 0) {
+    console.log(`🔓 Released ${result.rows.length} expired code reservation(s)`);
+  }
+  return result.rows.length;
+}
+
+export function startReservationSweeper(intervalMs = 60 * 1000) {
+  const timer = setInterval(() => {
+    releaseExpiredReservations().catch((error) =>
+      console.error("Failed to release expired code reservations:", error.message)
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
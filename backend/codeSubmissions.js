@@ -0,0 +1,63 @@
+// codeSubmissions.js
+//
+// Photos of scratch cards sent at ASK_CODE instead of a typed code. The image
+// is downloaded from WhatsApp and kept under uploads/code-photos, and an admin
+// reads the code off it in the dashboard review queue.
+import path from "path";
+import { fileURLToPath } from "url";
+import pool from "./db.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CODE_PHOTOS_DIR = path.join(__dirname, "uploads", "code-photos");
+
+export async function createSubmission({ phone, mediaId, filePath, mimeType, caption }) {
+  const result = await pool.query(
+    `INSERT INTO code_submissions (phone_number, wa_media_id, file_path, mime_type, caption)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (wa_media_id) DO UPDATE SET file_path = EXCLUDED.file_path
+     RETURNING *`,
+    [phone, mediaId, filePath, mimeType, caption || null]
+  );
+  return result.rows[0];
+}
+
+export async function listSubmissions({ status = "pending", limit = 100 } = {}) {
+  const result = await pool.query(
+    `SELECT id, phone_number, mime_type, caption, status, code, review_note, created_at, reviewed_at
+     FROM code_submissions
+     WHERE status = $1
+     ORDER BY created_at ASC
+     LIMIT $2`,
+    [status, Math.min(parseInt(limit, 10) || 100, 500)]
+  );
+  return result.rows;
+}
+
+// Null for an unknown or malformed id
+export async function getSubmission(id) {
+  if (!Number.isInteger(id)) {
+    return null;
+  }
+  const result = await pool.query("SELECT * FROM code_submissions WHERE id = $1", [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Moves a pending submission to "approved" or "rejected". Returns the updated
+ * row, or null if it was already reviewed or the id is unknown or malformed.
+ */
+export async function markReviewed(id, { status, code = null, note = null }) {
+  if (!Number.isInteger(id)) {
+    return null;
+  }
+  const result = await pool.query(
+    `UPDATE code_submissions
+     SET status = $2, code = $3, review_note = $4, reviewed_at = NOW()
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [id, status, code, note]
+  );
+  return result.rows[0] || null;
+}
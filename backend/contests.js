@@ -0,0 +1,129 @@
+// contests.js
+//
+// Contests (campaigns) that scratch codes belong to. A registration (an
+// entry) belongs to the contest of its code, and a participant can enter a
+// contest with up to `max_entries` codes. When a code is entered the bot
+// looks up its contest, turns it away if the contest isn't running or the
+// participant has used their entries, and words the messages after that with
+// the contest's name, brand and `copy`.
+//
+// `copy` overrides registration flow messages for the contest (e.g.
+// `completionCaption`), plus `winnerMessage` for the winner's WhatsApp text.
+// They can use {{contest}} and {{brand}}.
+import pool from "./db.js";
+
+// `?contest=<id>` on the dashboard API; null means all contests
+export function parseContestId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Contests with their code, registration and winner counts
+export async function listContests() {
+  const result = await pool.query(
+    `SELECT c.*,
+            (SELECT COUNT(*) FROM codes WHERE codes.contest_id = c.id) AS codes,
+            COUNT(r.id) AS registrations,
+            COUNT(r.id) FILTER (WHERE r.is_winner) AS winners
+     FROM contests c
+     LEFT JOIN registrations r ON r.contest_id = c.id
+     GROUP BY c.id
+     ORDER BY c.created_at ASC`
+  );
+  return result.rows.map((row) => ({
+    ...row,
+    codes: parseInt(row.codes, 10),
+    registrations: parseInt(row.registrations, 10),
+    winners: parseInt(row.winners, 10),
+  }));
+}
+
+export async function getContest(id) {
+  const result = await pool.query("SELECT * FROM contests WHERE id = $1", [id]);
+  return result.rows[0] || null;
+}
+
+const CONTEST_FIELDS = ["name", "brand", "starts_at", "ends_at", "active", "copy", "max_entries"];
+
+export async function createContest(fields) {
+  if (!fields.name?.trim()) {
+    throw new Error("Contest name is required");
+  }
+  const result = await pool.query(
+    `INSERT INTO contests (name, brand, starts_at, ends_at, active, copy, max_entries)
+     VALUES ($1, $2, $3, $4, COALESCE($5::boolean, true), COALESCE($6::jsonb, '{}'::jsonb), $7)
+     RETURNING *`,
+    [fields.name.trim(), fields.brand || null, fields.starts_at || null, fields.ends_at || null, fields.active ?? null, fields.copy ? JSON.stringify(fields.copy) : null, fields.max_entries || null]
+  );
+  return result.rows[0];
+}
+
+// Updates the given fields only. Returns the contest, or null if unknown.
+export async function updateContest(id, fields) {
+  const columns = CONTEST_FIELDS.filter((field) => fields[field] !== undefined);
+  if (columns.length === 0) {
+    return getContest(id);
+  }
+  const result = await pool.query(
+    `UPDATE contests
+     SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(", ")}
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...columns.map((column) => (column === "copy" ? JSON.stringify(fields.copy) : fields[column] === "" ? null : fields[column]))]
+  );
+  return result.rows[0] || null;
+}
+
+export async function findContestForCode(code) {
+  const result = await pool.query(
+    `SELECT c.*
+     FROM codes
+     JOIN contests c ON c.id = codes.contest_id
+     WHERE codes.code = $1`,
+    [code]
+  );
+  return result.rows[0] || null;
+}
+
+// "open", "inactive", "not_started" or "ended"
+export function contestState(contest, now = new Date()) {
+  if (!contest.active) {
+    return "inactive";
+  }
+  if (contest.starts_at && new Date(contest.starts_at) > now) {
+    return "not_started";
+  }
+  if (contest.ends_at && new Date(contest.ends_at) < now) {
+    return "ended";
+  }
+  return "open";
+}
+
+// Open contests `phone` can still enter, i.e. without an entry cap or with
+// fewer entries than it
+export async function openContestsFor(phone) {
+  const result = await pool.query(
+    `SELECT c.*
+     FROM contests c
+     WHERE c.active
+       AND (c.starts_at IS NULL OR c.starts_at <= NOW())
+       AND (c.ends_at IS NULL OR c.ends_at >= NOW())
+       AND (c.max_entries IS NULL OR c.max_entries > (
+         SELECT COUNT(*)
+         FROM registrations
+         JOIN participants ON participants.id = registrations.participant_id
+         WHERE registrations.contest_id = c.id AND participants.phone_number = $1
+       ))`,
+    [phone]
+  );
+  return result.rows;
+}
+
+// Registration flow messages with the contest's copy applied, and the values
+// its templates can use
+export function contestMessages(messages, contest) {
+  return {
+    messages: { ...messages, ...(contest?.copy || {}) },
+    values: { contest: contest?.name || "the contest", brand: contest?.brand || "" },
+  };
+}
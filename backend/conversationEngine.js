@@ -0,0 +1,372 @@
+/*
+ * Data-driven conversation engine for the WhatsApp bot.
+ *
+ * A flow is a plain object describing the steps of a conversation:
+ *
+ *   {
+ *     firstStep: "ASK_CODE",
+ *     completeStep: "FINAL_REGISTRATION",
+ *     steps: {
+ *       ASK_CODE: {
+ *         name: "ASK_CODE",
+ *         field: "code",              // session field the validated value is stored in
+ *         prompt: "Please enter ...", // sent when the step becomes current
+ *         validator: "code",          // key into the `validators` registry
+ *         checks: ["reserveCode"],    // keys into the `checks` registry, run in order
+ *         successMessage: "...",      // optional, otherwise the validator's message is used
+ *         errorMessage: "...",        // sent when the step throws
+ *         next: "ASK_NAME",           // next step name, or `completeStep`
+ *       },
+ *     },
+ *     reviewStep: "CONFIRM_DETAILS", // optional, see below
+ *     guards: ["codeReservation"],   // keys into `guards`, run before every step
+ *     onComplete: ["queueRegistration"],
+ *     messages: { intro, completionFailed, completionError },
+ *   }
+ *
+ * A check or guard that fails returns `{ ok: false, message, goTo }`; with
+ * `goTo` the conversation is sent back to that step.
+ *
+ * A review step (`review: true`, with `editable` field names) sums up the
+ * answers and offers Confirm or "Edit <field>" choices through `sendChoices`;
+ * an edited field returns to the review instead of moving on. Choice ids are
+ * "confirm" and "edit:<field>".
+ *
+ * `suggest()` offers a value for the current step (e.g. a city resolved from a
+ * shared location) with "suggestion:accept" / "suggestion:decline" choices;
+ * typing an answer instead works as usual.
+ *
+ * `start(phone, { prefill })` begins with some answers already known (e.g. the
+ * details of a returning participant): steps whose field was prefilled are
+ * skipped, and so is the review.
+ *
+ * `onReject({ phone, step, session, result })` is called whenever an answer is
+ * rejected by its validator or a check, and may return a replacement result.
+ *
+ * Validators, checks, guards and completion actions are referenced by name so a flow
+ * can be loaded from JSON; their implementations are passed in by the caller.
+ * Message strings may contain `{{field}}` placeholders filled from the session.
+ */
+
+export const renderTemplate = (template, data = {}) =>
+  (template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => data[key] ?? "");
+
+export function createConversationEngine({
+  flow,
+  validators,
+  checks = {},
+  guards = {},
+  actions = {},
+  onReject,
+  send,
+  sendChoices,
+  store,
+}) {
+  const builtInActions = {
+    // Lets a flow decide where in its completion actions the session is dropped
+    clearSession: ({ phone }) => store.clear(phone),
+  };
+
+  const lookup = (registry, name, kind) => {
+    const fn = registry[name];
+    if (!fn) {
+      throw new Error(`Unknown ${kind} "${name}" in registration flow`);
+    }
+    return fn;
+  };
+
+  const isActive = (session) =>
+    Boolean(session?.step) &&
+    (session.step === flow.completeStep || Boolean(flow.steps[session.step]));
+
+  // Sends the failure message and, if asked, moves the session back to a step
+  async function reject(phone, result) {
+    const target = result.goTo ? flow.steps[result.goTo] : null;
+    await send(phone, [result.message, target?.prompt].filter(Boolean).join("\n\n"));
+    if (target) {
+      await store.update(phone, { step: target.name });
+    }
+  }
+
+  async function rejectAnswer(phone, step, session, result) {
+    const override = onReject ? await onReject({ phone, step, session, result }) : null;
+    await reject(phone, override || result);
+  }
+
+  const prefilledFields = (session) => (session?.prefilled ? session.prefilled.split(",") : []);
+
+  // The step after `name` once the prefilled steps and review are skipped
+  function nextStepName(name, session) {
+    const prefilled = prefilledFields(session);
+    let next = name;
+    while (prefilled.length > 0 && next !== flow.completeStep) {
+      const step = flow.steps[next];
+      if (!step || (!step.review && !prefilled.includes(step.field))) {
+        break;
+      }
+      next = step.next;
+    }
+    return next;
+  }
+
+  const labelFor = (field) => {
+    const step = Object.values(flow.steps).find((s) => s.field === field);
+    return step?.label || field;
+  };
+
+  const summarize = (session) =>
+    flow.fields
+      .map((field) => {
+        const label = labelFor(field);
+        return `• ${label.charAt(0).toUpperCase()}${label.slice(1)}: ${session[field] ?? ""}`;
+      })
+      .join("\n");
+
+  const reviewChoices = (step) => [
+    { id: "confirm", title: flow.messages?.confirmButton || "Confirm" },
+    ...step.editable.map((field) => ({
+      id: `edit:${field}`,
+      title: renderTemplate(flow.messages?.editButton || "Edit {{label}}", { label: labelFor(field) }),
+    })),
+  ];
+
+  async function sendReview(phone, session, { intro } = {}) {
+    const step = flow.steps[flow.reviewStep];
+    const body = [intro, renderTemplate(flow.messages?.review, { ...session, summary: summarize(session) })]
+      .filter(Boolean)
+      .join("\n\n");
+    const choices = reviewChoices(step);
+
+    if (sendChoices) {
+      await sendChoices(phone, body, choices, { listButton: flow.messages?.reviewListButton });
+    } else {
+      await send(phone, [body, choices.map((choice) => `• ${choice.title}`).join("\n")].join("\n\n"));
+    }
+  }
+
+  // Accepts the choice id from a tapped button, or enough of its title typed
+  // out to pick exactly one choice (e.g. "confirm" or "edit email")
+  function matchChoice(step, input) {
+    const normalized = (input || "").trim().toLowerCase();
+    const choices = reviewChoices(step);
+    const byId = choices.find((choice) => choice.id === normalized);
+    if (byId || normalized.length < 3) {
+      return byId;
+    }
+    const byTitle = choices.filter((choice) => choice.title.toLowerCase().includes(normalized));
+    return byTitle.length === 1 ? byTitle[0] : undefined;
+  }
+
+  async function handleReview(phone, input, session, step) {
+    const choice = matchChoice(step, input);
+
+    if (choice?.id === "confirm") {
+      await store.update(phone, { step: flow.completeStep });
+      await complete(phone, session);
+      return;
+    }
+
+    if (choice) {
+      const field = choice.id.slice("edit:".length);
+      const target = Object.values(flow.steps).find((s) => s.field === field);
+      await send(phone, target.prompt);
+      await store.update(phone, { step: target.name, editing: "true" });
+      return;
+    }
+
+    await sendReview(phone, session, { intro: flow.messages?.reviewChoose });
+  }
+
+  async function start(phone, { intro = flow.messages?.intro, prefill = {} } = {}) {
+    const prefilled = Object.keys(prefill).join(",");
+    const first = flow.steps[nextStepName(flow.firstStep, { prefilled })];
+    await send(phone, [renderTemplate(intro), first.prompt].filter(Boolean).join("\n\n"));
+    await store.update(phone, { ...prefill, step: first.name, phone, prefilled });
+  }
+
+  // Moves the session to the step before the current one and asks it again.
+  // Returns false when there is no earlier step to go back to.
+  async function back(phone, session, { intro } = {}) {
+    if (session.step === flow.completeStep) {
+      return false;
+    }
+    const prefilled = prefilledFields(session);
+    const previousOf = (name) => Object.values(flow.steps).find((step) => step.next === name);
+    let previous = previousOf(session.step);
+    while (previous && prefilled.includes(previous.field)) {
+      previous = previousOf(previous.name);
+    }
+    if (!previous) {
+      return false;
+    }
+    await send(phone, [intro, previous.prompt].filter(Boolean).join("\n\n"));
+    await store.update(phone, { step: previous.name });
+    return true;
+  }
+
+  // Asks the current step again, e.g. for a session restored after it expired
+  async function resume(phone, session, { intro } = {}) {
+    if (session.step === flow.reviewStep) {
+      await sendReview(phone, session, { intro });
+      return;
+    }
+    const step = flow.steps[session.step];
+    await send(phone, [intro, step?.prompt].filter(Boolean).join("\n\n"));
+  }
+
+  async function complete(phone, session) {
+    const data = { ...session, phone: session.phone || phone };
+
+    try {
+      for (const name of flow.onComplete || []) {
+        const action = lookup({ ...builtInActions, ...actions }, name, "action");
+        const ok = await action({ phone, data, flow });
+        if (ok === false) {
+          console.log(`Completion action "${name}" declined for ${phone}`);
+          await send(phone, renderTemplate(flow.messages?.completionFailed, data));
+          return false;
+        }
+      }
+      return true;
+    } catch (error) {
+      console.error("Error during final registration:", error.message);
+      await send(phone, renderTemplate(flow.messages?.completionError, data));
+      return false;
+    }
+  }
+
+  // Runs the step's checks on a valid answer and moves the conversation on.
+  // Returns false if a check rejected it.
+  async function accept(phone, step, session, value, ack) {
+    for (const name of step.checks || []) {
+      const check = lookup(checks, name, "check");
+      const result = await check(value, { phone, step, session });
+      if (!result.ok) {
+        await rejectAnswer(phone, step, session, { reason: name, ...result });
+        return false;
+      }
+    }
+
+    const nextName = session.editing && flow.reviewStep ? flow.reviewStep : nextStepName(step.next, session);
+
+    if (nextName === flow.completeStep) {
+      await store.update(phone, { step: flow.completeStep, [step.field]: value });
+      await complete(phone, { ...session, [step.field]: value });
+      return true;
+    }
+
+    if (nextName === flow.reviewStep) {
+      await sendReview(phone, { ...session, [step.field]: value }, { intro: ack });
+      await store.update(phone, { step: flow.reviewStep, [step.field]: value, editing: "" });
+      return true;
+    }
+
+    const next = flow.steps[nextName];
+    await send(phone, [ack, next.prompt].filter(Boolean).join("\n\n"));
+    await store.update(phone, { step: next.name, [step.field]: value });
+    return true;
+  }
+
+  /**
+   * Answers the session's current step with a value that was checked outside
+   * the chat (e.g. a code an admin read off a photo), skipping the validator.
+   */
+  async function submit(phone, session, value, { ack } = {}) {
+    const step = flow.steps[session.step];
+    if (!step?.field) {
+      throw new Error(`Session of ${phone} is not at a field step`);
+    }
+    return accept(phone, step, session, value, ack ?? step.successMessage);
+  }
+
+  async function suggest(phone, session, value, { message }) {
+    const choices = [
+      { id: "suggestion:accept", title: flow.messages?.suggestionAccept || "Yes" },
+      { id: "suggestion:decline", title: flow.messages?.suggestionDecline || "No" },
+    ];
+    if (sendChoices) {
+      await sendChoices(phone, message, choices);
+    } else {
+      await send(phone, message);
+    }
+    await store.update(phone, { suggestion: value, suggestion_step: session.step });
+  }
+
+  async function answerSuggestion(phone, step, session, replyId) {
+    const suggestion = session.suggestion_step === step.name ? session.suggestion : "";
+    await store.update(phone, { suggestion: "", suggestion_step: "" });
+
+    if (replyId === "suggestion:accept" && suggestion) {
+      const ack = renderTemplate(flow.messages?.suggestionAccepted, { value: suggestion });
+      await accept(phone, step, { ...session, suggestion: "" }, suggestion, ack);
+      return;
+    }
+    await send(phone, step.prompt);
+  }
+
+  // `replyId` is the id of a tapped interactive button or list row, if any
+  async function handle(phone, text, session, { replyId } = {}) {
+    if (session.step === flow.completeStep) {
+      await complete(phone, session);
+      return true;
+    }
+
+    const step = flow.steps[session.step];
+    if (!step) {
+      return false;
+    }
+
+    try {
+      for (const name of flow.guards || []) {
+        const guard = lookup(guards, name, "guard");
+        const result = await guard({ phone, step, session });
+        if (!result.ok) {
+          await reject(phone, result);
+          return true;
+        }
+      }
+
+      if (step.review) {
+        await handleReview(phone, replyId || text, session, step);
+        return true;
+      }
+
+      if (replyId?.startsWith("suggestion:")) {
+        await answerSuggestion(phone, step, session, replyId);
+        return true;
+      }
+
+      // A stale button tapped while a typed answer is expected
+      if (replyId && !text) {
+        await send(phone, step.prompt);
+        return true;
+      }
+
+      const validate = lookup(validators, step.validator, "validator");
+      const validation = await validate(text, step, session);
+
+      if (!validation.is_valid) {
+        await rejectAnswer(phone, step, session, {
+          ok: false,
+          reason: "invalid",
+          message: validation.message || step.invalidMessage,
+          // False when the message held no attempt at an answer
+          attempt: validation.attempt !== false
+        });
+        return true;
+      }
+
+      await accept(phone, step, session, validation.value, step.successMessage || validation.message);
+    } catch (error) {
+      console.error(`Error in ${step.name} step:`, error.message);
+      try {
+        await send(phone, step.errorMessage);
+      } catch (fallbackError) {
+        console.error(`Failed to send ${step.name} error message:`, fallbackError.message);
+      }
+    }
+    return true;
+  }
+
+  return { flow, start, handle, submit, suggest, back, resume, sendReview, complete, isActive };
+}
@@ -0,0 +1,52 @@
+// customerWindow.js
+//
+// WhatsApp only delivers free-form messages within 24 hours of the user's
+// last message to us (the customer-service window); outside it only approved
+// templates go through. webhook.js records every inbound message here and
+// whatsapp.js uses it to choose between text and a template.
+import pool from "./db.js";
+
+export const WINDOW_HOURS = 24;
+// Close the window a little early so a queued send doesn't land just after it
+const WINDOW_MARGIN_MINUTES = 10;
+const WINDOW_MS = (WINDOW_HOURS * 60 - WINDOW_MARGIN_MINUTES) * 60 * 1000;
+
+// `timestamp` is the message's unix time in seconds, as sent by Meta
+export async function recordInbound(phone, timestamp) {
+  const at = timestamp ? new Date(Number(timestamp) * 1000) : new Date();
+  await pool.query(
+    `INSERT INTO inbound_activity (phone_number, last_inbound_at)
+     VALUES ($1, $2)
+     ON CONFLICT (phone_number) DO UPDATE
+     SET last_inbound_at = GREATEST(inbound_activity.last_inbound_at, EXCLUDED.last_inbound_at)`,
+    [phone, at]
+  );
+}
+
+const windowFor = (lastInboundAt) => {
+  const last = lastInboundAt ? new Date(lastInboundAt) : null;
+  const open = Boolean(last) && Date.now() - last.getTime() < WINDOW_MS;
+  return {
+    lastInboundAt: last,
+    open,
+    closesAt: open ? new Date(last.getTime() + WINDOW_HOURS * 60 * 60 * 1000) : null,
+  };
+};
+
+export async function isWindowOpen(phone) {
+  const result = await pool.query(
+    "SELECT last_inbound_at FROM inbound_activity WHERE phone_number = $1",
+    [phone]
+  );
+  return windowFor(result.rows[0]?.last_inbound_at).open;
+}
+
+// `{ [phone]: { lastInboundAt, open, closesAt } }` for every phone given
+export async function getWindowStatus(phones) {
+  const result = await pool.query(
+    "SELECT phone_number, last_inbound_at FROM inbound_activity WHERE phone_number = ANY($1)",
+    [phones]
+  );
+  const lastInbound = Object.fromEntries(result.rows.map((row) => [row.phone_number, row.last_inbound_at]));
+  return Object.fromEntries(phones.map((phone) => [phone, windowFor(lastInbound[phone])]));
+}
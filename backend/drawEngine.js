@@ -0,0 +1,100 @@
+// drawEngine.js
+//
+// The winner draw itself. It has no database access, so anyone holding a draw
+// record (GET /api/draws/:id) can re-run it and compare the winners:
+//
+//             npm run verify-draw -- draw.json
+//
+// The eligible pool is a list of tickets `[registrationId, participantId,
+// city]` sorted by registration id; a participant has one ticket per entry
+// or just one, depending on the draw's weighting. Random numbers come from
+// HMAC-SHA256 keyed with the draw's seed over a counter, so the same seed and
+// pool always give the same winners, and nobody can predict them without the
+// seed. Indexes are drawn by rejection sampling, so every ticket in a round
+// is equally likely.
+//
+// City quotas are drawn first, in alphabetical order of city: each city gets
+// up to its quota of winners from its own tickets. The rest of the winners
+// are drawn from every remaining ticket. A participant wins at most once.
+import crypto from "crypto";
+
+export const DRAW_ALGORITHM = "hmac-sha256-v1";
+
+// 48 bits per draw from each HMAC output
+const RANDOM_RANGE = 2 ** 48;
+
+export const createSeed = () => crypto.randomBytes(32).toString("hex");
+
+// Returns random(n), a uniformly distributed integer in [0, n) derived from `seed`
+export function createRandom(seed) {
+  let counter = 0;
+  return (n) => {
+    const limit = RANDOM_RANGE - (RANDOM_RANGE % n);
+    for (;;) {
+      const digest = crypto.createHmac("sha256", seed).update(String(counter++)).digest();
+      const value = digest.readUIntBE(0, 6);
+      if (value < limit) {
+        return value % n;
+      }
+    }
+  };
+}
+
+export const hashPool = (pool) => crypto.createHash("sha256").update(JSON.stringify(pool)).digest("hex");
+
+const sameCity = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Draws `count` winners from `pool`. Returns them in the order drawn as
+ * `{ position, registrationId, participantId, city, round }`, where `round`
+ * is the quota city the winner was drawn for, or "open".
+ */
+export function runDraw({ seed, pool, count, cityQuotas = {} }) {
+  const random = createRandom(seed);
+  const winners = [];
+  let remaining = pool;
+
+  const pick = (tickets, round) => {
+    const [registrationId, participantId, city] = tickets[random(tickets.length)];
+    winners.push({ position: winners.length + 1, registrationId, participantId, city, round });
+    remaining = remaining.filter((ticket) => ticket[1] !== participantId);
+  };
+
+  for (const city of Object.keys(cityQuotas).sort()) {
+    for (let i = 0; i < cityQuotas[city] && winners.length < count; i++) {
+      const tickets = remaining.filter((ticket) => sameCity(ticket[2], city));
+      if (tickets.length === 0) {
+        break;
+      }
+      pick(tickets, city);
+    }
+  }
+
+  while (winners.length < count && remaining.length > 0) {
+    pick(remaining, "open");
+  }
+  return winners;
+}
+
+/**
+ * Re-runs a stored draw (a winner_draws row) and checks it against its record.
+ */
+export function verifyDraw(draw) {
+  const poolHash = hashPool(draw.pool);
+  const winners = runDraw({
+    seed: draw.seed,
+    pool: draw.pool,
+    count: draw.inputs.count,
+    cityQuotas: draw.inputs.cityQuotas || {}
+  });
+  const recorded = draw.results.map((result) => result.registrationId);
+
+  return {
+    algorithmMatches: draw.algorithm === DRAW_ALGORITHM,
+    poolHashMatches: poolHash === draw.pool_hash,
+    resultsMatch: winners.length === recorded.length &&
+      winners.every((winner, index) => winner.registrationId === recorded[index]),
+    poolHash,
+    winners
+  };
+}
@@ -5,6 +5,148 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+// Screens of the registration WhatsApp Flow (flows/registration.json). Each
+// screen is named after the field it collects (CODE, NAME, EMAIL, CITY) and
+// is checked here on `data_exchange` with the same validators and checks as
+// the chat flow. Answers go into the same `session:<phone>` hash, so the
+// user can switch between the form and typing in the chat. After the last
+// screen the session is left at the review step (or FINAL_REGISTRATION when
+// the campaign has none), and the `nfm_reply` message WhatsApp sends on close
+// continues it in webhook.js.
+//
+// The screens are fixed in the Flow JSON, so the form is only offered while
+// the campaign's `fields` are exactly those screens (formMatchesFields()).
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import redisClient from "./redisClient.js";
+import sessionStore, { SESSION_TTL_SECONDS } from "./sessionStore.js";
+import { withPhoneLock } from "./messageGuard.js";
+import { renderTemplate } from "./conversationEngine.js";
+import { buildRegistrationFlow, stepNameFor } from "./registrationFlow.js";
+import { createValidationChain } from "./validationProviders.js";
+import { registrationChecks } from "./registrationChecks.js";
+import { reserveCode } from "./codeReservations.js";
+import { formatCooldown, getLockout, recordFailedAttempt } from "./codeAttemptGuard.js";
+
+const flowTokenKey = (token) => `flow:token:${token}`;
+const FLOW_JSON_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "flows", "registration.json");
+
+const registrationFlow = buildRegistrationFlow();
+const { validators } = createValidationChain();
+
+/**
+ * Creates the `flow_token` a registration form is sent with, so endpoint
+ * requests (which carry no phone number) can be tied to the user.
+ */
+export async function createFlowToken(phone) {
+  const token = `registration.${crypto.randomUUID()}`;
+  await redisClient.set(flowTokenKey(token), phone, { expiration: { type: "EX", value: SESSION_TTL_SECONDS } });
+  return token;
+}
+
+export async function phoneForFlowToken(token) {
+  return token ? redisClient.get(flowTokenKey(token)) : null;
+}
+
+const screenFor = (field) => field.toUpperCase();
+
+/**
+ * True when flows/registration.json has a screen for every configured field,
+ * in the same order, and no others. A campaign asking for e.g. `age` would
+ * otherwise send the form to a screen that doesn't exist.
+ */
+export function formMatchesFields(flowJsonPath = FLOW_JSON_PATH) {
+  const screens = JSON.parse(fs.readFileSync(flowJsonPath, "utf8")).screens.map((screen) => screen.id);
+  const expected = registrationFlow.fields.map(screenFor);
+  return screens.length === expected.length && screens.every((id, index) => id === expected[index]);
+}
+
+const showScreen = (screen, errorMessage = "") => ({
+  screen,
+  data: { error_message: errorMessage },
+});
+
+// True when the form has no screen for `stepName`: the review (held in the
+// chat once the form closes) or the end
+const endsForm = (stepName) =>
+  stepName === registrationFlow.completeStep || Boolean(registrationFlow.steps[stepName]?.review);
+
+async function submitScreen(phone, screen, data, flowToken) {
+  const step = registrationFlow.steps[stepNameFor(screen.toLowerCase())];
+  if (!step || step.review) {
+    throw new Error(`Unknown registration flow screen "${screen}"`);
+  }
+
+  const session = await sessionStore.get(phone);
+
+  if (step.field === "code") {
+    const lockout = await getLockout(phone);
+    if (lockout.locked) {
+      return showScreen(screen, renderTemplate(registrationFlow.messages.codeLocked, {
+        cooldown: formatCooldown(lockout.retryAfterSeconds)
+      }));
+    }
+  } else if (session.code) {
+    // Same as the chat's codeReservation guard
+    const reservation = await reserveCode(session.code, phone);
+    if (!reservation.reserved) {
+      await sessionStore.update(phone, { step: stepNameFor("code") });
+      const message = reservation.reason === "voided"
+        ? registrationFlow.messages.reservationVoided
+        : registrationFlow.messages.reservationLost;
+      return showScreen(screenFor("code"), renderTemplate(message, session));
+    }
+  } else {
+    return showScreen(screenFor("code"), "Please enter your scratch code first.");
+  }
+
+  const validation = await validators[step.validator](String(data?.[step.field] ?? ""), step, session);
+  let failure = validation.is_valid ? null : validation.message || step.invalidMessage;
+  // Only malformed, unknown, used or held codes count towards a lockout
+  let wrongCode = !validation.is_valid && validation.attempt !== false;
+
+  for (const name of validation.is_valid ? step.checks || [] : []) {
+    const result = await registrationChecks[name](validation.value, { phone, step, session });
+    if (!result.ok) {
+      failure = result.message;
+      wrongCode = Boolean(result.wrongCode);
+      break;
+    }
+  }
+
+  if (failure) {
+    if (step.field === "code" && wrongCode) {
+      const attempt = await recordFailedAttempt(phone);
+      if (attempt.locked) {
+        failure = renderTemplate(registrationFlow.messages.codeLocked, {
+          cooldown: formatCooldown(attempt.retryAfterSeconds)
+        });
+      }
+    }
+    return showScreen(screen, failure);
+  }
+
+  const nextName = step.next;
+  await sessionStore.update(phone, { step: nextName, phone, [step.field]: validation.value });
+
+  if (endsForm(nextName)) {
+    console.log(`📝 Registration form submitted by ${phone}`);
+    return {
+      screen: "SUCCESS",
+      data: {
+        extension_message_response: {
+          params: {
+            flow_token: flowToken,
+          },
+        },
+      },
+    };
+  }
+  return showScreen(screenFor(registrationFlow.steps[nextName].field));
+}
+
 export const getNextScreen = async (decryptedBody) => {
   const { screen, data, version, action, flow_token } = decryptedBody;
   // handle health check request
@@ -26,38 +168,33 @@ export const getNextScreen = async (decryptedBody) => {
     };
   }
 
+  const phone = await phoneForFlowToken(flow_token);
+  if (!phone) {
+    console.warn(`Unknown or expired flow token ${flow_token} (flow version ${version})`);
+    return showScreen(screenFor(registrationFlow.steps[registrationFlow.firstStep].field),
+      "⌛ This form has expired. Please close it and send *Join Contest* in the chat to get a new one.");
+  }
+
   // handle initial request when opening the flow
   if (action === "INIT") {
-    return {
-      screen: "MY_SCREEN",
-      data: {
-        // custom data for the screen
-        greeting: "Hey there! 👋",
-      },
-    };
+    const session = await sessionStore.get(phone);
+    if (session.step === registrationFlow.completeStep) {
+      return showScreen(screenFor(registrationFlow.steps[registrationFlow.firstStep].field),
+        renderTemplate(registrationFlow.messages.processing, session));
+    }
+    if (endsForm(session.step)) {
+      return showScreen(screenFor(registrationFlow.steps[registrationFlow.firstStep].field),
+        "✅ Your details are in. Please close this form and confirm them in the chat.");
+    }
+    const current = registrationFlow.steps[session.step];
+    // Pick up where the chat left off
+    const step = current?.field ? current : registrationFlow.steps[registrationFlow.firstStep];
+    await sessionStore.update(phone, { step: step.name, phone });
+    return showScreen(screenFor(step.field));
   }
 
   if (action === "data_exchange") {
-    // handle the request based on the current screen
-    switch (screen) {
-      case "MY_SCREEN":
-        // TODO: process flow input data
-        console.info("Input name:", data?.name);
-
-        // send success response to complete and close the flow
-        return {
-          screen: "SUCCESS",
-          data: {
-            extension_message_response: {
-              params: {
-                flow_token,
-              },
-            },
-          },
-        };
-      default:
-        break;
-    }
+    return withPhoneLock(phone, () => submitScreen(phone, screen, data, flow_token));
   }
 
   console.error("Unhandled request body:", decryptedBody);
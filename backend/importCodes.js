@@ -1,43 +1,198 @@
+// importCodes.js
+//
+// Imports scratch codes printed elsewhere from a CSV with a `code` column and,
+// optionally, a `code_id` serial:
+//
+//   npm run import-codes -- codes.csv --contest 2 [--batch "Mumbai March"] [--dry-run]
+//                          [--valid-from 2026-03-01] [--valid-until 2026-06-30]
+//
+// The file is streamed and inserted CHUNK_SIZE rows at a time. Codes must be
+// 6 letters or digits; codes repeated in the file or already in the database
+// are skipped. With --batch the codes join that print batch (created if new)
+// and rows without a `code_id` get the batch's serials. --dry-run checks
+// everything but inserts nothing. Every rejected row is listed at the end.
+// Re-running an import that stopped halfway skips the rows already inserted.
 import fs from "fs";
 import csv from "csv-parser";
 import pool from "./db.js";
+import { getContest } from "./contests.js";
+import { serialFor } from "./codeBatches.js";
 
-async function insertCodesFromCSV(filePath) {
-  const client = await pool.connect();
-  try {
-    await client.query("BEGIN");
+const CHUNK_SIZE = 1000;
+const CODE_PATTERN = /^[A-Z0-9]{6}$/;
 
-    const rows = [];
+const argValue = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
 
-    // Read CSV file
-    await new Promise((resolve, reject) => {
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on("data", (row) => rows.push(row))
-        .on("end", resolve)
-        .on("error", reject);
-    });
+// The existing batch called `name`, or a new one for the contest. A dry run
+// doesn't create it and numbers serials as if it were new.
+async function findOrCreateBatch(name, contestId, dryRun) {
+  const existing = await pool.query(
+    `SELECT b.*, (SELECT COUNT(*) FROM codes WHERE codes.batch_id = b.id) AS code_count
+     FROM code_batches b
+     WHERE b.name = $1`,
+    [name]
+  );
+  const batch = existing.rows[0];
+  if (batch) {
+    if (batch.contest_id !== null && batch.contest_id !== contestId) {
+      throw new Error(`Batch "${name}" belongs to contest ${batch.contest_id}, not ${contestId}`);
+    }
+    return { ...batch, codeCount: parseInt(batch.code_count, 10) };
+  }
+  if (dryRun) {
+    return { id: 0, name, codeCount: 0 };
+  }
+  const created = await pool.query(
+    "INSERT INTO code_batches (name, contest_id, quantity) VALUES ($1, $2, 0) RETURNING *",
+    [name, contestId]
+  );
+  console.log(`🆕 Created batch "${name}" (${created.rows[0].id})`);
+  return { ...created.rows[0], codeCount: 0 };
+}
+
+async function importCodes(filePath, { contestId, batchName, dryRun, validFrom, validUntil }) {
+  const contest = await getContest(contestId);
+  if (!contest) {
+    throw new Error(`Contest ${contestId} not found`);
+  }
+  const batch = batchName ? await findOrCreateBatch(batchName, contestId, dryRun) : null;
+
+  const totals = { inserted: 0, skipped: 0, invalid: 0 };
+  const rejections = [];
+  const seenCodes = new Set();
+  const seenIds = new Set();
+  const reject = (row, reason, kind) => {
+    totals[kind]++;
+    rejections.push({ ...row, reason });
+  };
+
+  // Skips rows already in the database, then inserts the rest
+  const flush = async (rows) => {
+    const existing = await pool.query(
+      "SELECT code, code_id FROM codes WHERE code = ANY($1) OR code_id = ANY($2)",
+      [rows.map((row) => row.code), rows.map((row) => row.codeId).filter(Boolean)]
+    );
+    const existingCodes = new Set(existing.rows.map((row) => row.code));
+    const existingIds = new Set(existing.rows.map((row) => String(row.code_id)));
 
-    // Insert rows one by one (safe, but not fastest)
+    const fresh = [];
     for (const row of rows) {
-      const { code, code_id } = row;
-
-      await client.query(
-        `INSERT INTO codes (code, code_id) VALUES ($1, $2)
-         ON CONFLICT (code_id) DO NOTHING`, 
-        [code, code_id]
-      );
-    }
-
-    await client.query("COMMIT");
-    console.log("✅ All rows inserted successfully!");
-  } catch (err) {
-    await client.query("ROLLBACK");
-    console.error("❌ Error inserting rows:", err.message);
-  } finally {
-    client.release();
+      if (existingCodes.has(row.code)) {
+        reject(row, "code already in the database", "skipped");
+      } else if (row.codeId && existingIds.has(row.codeId)) {
+        reject(row, `code_id ${row.codeId} already in the database`, "skipped");
+      } else {
+        fresh.push(row);
+      }
+    }
+
+    if (batch) {
+      for (const row of fresh) {
+        row.codeId = row.codeId || serialFor(batch.id, ++batch.codeCount);
+      }
+    }
+    if (dryRun || fresh.length === 0) {
+      totals.inserted += dryRun ? fresh.length : 0;
+      return;
+    }
+
+    // Anything inserted by someone else since the check above is skipped too
+    const result = await pool.query(
+      `INSERT INTO codes (code, code_id, status, contest_id, batch_id, valid_from, valid_until)
+       SELECT code, code_id, 'active', $3, $4, $5, $6
+       FROM unnest($1::text[], $2::text[]) AS imported (code, code_id)
+       ON CONFLICT DO NOTHING
+       RETURNING code`,
+      [fresh.map((row) => row.code), fresh.map((row) => row.codeId), contestId, batch?.id ?? null, validFrom, validUntil]
+    );
+    const inserted = new Set(result.rows.map((row) => row.code));
+    totals.inserted += inserted.size;
+    for (const row of fresh.filter((row) => !inserted.has(row.code))) {
+      reject(row, "code or code_id inserted concurrently", "skipped");
+    }
+  };
+
+  let chunk = [];
+  let line = 1; // the header
+  for await (const record of fs.createReadStream(filePath).pipe(csv())) {
+    line++;
+    const row = {
+      line,
+      code: String(record.code ?? "").trim().toUpperCase(),
+      codeId: String(record.code_id ?? "").trim() || null,
+    };
+
+    if (!CODE_PATTERN.test(row.code)) {
+      reject(row, row.code ? "code must be 6 letters or digits" : "code is missing", "invalid");
+    } else if (!row.codeId && !batch) {
+      reject(row, "code_id is missing (or pass --batch to number the codes)", "invalid");
+    } else if (seenCodes.has(row.code)) {
+      reject(row, "code repeated in the file", "skipped");
+    } else if (row.codeId && seenIds.has(row.codeId)) {
+      reject(row, `code_id ${row.codeId} repeated in the file`, "skipped");
+    } else {
+      seenCodes.add(row.code);
+      if (row.codeId) {
+        seenIds.add(row.codeId);
+      }
+      chunk.push(row);
+    }
+
+    if (chunk.length >= CHUNK_SIZE) {
+      await flush(chunk);
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    await flush(chunk);
+  }
+
+  if (batch && !dryRun) {
+    await pool.query(
+      "UPDATE code_batches SET quantity = (SELECT COUNT(*) FROM codes WHERE batch_id = $1) WHERE id = $1",
+      [batch.id]
+    );
   }
+  return { totals, rejections };
 }
 
-// Run script
-insertCodesFromCSV("./codes.csv");
+const filePath = process.argv[2]?.startsWith("--") ? null : process.argv[2];
+const contestId = parseInt(argValue("contest"), 10);
+const batchName = argValue("batch", null);
+const dryRun = process.argv.includes("--dry-run");
+// Dates are the start of valid-from and the end of valid-until, server time
+const validFrom = argValue("valid-from", null);
+const validUntil = argValue("valid-until", null);
+
+const invalidDate = [validFrom, validUntil].some((date) => date && !/^\d{4}-\d{2}-\d{2}$/.test(date));
+if (!filePath || !Number.isInteger(contestId) || invalidDate) {
+  console.error('Usage: npm run import-codes -- <file.csv> --contest <id> [--batch <name>] [--dry-run] [--valid-from YYYY-MM-DD] [--valid-until YYYY-MM-DD]');
+  process.exit(1);
+}
+
+try {
+  const { totals, rejections } = await importCodes(filePath, {
+    contestId,
+    batchName,
+    dryRun,
+    validFrom: validFrom && new Date(`${validFrom}T00:00:00`),
+    validUntil: validUntil && new Date(`${validUntil}T23:59:59.999`)
+  });
+
+  if (rejections.length > 0) {
+    console.log(`\n📋 Rejected rows (${rejections.length}):`);
+    for (const row of rejections.sort((a, b) => a.line - b.line)) {
+      console.log(`  line ${row.line}: ${row.code || "(empty)"}${row.codeId ? ` [${row.codeId}]` : ""}: ${row.reason}`);
+    }
+  }
+  console.log(`\n${dryRun ? "🧪 Dry run, nothing was inserted. " : "✅ "}` +
+    `${dryRun ? "Would insert" : "Inserted"}: ${totals.inserted}, skipped: ${totals.skipped}, invalid: ${totals.invalid}`);
+} catch (err) {
+  console.error("❌ Import failed:", err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
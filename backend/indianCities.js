@@ -0,0 +1,171 @@
+// indianCities.js
+//
+// Lookup of Indian cities from the `country-state-city` dataset, used to
+// validate and canonicalise the city a participant types in.
+import { City } from "country-state-city";
+
+// Common former or alternate names → the name used by the dataset
+const ALIASES = {
+  bombay: "Mumbai",
+  bangalore: "Bengaluru",
+  calcutta: "Kolkata",
+  madras: "Chennai",
+  gurugram: "Gurgaon",
+  baroda: "Vadodara",
+  kochi: "Cochin",
+  mysore: "Mysuru",
+  prayagraj: "Allahabad",
+  poona: "Pune",
+  trivandrum: "Thiruvananthapuram",
+  benares: "Varanasi",
+  banaras: "Varanasi",
+  pondicherry: "Puducherry",
+};
+
+const STOP_WORDS = new Set(["i", "im", "live", "living", "in", "at", "from", "my", "city", "is", "the", "near", "india", "its", "it", "stay", "staying"]);
+
+export const normalizeCityName = (value) =>
+  (value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+let index = null;
+
+// Built lazily: the dataset has a few thousand Indian cities
+function getIndex() {
+  if (index) {
+    return index;
+  }
+
+  const byName = new Map();
+  for (const city of City.getCitiesOfCountry("IN") || []) {
+    // Some entries carry a district suffix, e.g. "Hadapsar, Pune"
+    const name = city.name.split(",")[0].trim();
+    const key = normalizeCityName(name);
+    if (key && !byName.has(key)) {
+      byName.set(key, { ...city, name });
+    }
+  }
+  for (const [alias, canonical] of Object.entries(ALIASES)) {
+    const target = byName.get(normalizeCityName(canonical));
+    if (target && !byName.has(alias)) {
+      byName.set(alias, target);
+    }
+  }
+
+  index = { byName, keys: Array.from(byName.keys()) };
+  return index;
+}
+
+export function getIndianCities() {
+  return Array.from(new Set(getIndex().byName.values()));
+}
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Word n-grams of the input, longest first, so "Navi Mumbai" beats "Mumbai"
+function candidatePhrases(input) {
+  const words = normalizeCityName(input).split(" ").filter(Boolean);
+  const phrases = [];
+  for (let size = Math.min(3, words.length); size >= 1; size--) {
+    for (let start = 0; start + size <= words.length; start++) {
+      const slice = words.slice(start, start + size);
+      if (size === 1 && STOP_WORDS.has(slice[0])) {
+        continue;
+      }
+      phrases.push(slice.join(" "));
+    }
+  }
+  return phrases;
+}
+
+/**
+ * Finds the Indian city mentioned in free text, tolerating small typos.
+ * Returns `{ name, stateCode, latitude, longitude, exact }` or null.
+ */
+export function findIndianCity(input) {
+  const { byName, keys } = getIndex();
+  const phrases = candidatePhrases(input);
+
+  for (const phrase of phrases) {
+    const city = byName.get(phrase);
+    if (city) {
+      return { ...city, exact: true };
+    }
+  }
+
+  let best = null;
+  for (const phrase of phrases) {
+    if (phrase.length < 4) {
+      continue;
+    }
+    const maxDistance = phrase.length <= 6 ? 1 : 2;
+    for (const key of keys) {
+      if (Math.abs(key.length - phrase.length) > maxDistance) {
+        continue;
+      }
+      const distance = levenshtein(phrase, key);
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        best = { distance, city: byName.get(key) };
+      }
+    }
+  }
+
+  return best ? { ...best.city, exact: false } : null;
+}
+
+// Beyond this the shared location is not near any city we know
+const MAX_NEAREST_CITY_KM = 75;
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Finds the Indian city closest to a shared location, using the coordinates
+ * in the dataset. Returns `{ name, stateCode, latitude, longitude, distanceKm }`
+ * or null when nothing is within 75 km (e.g. the location is abroad).
+ */
+export function findNearestIndianCity(latitude, longitude) {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return null;
+  }
+
+  let nearest = null;
+  for (const city of getIndianCities()) {
+    const distance = distanceKm(lat, lon, Number(city.latitude), Number(city.longitude));
+    if (Number.isFinite(distance) && (!nearest || distance < nearest.distanceKm)) {
+      nearest = { ...city, distanceKm: distance };
+    }
+  }
+
+  return nearest && nearest.distanceKm <= MAX_NEAREST_CITY_KM ? nearest : null;
+}
@@ -0,0 +1,105 @@
+// jobHandlers.js
+//
+// Handlers run by worker.js for jobs queued through jobQueue.js. A handler
+// that throws is retried, so each one is safe to run more than once.
+import { enqueueJob } from "./jobQueue.js";
+import { registrationIdFor, updateCodeInDatabase } from "./registrations.js";
+import { openContestsFor } from "./contests.js";
+import { clearSession, updateSession } from "./sessionStore.js";
+import { stepNameFor } from "./registrationFlow.js";
+import { unavailableCodeMessage } from "./registrationChecks.js";
+import { loadProgress, REMINDER_JOB_TYPE } from "./registrationProgress.js";
+import { sendEventMedia } from "./mediaLibrary.js";
+import { sendText, sendWhatsAppTemplate } from "./whatsapp.js";
+import { sendWinnerEmail, sendWinnerWhatsApp } from "./winnerNotifications.js";
+
+// Pre-approved template nudging users who stopped part way through registering
+const REMINDER_TEMPLATE = process.env.REMINDER_TEMPLATE || "registration_reminder";
+const REMINDER_TEMPLATE_LANGUAGE = process.env.REMINDER_TEMPLATE_LANGUAGE || "en";
+
+export const JOB_TYPES = {
+  COMPLETE_REGISTRATION: "registration.complete",
+  SEND_CONFIRMATION: "registration.confirm",
+  NOTIFY_WINNER_WHATSAPP: "winner.whatsapp",
+  NOTIFY_WINNER_EMAIL: "winner.email",
+  REMIND_REGISTRATION: REMINDER_JOB_TYPE,
+};
+
+export const jobHandlers = {
+  // payload: { phone, code, details, messages: { failed, caption, text } }
+  [JOB_TYPES.COMPLETE_REGISTRATION]: async ({ phone, code, details, messages }) => {
+    const redemption = await updateCodeInDatabase({ phone, code, details });
+
+    // A retry after the update committed finds the code already redeemed
+    const registrationId = redemption.redeemed ? redemption.registrationId : await registrationIdFor(code, phone);
+    if (!registrationId) {
+      await clearSession(phone);
+      const message = unavailableCodeMessage(redemption.reason);
+      if (!message) {
+        await sendText(phone, messages.failed);
+        return;
+      }
+      // The code expired or was taken meanwhile; the reply asks for another one
+      await updateSession(phone, { step: stepNameFor("code"), phone });
+      await sendText(phone, message);
+      return;
+    }
+
+    await clearSession(phone);
+    await enqueueJob(
+      JOB_TYPES.SEND_CONFIRMATION,
+      { phone, caption: messages.caption, text: messages.text },
+      { jobId: `${JOB_TYPES.SEND_CONFIRMATION}:${registrationId}` }
+    );
+  },
+
+  // payload: { phone, caption, text }
+  [JOB_TYPES.SEND_CONFIRMATION]: async ({ phone, caption, text }) => {
+    // The video (or image) assigned to "registration_complete" in the media library
+    try {
+      const result = await sendEventMedia(phone, "registration_complete", caption, { context: 'registration_complete' });
+      if (result) {
+        if (result.success) {
+          console.log(`📱🎥 Registration media sent to ${phone}`);
+        }
+        return;
+      }
+    } catch (mediaError) {
+      console.error(`❌ Failed to send registration media, sending text instead:`, mediaError.message);
+    }
+
+    await sendText(phone, text, { context: 'registration_complete' });
+  },
+
+  // payload: { phone, step }
+  [JOB_TYPES.REMIND_REGISTRATION]: async ({ phone, step }) => {
+    // Skip users who carried on since the reminder was queued, or have
+    // nothing left to enter
+    const progress = await loadProgress(phone);
+    if (progress?.step !== step || (await openContestsFor(phone)).length === 0) {
+      return;
+    }
+    await sendWhatsAppTemplate(phone, REMINDER_TEMPLATE, REMINDER_TEMPLATE_LANGUAGE, {}, { context: 'registration_reminder' });
+    console.log(`⏰ Registration reminder sent to ${phone} (stopped at ${step})`);
+  },
+
+  // payload: { name, email, phone, city, code }
+  [JOB_TYPES.NOTIFY_WINNER_WHATSAPP]: async (winnerData) => {
+    await sendWinnerWhatsApp(winnerData);
+    console.log(`📱 WhatsApp winner notification sent to ${winnerData.name} (${winnerData.phone})`);
+  },
+
+  [JOB_TYPES.NOTIFY_WINNER_EMAIL]: async (winnerData) => {
+    await sendWinnerEmail(winnerData);
+    console.log(`📧 Email sent successfully to ${winnerData.name} (${winnerData.email})`);
+  },
+};
+
+// Run once a job has failed all its attempts (see createWorker)
+export const deadJobHandlers = {
+  // The user would otherwise wait on the "processing" reply for good
+  [JOB_TYPES.COMPLETE_REGISTRATION]: async ({ phone, messages }) => {
+    await clearSession(phone);
+    await sendText(phone, messages.failed);
+  },
+};
@@ -0,0 +1,236 @@
+// jobQueue.js
+//
+// Small Redis-backed job queue, so work that must survive a restart (code
+// redemption, confirmation and winner messages) isn't lost on deploy.
+//
+//   jobs:pending     list of job ids ready to run
+//   jobs:processing  ids a worker has taken; requeued when the worker restarts
+//   jobs:delayed     sorted set of ids waiting for their retry time (score = ms)
+//   jobs:dead        ids that used up all attempts, kept for inspection/replay
+//   job:<id>         JSON job record
+//
+// Failed jobs are retried with exponential backoff. Only one worker process
+// (worker.js) should run at a time.
+import crypto from "crypto";
+import redisClient from "./redisClient.js";
+
+const PENDING_KEY = "jobs:pending";
+const PROCESSING_KEY = "jobs:processing";
+const DELAYED_KEY = "jobs:delayed";
+const DEAD_KEY = "jobs:dead";
+const jobKey = (id) => `job:${id}`;
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 5 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+// Finished jobs are kept for a day so a repeated enqueue with the same id is a no-op
+const COMPLETED_TTL_SECONDS = 24 * 60 * 60;
+
+export const backoffDelay = (attempts) =>
+  Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+async function saveJob(job, options) {
+  await redisClient.set(jobKey(job.id), JSON.stringify(job), options);
+}
+
+export async function getJob(id) {
+  const raw = await redisClient.get(jobKey(id));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Adds a job. Pass `jobId` to make enqueueing idempotent: while a job with
+ * that id exists (or finished in the last day) nothing new is queued and
+ * `{ id, duplicate: true }` is returned. A dead job doesn't count: it is taken
+ * off the dead-letter list and replaced.
+ */
+export async function enqueueJob(type, payload, { jobId, maxAttempts = DEFAULT_MAX_ATTEMPTS, delayMs = 0 } = {}) {
+  const job = {
+    id: jobId || crypto.randomUUID(),
+    type,
+    payload,
+    status: "pending",
+    attempts: 0,
+    maxAttempts,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  const created = await redisClient.set(jobKey(job.id), JSON.stringify(job), { condition: "NX" });
+  if (created !== "OK") {
+    // Only the caller that takes it off the dead-letter list replaces it
+    const existing = await getJob(job.id);
+    if (existing?.status !== "dead" || !(await redisClient.lRem(DEAD_KEY, 0, job.id))) {
+      return { id: job.id, duplicate: true };
+    }
+    await saveJob(job);
+  }
+
+  if (delayMs > 0) {
+    await redisClient.zAdd(DELAYED_KEY, { score: Date.now() + delayMs, value: job.id });
+  } else {
+    await redisClient.lPush(PENDING_KEY, job.id);
+  }
+  console.log(`📥 Queued job ${type} (${job.id})`);
+  return { id: job.id, duplicate: false };
+}
+
+/**
+ * Drops the record of a completed job so its id can be queued again, e.g.
+ * when what the job did was undone. Returns false if the job isn't completed.
+ */
+export async function forgetCompletedJob(id) {
+  const job = await getJob(id);
+  if (job?.status !== "completed") {
+    return false;
+  }
+  await redisClient.del(jobKey(id));
+  return true;
+}
+
+// Moves delayed jobs whose retry time has come back onto the pending list
+async function promoteDueJobs() {
+  const due = await redisClient.zRangeByScore(DELAYED_KEY, 0, Date.now(), { LIMIT: { offset: 0, count: 100 } });
+  for (const id of due) {
+    if (await redisClient.zRem(DELAYED_KEY, id)) {
+      await redisClient.lPush(PENDING_KEY, id);
+    }
+  }
+}
+
+async function runJob(id, handlers, deadHandlers) {
+  const job = await getJob(id);
+  if (!job) {
+    console.warn(`Job ${id} has no record, dropping it`);
+    await redisClient.lRem(PROCESSING_KEY, 1, id);
+    return;
+  }
+
+  const handler = handlers[job.type];
+  job.attempts += 1;
+  job.updatedAt = new Date().toISOString();
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+    await handler(job.payload, job);
+    job.status = "completed";
+    job.lastError = null;
+    await saveJob(job, { expiration: { type: "EX", value: COMPLETED_TTL_SECONDS } });
+    console.log(`✅ Job ${job.type} (${id}) completed`);
+  } catch (error) {
+    job.lastError = error.message;
+    if (job.attempts >= job.maxAttempts || !handler) {
+      job.status = "dead";
+      await saveJob(job);
+      await redisClient.lPush(DEAD_KEY, id);
+      console.error(`💀 Job ${job.type} (${id}) failed for good after ${job.attempts} attempt(s):`, error.message);
+      await runDeadHandler(job, deadHandlers);
+    } else {
+      const delay = backoffDelay(job.attempts);
+      job.status = "retrying";
+      await saveJob(job);
+      await redisClient.zAdd(DELAYED_KEY, { score: Date.now() + delay, value: id });
+      console.error(`⚠️ Job ${job.type} (${id}) failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    }
+  } finally {
+    await redisClient.lRem(PROCESSING_KEY, 1, id);
+  }
+}
+
+/**
+ * Processes jobs with the given `{ [type]: async (payload, job) => {} }`
+ * handlers until `stop()` is called.
+ */
+// Lets the job's type react to it failing for good, e.g. tell the user
+async function runDeadHandler(job, deadHandlers) {
+  const handler = deadHandlers[job.type];
+  if (!handler) {
+    return;
+  }
+  try {
+    await handler(job.payload, job);
+  } catch (error) {
+    console.error(`Dead job handler for ${job.type} (${job.id}) failed:`, error.message);
+  }
+}
+
+/**
+ * Runs jobs with `handlers[type](payload, job)`. `deadHandlers[type]` is
+ * called the same way once a job of that type has used up its attempts.
+ */
+export function createWorker(handlers, { deadHandlers = {}, pollTimeoutSeconds = 5 } = {}) {
+  // Blocking pops need their own connection
+  const blockingClient = redisClient.duplicate();
+  let running = false;
+
+  async function start() {
+    await blockingClient.connect();
+    running = true;
+
+    // Jobs a previous worker took but never finished
+    let orphan;
+    while ((orphan = await redisClient.lMove(PROCESSING_KEY, PENDING_KEY, "RIGHT", "LEFT"))) {
+      console.log(`♻️ Requeued interrupted job ${orphan}`);
+    }
+
+    console.log("👷 Job worker started");
+    while (running) {
+      try {
+        await promoteDueJobs();
+        const id = await blockingClient.blMove(PENDING_KEY, PROCESSING_KEY, "RIGHT", "LEFT", pollTimeoutSeconds);
+        if (id) {
+          await runJob(id, handlers, deadHandlers);
+        }
+      } catch (error) {
+        console.error("Job worker error:", error.message);
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  async function stop() {
+    running = false;
+    await blockingClient.quit().catch(() => {});
+  }
+
+  return { start, stop };
+}
+
+export async function getQueueStats() {
+  const [pending, processing, delayed, dead] = await Promise.all([
+    redisClient.lLen(PENDING_KEY),
+    redisClient.lLen(PROCESSING_KEY),
+    redisClient.zCard(DELAYED_KEY),
+    redisClient.lLen(DEAD_KEY),
+  ]);
+  return { pending, processing, delayed, dead };
+}
+
+export async function listDeadJobs({ limit = 100 } = {}) {
+  const ids = await redisClient.lRange(DEAD_KEY, 0, limit - 1);
+  const jobs = await Promise.all(ids.map(getJob));
+  return jobs.filter(Boolean);
+}
+
+/**
+ * Puts a dead job back on the queue with a fresh set of attempts.
+ * Returns the job, or null if `id` isn't in the dead-letter list.
+ */
+export async function replayDeadJob(id) {
+  const removed = await redisClient.lRem(DEAD_KEY, 0, id);
+  const job = await getJob(id);
+  if (!removed || !job) {
+    return null;
+  }
+
+  job.status = "pending";
+  job.attempts = 0;
+  job.updatedAt = new Date().toISOString();
+  await saveJob(job);
+  await redisClient.lPush(PENDING_KEY, id);
+  console.log(`🔁 Replaying job ${job.type} (${id})`);
+  return job;
+}
@@ -0,0 +1,120 @@
+// localValidator.js
+//
+// Deterministic validation provider. Needs no network access, so registration
+// keeps working when OpenAI is slow, down or switched off. Like the OpenAI
+// provider it extracts the value from conversational input
+// ("here's my email: a@b.com") and returns { message, is_valid, value }.
+import { findIndianCity } from "./indianCities.js";
+import { loadCampaignConfig } from "./registrationFlow.js";
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const NAME_PATTERN = /^[\p{L}][\p{L}\p{M}' -]*[\p{L}\p{M}]$/u;
+const NAME_PREFIXES = /^(hi|hello|hey)?[\s,!.]*(my\s*name\s*is|my\s*name's|name\s*is|name:|i\s*am|i'm|im|this\s*is|it's|its|call\s*me)\s+/i;
+
+// Short replies that are never a name on their own
+const NOT_NAMES = new Set([
+  "hi", "hii", "hello", "hey", "hola", "namaste", "good morning", "good afternoon", "good evening",
+  "ok", "okay", "yes", "no", "thanks", "thank you", "join", "join contest", "register",
+  // HELP, RESTART, ... as the campaign words them (chatCommands.js)
+  ...Object.values(loadCampaignConfig().commands).flatMap((command) => command.words || []),
+].map((word) => word.trim().toLowerCase()));
+const GREETING_PREFIX = /^(hi+|hello|hey|namaste)[\s,!.]+/i;
+
+const valid = (value, message) => ({ message, is_valid: true, value });
+// `attempt: false` marks input that wasn't an attempt at the value at all,
+// e.g. no code in the message, so it doesn't count towards a code lockout
+const invalid = (message, { attempt = true } = {}) => ({ message, is_valid: false, value: "", attempt });
+
+const titleCase = (value) =>
+  value.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (_, separator, letter) => separator + letter.toUpperCase());
+
+export function extractCode(input) {
+  const text = (input || "").toUpperCase().trim();
+
+  // The whole message is the code, possibly typed with separators, e.g.
+  // "ABCDEF", "ABC 123" or "abc-123"
+  const compact = text.replace(/[\s-]/g, "");
+  if (/^[A-Z0-9]{6}$/.test(compact)) {
+    return compact;
+  }
+
+  // In a sentence only a token with a digit is taken: "my code is ABC123",
+  // but not "PLEASE" in "please help"
+  const tokens = text.split(/[^A-Z0-9]+/).filter((token) => token.length === 6 && /[0-9]/.test(token));
+  return tokens.find((token) => /[A-Z]/.test(token)) || (tokens.length === 1 ? tokens[0] : null);
+}
+
+export function extractEmail(input) {
+  const match = (input || "").match(EMAIL_PATTERN);
+  return match ? match[0].replace(/\.$/, "").toLowerCase() : null;
+}
+
+export function extractName(input) {
+  const name = (input || "")
+    .trim()
+    .replace(NAME_PREFIXES, "")
+    .replace(GREETING_PREFIX, "")
+    .replace(/[.!]+$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (NOT_NAMES.has(name.toLowerCase())) {
+    return null;
+  }
+  return NAME_PATTERN.test(name) && name.length >= 2 && name.length <= 60 ? titleCase(name) : null;
+}
+
+const validators = {
+  code(input) {
+    const code = extractCode(input);
+    return code
+      ? valid(code, "✅ Got your code!")
+      : invalid("❌ That doesn't look like a scratch code. It should be exactly 6 letters and numbers, for example AB12CD. Please try again:", { attempt: false });
+  },
+
+  name(input) {
+    const name = extractName(input);
+    return name
+      ? valid(name, `👋 Nice to meet you, ${name}!`)
+      : invalid("❌ Please enter a valid name using letters only (at least 2 characters), for example Rahul Sharma:");
+  },
+
+  email(input) {
+    const email = extractEmail(input);
+    return email
+      ? valid(email, "📧 Thanks, got your email!")
+      : invalid("❌ That doesn't look like a valid email address. Please enter it like name@example.com:");
+  },
+
+  city(input) {
+    const city = findIndianCity(input);
+    return city
+      ? valid(city.name, `🏙️ ${city.name}, great!`)
+      : invalid("❌ We couldn't find that city in India. Please check the spelling and enter your city name again:");
+  },
+
+  age(input, step) {
+    const match = (input || "").match(/\d{1,3}/);
+    const age = match ? parseInt(match[0], 10) : NaN;
+    return age >= 13 && age <= 100
+      ? valid(String(age), "👍 Got it!")
+      : invalid(step?.invalidMessage || "❌ Please enter your age as a number:");
+  },
+
+  text(input, step) {
+    const value = (input || "").trim();
+    return value.length >= 2 && value.length <= 100
+      ? valid(value, "👍 Noted!")
+      : invalid(step?.invalidMessage || "❌ Please enter a short answer:");
+  },
+};
+
+export const localValidator = {
+  name: "local",
+  supports: (kind) => kind in validators,
+  isAvailable: () => true,
+  async validate(kind, input, { step } = {}) {
+    return validators[kind](input, step);
+  },
+};
+
+export default localValidator;
@@ -0,0 +1,167 @@
+// mediaLibrary.js
+//
+// Videos and images uploaded from the dashboard and assigned to events such as
+// "registration_complete" or "winner". Files are kept under uploads/media; the
+// WhatsApp media id from uploading a file to the Graph API is cached with its
+// expiry so a file is uploaded once, not for every message.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import pool from "./db.js";
+import whatsappClient, { WhatsAppApiError } from "./whatsappClient.js";
+import { sendMedia } from "./whatsapp.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MEDIA_DIR = path.join(__dirname, "uploads", "media");
+
+// Events media can be assigned to, with a label for the dashboard
+export const MEDIA_EVENTS = {
+  registration_complete: "Registration complete",
+  winner: "Winner",
+};
+
+// WhatsApp's limits for what we can send; the kind is the message type
+export const MEDIA_TYPES = {
+  "video/mp4": { kind: "video", extension: "mp4", maxBytes: 16 * 1024 * 1024 },
+  "video/3gpp": { kind: "video", extension: "3gp", maxBytes: 16 * 1024 * 1024 },
+  "image/jpeg": { kind: "image", extension: "jpg", maxBytes: 5 * 1024 * 1024 },
+  "image/png": { kind: "image", extension: "png", maxBytes: 5 * 1024 * 1024 },
+};
+
+// Uploaded media ids are valid for 30 days; refresh them a day early
+const MEDIA_ID_TTL_DAYS = parseInt(process.env.MEDIA_ID_TTL_DAYS || "29", 10);
+
+/**
+ * Stores an uploaded file. Throws with a user-facing message when the type or
+ * size isn't something WhatsApp accepts.
+ */
+export async function createAsset({ filename, mimeType, data }) {
+  const type = MEDIA_TYPES[mimeType];
+  if (!type) {
+    throw new Error(`Unsupported file type ${mimeType}. Upload an MP4 video or a JPEG/PNG image.`);
+  }
+  if (!data?.length) {
+    throw new Error("The uploaded file is empty");
+  }
+  if (data.length > type.maxBytes) {
+    throw new Error(`File too large: WhatsApp accepts ${type.kind}s up to ${type.maxBytes / (1024 * 1024)}MB`);
+  }
+
+  fs.mkdirSync(MEDIA_DIR, { recursive: true });
+  const filePath = path.join(MEDIA_DIR, `${crypto.randomUUID()}.${type.extension}`);
+  fs.writeFileSync(filePath, data);
+
+  const result = await pool.query(
+    `INSERT INTO media_assets (filename, file_path, mime_type, kind, size)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [filename || path.basename(filePath), filePath, mimeType, type.kind, data.length]
+  );
+  return result.rows[0];
+}
+
+export async function listAssets() {
+  const assets = await pool.query(
+    `SELECT id, filename, mime_type, kind, size, wa_media_expires_at, created_at
+     FROM media_assets
+     ORDER BY created_at DESC`
+  );
+  const assignments = await pool.query("SELECT event, media_id, assigned_at FROM media_assignments");
+  return { assets: assets.rows, assignments: assignments.rows };
+}
+
+// Null for an unknown or malformed id
+export async function getAsset(id) {
+  if (!Number.isInteger(id)) {
+    return null;
+  }
+  const result = await pool.query("SELECT * FROM media_assets WHERE id = $1", [id]);
+  return result.rows[0] || null;
+}
+
+// Deletes the asset, its file and any assignments. Returns false if unknown.
+export async function deleteAsset(id) {
+  if (!Number.isInteger(id)) {
+    return false;
+  }
+  const result = await pool.query("DELETE FROM media_assets WHERE id = $1 RETURNING file_path", [id]);
+  if (result.rows.length === 0) {
+    return false;
+  }
+  fs.rmSync(result.rows[0].file_path, { force: true });
+  return true;
+}
+
+export async function assignMedia(event, mediaId) {
+  await pool.query(
+    `INSERT INTO media_assignments (event, media_id, assigned_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (event) DO UPDATE SET media_id = EXCLUDED.media_id, assigned_at = NOW()`,
+    [event, mediaId]
+  );
+}
+
+export async function unassignMedia(event) {
+  const result = await pool.query("DELETE FROM media_assignments WHERE event = $1", [event]);
+  return result.rowCount > 0;
+}
+
+// The asset assigned to `event`, or null
+export async function getEventMedia(event) {
+  const result = await pool.query(
+    `SELECT a.*
+     FROM media_assignments m
+     JOIN media_assets a ON a.id = m.media_id
+     WHERE m.event = $1`,
+    [event]
+  );
+  const asset = result.rows[0];
+  return asset && fs.existsSync(asset.file_path) ? asset : null;
+}
+
+// Returns `{ mediaId, uploaded }` for the asset, uploading the file if the
+// cached WhatsApp media id is missing, expired or `refresh` is set
+async function whatsappMediaId(asset, { refresh = false } = {}) {
+  const cached = asset.wa_media_id && new Date(asset.wa_media_expires_at) > new Date();
+  if (cached && !refresh) {
+    return { mediaId: asset.wa_media_id, uploaded: false };
+  }
+
+  const mediaId = await whatsappClient.uploadMedia(asset.file_path, asset.mime_type);
+  await pool.query(
+    `UPDATE media_assets
+     SET wa_media_id = $2, wa_media_expires_at = NOW() + ($3 || ' days')::interval
+     WHERE id = $1`,
+    [asset.id, mediaId, String(MEDIA_ID_TTL_DAYS)]
+  );
+  console.log(`📤 Uploaded media "${asset.filename}" to WhatsApp, media ID: ${mediaId}`);
+  return { mediaId, uploaded: true };
+}
+
+/**
+ * Sends the media assigned to `event`. Returns null when nothing is assigned,
+ * otherwise the sendMedia result. A media id WhatsApp no longer accepts is
+ * replaced by uploading the file again.
+ */
+export async function sendEventMedia(to, event, caption = "", options = {}) {
+  const asset = await getEventMedia(event);
+  if (!asset) {
+    return null;
+  }
+
+  const { mediaId, uploaded } = await whatsappMediaId(asset);
+  try {
+    return await sendMedia(to, asset.kind, { id: mediaId, caption }, options);
+  } catch (error) {
+    // A cached id that was rejected outright was most likely purged early
+    if (uploaded || !(error instanceof WhatsAppApiError) || error.retryable) {
+      throw error;
+    }
+    console.warn(`⚠️ Cached media id for "${asset.filename}" was rejected, uploading again:`, error.message);
+    const fresh = await whatsappMediaId(asset, { refresh: true });
+    return sendMedia(to, asset.kind, { id: fresh.mediaId, caption }, options);
+  }
+}
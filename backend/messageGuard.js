@@ -0,0 +1,95 @@
+// messageGuard.js
+//
+// Meta retries webhook deliveries it doesn't get a timely 200 for, so the same
+// WhatsApp message can reach POST /webhook more than once. Every message id is
+// claimed in Redis before processing, and messages from one phone are handled
+// one at a time so they can't race on the same `session:<phone>` hash.
+import crypto from "crypto";
+import redisClient from "./redisClient.js";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Meta gives up retrying after about a day
+const MESSAGE_SEEN_TTL_SECONDS = parseInt(process.env.MESSAGE_SEEN_TTL_SECONDS || "86400", 10);
+// The lock is extended while its task runs (OpenAI and Graph retries can take
+// longer than the TTL); the TTL only frees the lock of a crashed process
+const PHONE_LOCK_TTL_MS = 60 * 1000;
+const PHONE_LOCK_REFRESH_MS = 20 * 1000;
+const PHONE_LOCK_WAIT_MS = 30 * 1000;
+const PHONE_LOCK_RETRY_MS = 100;
+
+// Only delete the lock if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+// Only extend the lock if we still own it
+const REFRESH_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Returns true the first time a message id is seen, false for redeliveries.
+ */
+export async function claimMessage(messageId) {
+  const result = await redisClient.set(`wa:msg:${messageId}`, Date.now().toString(), {
+    expiration: { type: "EX", value: MESSAGE_SEEN_TTL_SECONDS },
+    condition: "NX",
+  });
+  return result === "OK";
+}
+
+/**
+ * Forgets a claimed message id so Meta's next retry is processed again.
+ * Used when handling failed before the message had any effect.
+ */
+export async function releaseMessage(messageId) {
+  await redisClient.del(`wa:msg:${messageId}`);
+}
+
+/**
+ * Runs `task` while holding the per-phone lock. Waits for a concurrent
+ * message from the same phone to finish first.
+ */
+export async function withPhoneLock(phone, task) {
+  const key = `lock:session:${phone}`;
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + PHONE_LOCK_WAIT_MS;
+
+  while (true) {
+    const acquired = await redisClient.set(key, token, {
+      expiration: { type: "PX", value: PHONE_LOCK_TTL_MS },
+      condition: "NX",
+    });
+    if (acquired === "OK") {
+      break;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for session lock of ${phone}`);
+    }
+    await sleep(PHONE_LOCK_RETRY_MS);
+  }
+
+  const refresh = setInterval(() => {
+    redisClient
+      .eval(REFRESH_LOCK_SCRIPT, { keys: [key], arguments: [token, String(PHONE_LOCK_TTL_MS)] })
+      .catch((error) => console.error(`Failed to extend session lock for ${phone}:`, error.message));
+  }, PHONE_LOCK_REFRESH_MS);
+
+  try {
+    return await task();
+  } finally {
+    clearInterval(refresh);
+    try {
+      await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [token] });
+    } catch (error) {
+      console.error(`Failed to release session lock for ${phone}:`, error.message);
+    }
+  }
+}
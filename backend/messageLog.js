@@ -0,0 +1,119 @@
+// messageLog.js
+//
+// Every outbound WhatsApp message is recorded with the id the Graph API
+// returned for it, and the status callbacks Meta sends to POST /webhook
+// (sent → delivered → read, or failed) update that record. This is how we can
+// show that e.g. a winner notification actually reached the phone.
+import pool from "./db.js";
+
+// Callbacks can arrive out of order, so a status never moves backwards.
+// `failed` always wins.
+const STATUS_RANK = {
+  accepted: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4,
+};
+
+/**
+ * Records a message the Graph API accepted. Never throws: a logging failure
+ * must not make a delivered message look like a failed send.
+ */
+export async function recordOutboundMessage({ waMessageId, phone, type, context = null, templateName = null, preview = null }) {
+  try {
+    await pool.query(
+      `INSERT INTO message_log (wa_message_id, phone_number, message_type, context, template_name, preview)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (wa_message_id) DO NOTHING`,
+      [waMessageId || null, phone, type, context, templateName, preview ? preview.slice(0, 500) : null]
+    );
+  } catch (error) {
+    console.error(`Failed to record outbound ${type} message to ${phone}:`, error.message);
+  }
+}
+
+/**
+ * Applies one entry of a webhook's `value.statuses` array.
+ * Returns false when the message id is unknown, e.g. sent from another system.
+ */
+export async function applyStatusUpdate(statusUpdate) {
+  const { id, status, timestamp, recipient_id: recipient, errors } = statusUpdate;
+  if (!id || !(status in STATUS_RANK)) {
+    console.warn("Ignoring unrecognised status update:", statusUpdate);
+    return false;
+  }
+
+  const at = timestamp ? new Date(parseInt(timestamp, 10) * 1000) : new Date();
+  const error = errors?.[0];
+  const timestampColumn = status === "accepted" ? null : `${status}_at`;
+
+  const result = await pool.query(
+    `UPDATE message_log
+     SET status = CASE
+           WHEN status = 'failed' THEN status
+           WHEN $2 = 'failed' THEN $2
+           WHEN ${rankSql("$2")} > ${rankSql("status")} THEN $2
+           ELSE status
+         END,
+         ${timestampColumn ? `${timestampColumn} = COALESCE(${timestampColumn}, $3),` : ""}
+         error_code = COALESCE($4, error_code),
+         error_title = COALESCE($5, error_title),
+         error_details = COALESCE($6, error_details),
+         updated_at = NOW()
+     WHERE wa_message_id = $1
+     RETURNING status`,
+    [
+      id,
+      status,
+      at,
+      error?.code ?? null,
+      error?.title || error?.message || null,
+      error?.error_data?.details || null,
+    ]
+  );
+
+  if (result.rows.length === 0) {
+    console.log(`Status "${status}" for unknown message ${id} (${recipient})`);
+    return false;
+  }
+
+  if (status === "failed") {
+    console.error(`❌ WhatsApp message ${id} to ${recipient} failed:`, errors);
+  }
+  return true;
+}
+
+function rankSql(column) {
+  const cases = Object.entries(STATUS_RANK)
+    .map(([status, rank]) => `WHEN '${status}' THEN ${rank}`)
+    .join(" ");
+  return `(CASE ${column} ${cases} ELSE 0 END)`;
+}
+
+export async function findMessages({ phone, context, waMessageId, limit = 100 }) {
+  const conditions = [];
+  const params = [];
+  if (phone) {
+    params.push(phone);
+    conditions.push(`phone_number = $${params.length}`);
+  }
+  if (context) {
+    params.push(context);
+    conditions.push(`context = $${params.length}`);
+  }
+  if (waMessageId) {
+    params.push(waMessageId);
+    conditions.push(`wa_message_id = $${params.length}`);
+  }
+  params.push(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500));
+
+  const result = await pool.query(
+    `SELECT * FROM message_log
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY created_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
@@ -0,0 +1,78 @@
+// migrate.js
+//
+// Brings the database schema up to date from the numbered SQL files in
+// migrations/. Each file runs once, in its own transaction, and is recorded
+// in schema_migrations; add a new file rather than editing an applied one.
+// The bot and the worker migrate at startup, or run it on its own:
+//
+//             npm run migrate
+//
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import pool from "./db.js";
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+
+// Held while migrating, so the bot and the worker starting together don't
+// both apply the same file
+const MIGRATION_LOCK_ID = 7200723;
+
+// Applies the pending migrations in order and returns their versions
+export async function runMigrations() {
+  const client = await pool.connect();
+  // RAISE WARNING / NOTICE in a migration, e.g. rows it couldn't carry over
+  const logNotice = (notice) => console.warn(`⚠️ Migration: ${notice.message}`);
+  client.on("notice", logNotice);
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`);
+
+    const applied = new Set(
+      (await client.query("SELECT version FROM schema_migrations")).rows.map((row) => row.version)
+    );
+    const files = (await fs.readdir(MIGRATIONS_DIR)).filter((file) => file.endsWith(".sql")).sort();
+
+    const ran = [];
+    for (const file of files) {
+      const version = path.basename(file, ".sql");
+      if (applied.has(version)) {
+        continue;
+      }
+      const sql = await fs.readFile(path.join(MIGRATIONS_DIR, file), "utf8");
+      try {
+        await client.query("BEGIN");
+        await client.query(sql);
+        await client.query("INSERT INTO schema_migrations (version) VALUES ($1)", [version]);
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw new Error(`Migration ${file} failed: ${error.message}`);
+      }
+      console.log(`🗄️ Applied migration ${version}`);
+      ran.push(version);
+    }
+    return ran;
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+    client.off("notice", logNotice);
+    client.release();
+  }
+}
+
+// `node migrate.js`
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    const ran = await runMigrations();
+    console.log(ran.length > 0 ? `✅ Applied ${ran.length} migration(s)` : "✅ Database schema is up to date");
+  } catch (error) {
+    console.error("❌ Migration failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
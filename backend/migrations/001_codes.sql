@@ -0,0 +1,32 @@
+-- Scratch codes. Until 012 a redeemed code also held the participant's
+-- details and whether they won.
+CREATE TABLE IF NOT EXISTS codes (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  code_id TEXT UNIQUE,
+  status TEXT NOT NULL DEFAULT 'active',
+  "name" TEXT,
+  email TEXT,
+  city TEXT,
+  phone_number TEXT,
+  is_winner BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Databases that had a codes table before migrations skip the CREATE above,
+-- so check the one column later migrations rely on the type of: code_id
+-- holds printed serials such as B0007-000042 (codeBatches.js)
+DO $$
+DECLARE
+  code_id_type TEXT;
+BEGIN
+  SELECT data_type INTO code_id_type
+  FROM information_schema.columns
+  WHERE table_schema = current_schema() AND table_name = 'codes' AND column_name = 'code_id';
+
+  IF code_id_type IS NULL THEN
+    ALTER TABLE codes ADD COLUMN code_id TEXT UNIQUE;
+  ELSIF code_id_type NOT IN ('text', 'character varying') THEN
+    RAISE EXCEPTION 'codes.code_id is %, expected text; convert it with ALTER TABLE codes ALTER COLUMN code_id TYPE TEXT and migrate again', code_id_type;
+  END IF;
+END $$;
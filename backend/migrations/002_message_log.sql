@@ -0,0 +1,22 @@
+-- Outbound WhatsApp messages and their delivery status (messageLog.js)
+CREATE TABLE IF NOT EXISTS message_log (
+  id SERIAL PRIMARY KEY,
+  wa_message_id TEXT UNIQUE,
+  phone_number TEXT NOT NULL,
+  message_type TEXT NOT NULL,
+  context TEXT,
+  template_name TEXT,
+  preview TEXT,
+  status TEXT NOT NULL DEFAULT 'accepted',
+  error_code INTEGER,
+  error_title TEXT,
+  error_details TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  read_at TIMESTAMPTZ,
+  failed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS message_log_phone_idx ON message_log (phone_number, created_at DESC);
@@ -0,0 +1,4 @@
+-- A code held for the phone that entered it while it registers (codeReservations.js)
+ALTER TABLE codes
+  ADD COLUMN IF NOT EXISTS reserved_by TEXT,
+  ADD COLUMN IF NOT EXISTS reserved_until TIMESTAMPTZ;
@@ -0,0 +1,6 @@
+-- Numbers that sent STOP (optOuts.js)
+CREATE TABLE IF NOT EXISTS opt_outs (
+  phone_number TEXT PRIMARY KEY,
+  opted_out_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  source TEXT
+);
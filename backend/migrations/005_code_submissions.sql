@@ -0,0 +1,16 @@
+-- Photos of scratch cards waiting for an admin to read the code (codeSubmissions.js)
+CREATE TABLE IF NOT EXISTS code_submissions (
+  id SERIAL PRIMARY KEY,
+  phone_number TEXT NOT NULL,
+  wa_media_id TEXT UNIQUE,
+  file_path TEXT NOT NULL,
+  mime_type TEXT,
+  caption TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  code TEXT,
+  review_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reviewed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS code_submissions_status_idx ON code_submissions (status, created_at);
@@ -0,0 +1,9 @@
+-- Unfinished registrations, kept past the Redis session (registrationProgress.js)
+CREATE TABLE IF NOT EXISTS registration_progress (
+  phone_number TEXT PRIMARY KEY,
+  step TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reminder_sent_at TIMESTAMPTZ,
+  reminders_sent INTEGER NOT NULL DEFAULT 0
+);
@@ -0,0 +1,18 @@
+-- Uploaded media and the events that send them (mediaLibrary.js)
+CREATE TABLE IF NOT EXISTS media_assets (
+  id SERIAL PRIMARY KEY,
+  filename TEXT NOT NULL,
+  file_path TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  wa_media_id TEXT,
+  wa_media_expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS media_assignments (
+  event TEXT PRIMARY KEY,
+  media_id INTEGER NOT NULL REFERENCES media_assets (id) ON DELETE CASCADE,
+  assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
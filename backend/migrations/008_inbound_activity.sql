@@ -0,0 +1,5 @@
+-- Each phone's last message to us, for the 24-hour window (customerWindow.js)
+CREATE TABLE IF NOT EXISTS inbound_activity (
+  phone_number TEXT PRIMARY KEY,
+  last_inbound_at TIMESTAMPTZ NOT NULL
+);
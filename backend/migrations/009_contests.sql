@@ -0,0 +1,21 @@
+-- Contests, each with its own codes (contests.js)
+CREATE TABLE IF NOT EXISTS contests (
+  id SERIAL PRIMARY KEY,
+  "name" TEXT NOT NULL,
+  brand TEXT,
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  active BOOLEAN NOT NULL DEFAULT true,
+  copy JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE codes ADD COLUMN IF NOT EXISTS contest_id INTEGER REFERENCES contests (id);
+CREATE INDEX IF NOT EXISTS codes_contest_idx ON codes (contest_id, status);
+
+-- Everything before contests existed was Maidan 72
+INSERT INTO contests ("name", brand)
+SELECT 'Maidan 72 Club', 'Rexona'
+WHERE NOT EXISTS (SELECT 1 FROM contests);
+
+UPDATE codes SET contest_id = (SELECT MIN(id) FROM contests) WHERE contest_id IS NULL;
@@ -0,0 +1,14 @@
+-- Print batches of generated codes (codeBatches.js)
+CREATE TABLE IF NOT EXISTS code_batches (
+  id SERIAL PRIMARY KEY,
+  "name" TEXT NOT NULL UNIQUE,
+  contest_id INTEGER REFERENCES contests (id),
+  quantity INTEGER NOT NULL,
+  product TEXT,
+  vendor TEXT,
+  region TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE codes ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES code_batches (id);
+CREATE INDEX IF NOT EXISTS codes_batch_idx ON codes (batch_id, status);
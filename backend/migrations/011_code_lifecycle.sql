@@ -0,0 +1,40 @@
+-- Validity dates and status history of codes (codeLifecycle.js)
+ALTER TABLE codes
+  ADD COLUMN IF NOT EXISTS valid_from TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS valid_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS changed_by TEXT,
+  ADD COLUMN IF NOT EXISTS change_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS code_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  code TEXT NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  changed_by TEXT NOT NULL,
+  reason TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS code_status_history_code_idx ON code_status_history (code, changed_at);
+
+-- Records every status change with the changed_by / change_reason set by the
+-- same UPDATE, then clears them for the next one
+CREATE OR REPLACE FUNCTION record_code_status_change() RETURNS trigger AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO code_status_history (code, from_status, to_status, changed_by, reason)
+    VALUES (NEW.code, OLD.status, NEW.status, COALESCE(NEW.changed_by, 'system'), NEW.change_reason);
+  END IF;
+  NEW.changed_by := NULL;
+  NEW.change_reason := NULL;
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS codes_status_history ON codes;
+CREATE TRIGGER codes_status_history
+BEFORE UPDATE ON codes
+FOR EACH ROW EXECUTE FUNCTION record_code_status_change();
+
+-- Before these states existed a redeemed code was "inactive"
+UPDATE codes SET status = 'redeemed', changed_by = 'migration' WHERE status = 'inactive';
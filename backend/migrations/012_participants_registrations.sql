@@ -0,0 +1,83 @@
+-- People and the codes they registered, instead of details on the code row.
+-- A participant is one phone number with its latest details; a registration
+-- is one redeemed code of theirs.
+CREATE TABLE participants (
+  id SERIAL PRIMARY KEY,
+  phone_number TEXT NOT NULL UNIQUE,
+  "name" TEXT,
+  email TEXT,
+  city TEXT,
+  age INTEGER,
+  favourite_team TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX participants_email_idx ON participants (email);
+
+-- Databases created before the schema lived here may lack the constraint
+CREATE UNIQUE INDEX IF NOT EXISTS codes_code_key ON codes (code);
+
+CREATE TABLE registrations (
+  id SERIAL PRIMARY KEY,
+  participant_id INTEGER NOT NULL REFERENCES participants (id) ON DELETE CASCADE,
+  code TEXT NOT NULL UNIQUE REFERENCES codes (code),
+  contest_id INTEGER REFERENCES contests (id),
+  is_winner BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX registrations_participant_idx ON registrations (participant_id);
+CREATE INDEX registrations_contest_idx ON registrations (contest_id, created_at);
+
+-- Optional flow fields were added to codes by hand, if at all
+ALTER TABLE codes
+  ADD COLUMN IF NOT EXISTS age TEXT,
+  ADD COLUMN IF NOT EXISTS favourite_team TEXT;
+
+-- One participant per phone, with the details of their latest registration
+INSERT INTO participants (phone_number, "name", email, city, age, favourite_team, created_at, updated_at)
+SELECT DISTINCT ON (phone_number)
+       phone_number, TRIM("name"), email, city,
+       CASE WHEN age::text ~ '^\d{1,3}$' THEN age::text::integer END,
+       favourite_team,
+       COALESCE(MIN(created_at) OVER (PARTITION BY phone_number), NOW()),
+       COALESCE(created_at, NOW())
+FROM codes
+WHERE status = 'redeemed' AND phone_number IS NOT NULL
+ORDER BY phone_number, created_at DESC NULLS LAST;
+
+INSERT INTO registrations (participant_id, code, contest_id, is_winner, created_at)
+SELECT participants.id, codes.code, codes.contest_id, COALESCE(codes.is_winner, false), COALESCE(codes.created_at, NOW())
+FROM codes
+JOIN participants ON participants.phone_number = codes.phone_number
+WHERE codes.status = 'redeemed';
+
+-- Redeemed codes without a phone number have no participant to move to.
+-- Their details are kept here instead of being dropped with the columns.
+CREATE TABLE legacy_unlinked_codes AS
+SELECT code, "name", email, city, age::text AS age, favourite_team,
+       COALESCE(is_winner, false) AS is_winner, created_at
+FROM codes
+WHERE status = 'redeemed' AND phone_number IS NULL
+  AND ("name" IS NOT NULL OR email IS NOT NULL OR city IS NOT NULL
+       OR age IS NOT NULL OR favourite_team IS NOT NULL OR is_winner);
+
+DO $$
+DECLARE
+  unlinked INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO unlinked FROM legacy_unlinked_codes;
+  IF unlinked > 0 THEN
+    RAISE WARNING '% redeemed code(s) had details but no phone number; they are kept in legacy_unlinked_codes', unlinked;
+  END IF;
+END $$;
+
+ALTER TABLE codes
+  DROP COLUMN IF EXISTS "name",
+  DROP COLUMN IF EXISTS email,
+  DROP COLUMN IF EXISTS city,
+  DROP COLUMN IF EXISTS phone_number,
+  DROP COLUMN IF EXISTS is_winner,
+  DROP COLUMN IF EXISTS age,
+  DROP COLUMN IF EXISTS favourite_team;
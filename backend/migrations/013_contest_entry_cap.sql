@@ -0,0 +1,2 @@
+-- How many codes one participant may register in a contest; NULL is no limit
+ALTER TABLE contests ADD COLUMN max_entries INTEGER CHECK (max_entries > 0);
@@ -0,0 +1,21 @@
+-- Recorded winner draws (winnerDraws.js). `pool` is the eligible tickets the
+-- draw ran on and `pool_hash` their SHA-256, so the draw can be re-run.
+CREATE TABLE winner_draws (
+  id SERIAL PRIMARY KEY,
+  contest_id INTEGER NOT NULL REFERENCES contests (id),
+  algorithm TEXT NOT NULL,
+  seed TEXT NOT NULL,
+  inputs JSONB NOT NULL,
+  pool JSONB NOT NULL,
+  pool_size INTEGER NOT NULL,
+  pool_hash TEXT NOT NULL,
+  results JSONB NOT NULL,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  applied_at TIMESTAMPTZ
+);
+
+CREATE INDEX winner_draws_contest_idx ON winner_draws (contest_id, created_at DESC);
+
+-- The draw a winning registration came from; NULL for winners picked by hand
+ALTER TABLE registrations ADD COLUMN draw_id INTEGER REFERENCES winner_draws (id);
@@ -0,0 +1,6 @@
+-- A contest's winners come from one applied draw at a time. Applying another
+-- needs a reason and marks the earlier draw as superseded by it.
+ALTER TABLE winner_draws
+  ADD COLUMN apply_reason TEXT,
+  ADD COLUMN superseded_by INTEGER REFERENCES winner_draws (id),
+  ADD COLUMN superseded_at TIMESTAMPTZ;
@@ -0,0 +1,265 @@
+// mockGraph.js
+//
+// Offline stand-in for the WhatsApp Cloud API, so the bot can be run without
+// a real number or token. Start it with
+//
+//             npm run mock-graph
+//
+// and run the bot with GRAPH_API_BASE_URL=http://localhost:4010. simulator.js
+// starts one of these itself and chats with the bot through it.
+//
+//   POST   /:version/:phoneNumberId/messages  records the message, replies like the Graph API
+//   POST   /:version/:phoneNumberId/media     accepts a multipart upload, returns a media id
+//   GET    /:version/:mediaId                 media metadata with a download url
+//   GET    /mock/media/:mediaId               the uploaded bytes
+//   POST   /mock/media                        raw upload (Content-Type = mime type), returns a media id
+//   GET    /mock/messages?to=&after=          recorded messages, `after` = last seen `seq`
+//   DELETE /mock/messages                     forgets recorded messages
+//   POST   /mock/inbound                      { from, text | button | replyId | ... } as a signed webhook
+//
+// With a webhook url configured, "sent" and "delivered" statuses are posted
+// back for every message, like Meta does.
+import axios from "axios";
+import crypto from "crypto";
+import express from "express";
+import { EventEmitter } from "events";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { SIGNATURE_HEADER, signRequestBody } from "./webhookSignature.js";
+dotenv.config();
+
+export const MOCK_GRAPH_PORT = parseInt(process.env.MOCK_GRAPH_PORT || "4010", 10);
+const MOCK_PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID || "000000000000000";
+
+/**
+ * Builds the `messages[0]` entry of an inbound webhook. `input` is one of
+ * `{ text }`, `{ button }` (template quick reply), `{ replyId, replyTitle }`
+ * (interactive button), `{ listReplyId }`, `{ flowToken }` (form submitted)
+ * `{ imageId, mimeType, caption }` (an uploaded photo) or
+ * `{ location: { latitude, longitude } }`.
+ */
+export function buildInboundMessage(from, input) {
+  const message = {
+    from,
+    id: `wamid.MOCKIN.${crypto.randomUUID()}`,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+  };
+
+  if (input.button) {
+    return { ...message, type: "button", button: { text: input.button, payload: input.button } };
+  }
+  if (input.replyId) {
+    return {
+      ...message,
+      type: "interactive",
+      interactive: { type: "button_reply", button_reply: { id: input.replyId, title: input.replyTitle || input.replyId } },
+    };
+  }
+  if (input.listReplyId) {
+    return {
+      ...message,
+      type: "interactive",
+      interactive: { type: "list_reply", list_reply: { id: input.listReplyId, title: input.listReplyId } },
+    };
+  }
+  if (input.flowToken) {
+    return {
+      ...message,
+      type: "interactive",
+      interactive: {
+        type: "nfm_reply",
+        nfm_reply: { name: "flow", body: "Sent", response_json: JSON.stringify({ flow_token: input.flowToken }) },
+      },
+    };
+  }
+  if (input.imageId) {
+    return {
+      ...message,
+      type: "image",
+      image: { id: input.imageId, mime_type: input.mimeType || "image/jpeg", caption: input.caption },
+    };
+  }
+  if (input.location) {
+    return { ...message, type: "location", location: input.location };
+  }
+  return { ...message, type: "text", text: { body: input.text ?? "" } };
+}
+
+export function buildWebhookPayload({ messages = [], statuses = [] }) {
+  return {
+    object: "whatsapp_business_account",
+    entry: [{
+      id: "MOCK_WABA_ID",
+      changes: [{
+        field: "messages",
+        value: {
+          messaging_product: "whatsapp",
+          metadata: { display_phone_number: "15550000000", phone_number_id: MOCK_PHONE_NUMBER_ID },
+          ...(messages.length ? { contacts: messages.map((m) => ({ profile: { name: "Mock User" }, wa_id: m.from })) } : {}),
+          ...(messages.length ? { messages } : {}),
+          ...(statuses.length ? { statuses } : {}),
+        },
+      }],
+    }],
+  };
+}
+
+// POSTs a payload to the bot's webhook, signed the way Meta signs it
+export async function postWebhook(webhookUrl, payload, appSecret = process.env.APP_SECRET) {
+  const body = JSON.stringify(payload);
+  const headers = { "Content-Type": "application/json" };
+  if (appSecret) {
+    headers[SIGNATURE_HEADER] = signRequestBody(body, appSecret);
+  }
+  return axios.post(webhookUrl, body, { headers, timeout: 30000, validateStatus: () => true });
+}
+
+// Pulls the `file` part out of a multipart/form-data body
+function parseMultipartFile(buffer, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!boundary) {
+    return null;
+  }
+  const delimiter = `--${boundary[1] || boundary[2]}`;
+  for (const part of buffer.toString("latin1").split(delimiter)) {
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd === -1 || !/name="file"/.test(part.slice(0, headerEnd))) {
+      continue;
+    }
+    const mimeType = /content-type:\s*([^\r\n]+)/i.exec(part.slice(0, headerEnd))?.[1] || "application/octet-stream";
+    const content = part.slice(headerEnd + 4).replace(/\r\n$/, "");
+    return { mimeType, data: Buffer.from(content, "latin1") };
+  }
+  return null;
+}
+
+/**
+ * Returns `{ app, events, messages }`. `events` emits "message" for every
+ * message the bot sends.
+ */
+export function createMockGraphServer({ webhookUrl = process.env.MOCK_WEBHOOK_URL, appSecret = process.env.APP_SECRET, baseUrl = `http://localhost:${MOCK_GRAPH_PORT}` } = {}) {
+  const app = express();
+  const events = new EventEmitter();
+  const messages = [];
+  const media = new Map();
+  let seq = 0;
+
+  const storeMedia = (data, mimeType) => {
+    const id = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    media.set(id, { id, data, mimeType, sha256: crypto.createHash("sha256").update(data).digest("hex") });
+    return id;
+  };
+
+  async function sendStatuses(message) {
+    for (const status of ["sent", "delivered"]) {
+      const payload = buildWebhookPayload({
+        statuses: [{ id: message.id, status, timestamp: String(Math.floor(Date.now() / 1000)), recipient_id: message.to }],
+      });
+      try {
+        await postWebhook(webhookUrl, payload, appSecret);
+      } catch (error) {
+        console.error(`Mock Graph: failed to post ${status} status:`, error.message);
+      }
+    }
+  }
+
+  app.get("/mock/messages", (req, res) => {
+    const after = parseInt(req.query.after, 10) || 0;
+    res.json({
+      messages: messages.filter((m) => m.seq > after && (!req.query.to || m.to === req.query.to)),
+    });
+  });
+
+  app.delete("/mock/messages", (req, res) => {
+    messages.length = 0;
+    res.json({ success: true });
+  });
+
+  app.post("/mock/media", express.raw({ type: () => true, limit: "20mb" }), (req, res) => {
+    res.json({ id: storeMedia(req.body, req.get("content-type") || "application/octet-stream") });
+  });
+
+  app.get("/mock/media/:mediaId", (req, res) => {
+    const item = media.get(req.params.mediaId);
+    if (!item) {
+      return res.status(404).json({ error: { message: "Unknown media id", code: 100 } });
+    }
+    res.type(item.mimeType).send(item.data);
+  });
+
+  app.post("/mock/inbound", express.json(), async (req, res) => {
+    if (!webhookUrl) {
+      return res.status(400).json({ error: "No webhook url configured (MOCK_WEBHOOK_URL)" });
+    }
+    try {
+      const { from, ...input } = req.body || {};
+      const payload = buildWebhookPayload({ messages: [buildInboundMessage(from, input)] });
+      const response = await postWebhook(webhookUrl, payload, appSecret);
+      res.json({ webhookStatus: response.status });
+    } catch (error) {
+      // e.g. the bot isn't running
+      res.status(502).json({ error: error.message });
+    }
+  });
+
+  app.post("/:version/:phoneNumberId/messages", express.json(), (req, res) => {
+    const id = `wamid.MOCK.${crypto.randomUUID()}`;
+    const message = {
+      seq: ++seq,
+      id,
+      to: req.body?.to,
+      type: req.body?.type || "text",
+      payload: req.body,
+      at: new Date().toISOString(),
+    };
+    messages.push(message);
+    events.emit("message", message);
+
+    if (webhookUrl) {
+      setTimeout(() => sendStatuses(message), 200);
+    }
+
+    res.json({
+      messaging_product: "whatsapp",
+      contacts: [{ input: message.to, wa_id: message.to }],
+      messages: [{ id }],
+    });
+  });
+
+  app.post("/:version/:phoneNumberId/media", express.raw({ type: () => true, limit: "20mb" }), (req, res) => {
+    const file = parseMultipartFile(req.body, req.get("content-type"));
+    if (!file) {
+      return res.status(400).json({ error: { message: "Missing file part", code: 100 } });
+    }
+    res.json({ id: storeMedia(file.data, file.mimeType) });
+  });
+
+  app.get("/:version/:mediaId", (req, res) => {
+    const item = media.get(req.params.mediaId);
+    if (!item) {
+      return res.status(404).json({ error: { message: "Unknown media id", code: 100 } });
+    }
+    res.json({
+      messaging_product: "whatsapp",
+      id: item.id,
+      url: `${baseUrl}/mock/media/${item.id}`,
+      mime_type: item.mimeType,
+      sha256: item.sha256,
+      file_size: item.data.length,
+    });
+  });
+
+  return { app, events, messages };
+}
+
+// Run standalone: node mockGraph.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { app, events } = createMockGraphServer();
+  events.on("message", (message) => console.log(`📤 ${message.type} to ${message.to}:`, JSON.stringify(message.payload)));
+  app.listen(MOCK_GRAPH_PORT, () => {
+    console.log(`🧪 Mock Graph API listening on http://localhost:${MOCK_GRAPH_PORT}`);
+    if (!process.env.MOCK_WEBHOOK_URL) {
+      console.log("ℹ️ Set MOCK_WEBHOOK_URL to post delivery statuses and /mock/inbound messages to the bot");
+    }
+  });
+}
@@ -0,0 +1,105 @@
+// openaiValidator.js
+//
+// Validation provider backed by an OpenAI chat model. Good at pulling a value
+// out of free-form replies, but depends on the API being reachable, so it
+// throws on failure and lets the provider chain fall back (see validationProviders.js).
+import OpenAI from "openai";
+import dotenv from "dotenv";
+dotenv.config();
+
+const SUPPORTED_KINDS = ["code", "name", "email", "city"];
+
+let openai = null;
+
+function getClient() {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      timeout: parseInt(process.env.OPENAI_TIMEOUT_MS || "10000", 10),
+      maxRetries: 1,
+    });
+  }
+  return openai;
+}
+
+async function validateWithOpenAI(userInput, currentStep, sessionData = {}) {
+  try {
+    const systemPrompt = `You are a validation assistant for Meraki Sports registration flow. The user is asked for one detail per step, for example:
+- ASK_NAME: User provides their name
+- ASK_EMAIL: User provides their email address  
+- ASK_CITY: User provides their city (must be in India)
+- ASK_CODE: User provides a stratch code
+
+Current step: ${currentStep}
+Session data: ${JSON.stringify(sessionData)}
+
+IMPORTANT: Users may provide information in conversational format or complete sentences. You must intelligently EXTRACT the relevant information from their text.
+
+Examples:
+- "here's my email: aditya.sakpal2081@gmail.com" → extract "aditya.sakpal2081@gmail.com"
+- "My nameis John Smith" → extract "John Smith"
+- "I live in Mumbai, India" → extract "Mumbai"
+- "The code is ABC123" → extract "ABC123"
+
+For each validation, return a JSON response with:
+{
+  "message": "success/error message with next step if valid",
+  "is_valid": true/false,
+  "value": "extracted_clean_value_or_empty_string"
+}
+
+Validation rules:
+- NAME: Minimum 2 characters, no numbers or special characters except spaces, hyphens, apostrophes. Extract the actual namefrom conversational text.
+- EMAIL: Valid email format ONLY. Extract email address from any text that contains it. Do NOT check if email exists or is already registered.
+- CITY: Must be a city in India. Extract city namefrom conversational text, even if mentioned with state/country.
+- CODE: Must be exactly 6 characters, alphanumeric combination of letters and numbers. Extract the code from conversational text. Do NOT check if code exists in database.
+
+If valid:
+- message: Short energetic acknowledgement. Do NOT ask for the next detail, the bot asks for it separately
+- is_valid: true
+- value: cleaned/extracted value (ONLY the relevant data, not the full sentence)
+
+If invalid:
+- message: Explain why invalid + ask for correct input
+- is_valid: false  
+- value: ""`;
+
+    const userPrompt = `Current step: ${currentStep}
+User input: "${userInput}"
+
+Validate this input according to the current step requirements.`;
+
+    const completion = await getClient().chat.completions.create({
+      model: "gpt-4o-mini",
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt }
+      ],
+      response_format: { type: "json_object" },
+      temperature: 0.1,
+    });
+
+    const result = JSON.parse(completion.choices[0].message.content);
+    if (typeof result.is_valid !== "boolean") {
+      throw new Error("OpenAI returned an unexpected validation result");
+    }
+    console.log(`OpenAI validation result for ${currentStep}:`, result);
+    return result;
+
+  } catch (error) {
+    console.error("OpenAI validation error:", error.message);
+    // Let the provider chain fall back to the next provider
+    throw error;
+  }
+}
+
+export const openaiValidator = {
+  name: "openai",
+  supports: (kind) => SUPPORTED_KINDS.includes(kind),
+  isAvailable: () => Boolean(process.env.OPENAI_API_KEY),
+  async validate(kind, input, { session } = {}) {
+    return validateWithOpenAI(input, `ASK_${kind.toUpperCase()}`, session);
+  },
+};
+
+export default openaiValidator;
@@ -0,0 +1,28 @@
+// optOuts.js
+//
+// Phones that sent STOP. The senders in whatsapp.js check this before every
+// message, so an opted-out number only hears from us again after START.
+import pool from "./db.js";
+
+export async function isOptedOut(phone) {
+  const result = await pool.query("SELECT 1 FROM opt_outs WHERE phone_number = $1", [phone]);
+  return result.rows.length > 0;
+}
+
+export async function optOut(phone, source = "chat") {
+  await pool.query(
+    `INSERT INTO opt_outs (phone_number, source) VALUES ($1, $2)
+     ON CONFLICT (phone_number) DO UPDATE SET opted_out_at = NOW(), source = EXCLUDED.source`,
+    [phone, source]
+  );
+  console.log(`🔕 ${phone} opted out of WhatsApp messages`);
+}
+
+// Returns true if the phone had opted out
+export async function optIn(phone) {
+  const result = await pool.query("DELETE FROM opt_outs WHERE phone_number = $1", [phone]);
+  if (result.rowCount > 0) {
+    console.log(`🔔 ${phone} opted back in to WhatsApp messages`);
+  }
+  return result.rowCount > 0;
+}
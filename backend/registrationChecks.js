@@ -0,0 +1,76 @@
+// registrationChecks.js
+//
+// Checks run on a validated answer before the registration moves on, shared
+// by the chat flow (webhook.js) and the WhatsApp Flow form (flow.js). Each
+// returns `{ ok: true }` or `{ ok: false, message }`.
+import pool from "./db.js";
+import { recordSuccessfulAttempt } from "./codeAttemptGuard.js";
+import { reserveCode } from "./codeReservations.js";
+import { contestState, findContestForCode } from "./contests.js";
+import { countEntries } from "./registrations.js";
+import { renderTemplate } from "./conversationEngine.js";
+
+// Replies for a code whose contest isn't running, by contestState()
+const CONTEST_CLOSED_MESSAGES = {
+  inactive: "❌ {{contest}} is not accepting registrations at the moment. Please enter a scratch code from another contest:",
+  not_started: "⏳ {{contest}} hasn't started yet. Please try this scratch code again once it opens, or enter another scratch code:",
+  ended: "🏁 {{contest}} has ended and is no longer accepting registrations. Please enter a scratch code from another contest:",
+};
+
+const ENTRY_LIMIT_MESSAGE = "🎟️ You've already entered {{contest}} with {{maxEntries}} scratch code(s), the most one person can. Please enter a scratch code from another contest:";
+
+// Replies for a code that couldn't be reserved, by unavailableReason()
+const UNAVAILABLE_CODE_MESSAGES = {
+  held_by_other: "⏳ This scratch code is currently being registered by someone else. If it's yours, please try again in a little while or enter another scratch code:",
+  expired: "⌛ This scratch code has expired and can no longer be registered. Please enter another scratch code:",
+  voided: "🚫 This scratch code has been cancelled and can't be registered. If you think this is a mistake, please contact support, or enter another scratch code:",
+  not_yet_valid: "⏳ This scratch code can't be registered yet. Please try again later or enter another scratch code:",
+  unavailable: "❌ Invalid scratch code. This code is not found in our system or has already been used. Please provide a valid scratch code:",
+};
+
+// The reply for a code that can't be reserved or redeemed, or null when
+// `reason` isn't one of unavailableReason()'s
+export const unavailableCodeMessage = (reason) => UNAVAILABLE_CODE_MESSAGES[reason] || null;
+
+// Reservation failures that count as a wrong guess
+const WRONG_CODE_REASONS = ["unavailable", "held_by_other"];
+
+export const registrationChecks = {
+  // Holds the code for this phone until the session expires, if its contest
+  // is running and the phone has entries left in it
+  reserveCode: async (code, { phone }) => {
+    const contest = await findContestForCode(code);
+    if (contest) {
+      const state = contestState(contest);
+      if (state !== "open") {
+        return { ok: false, message: renderTemplate(CONTEST_CLOSED_MESSAGES[state], { contest: contest.name }) };
+      }
+      if (contest.max_entries !== null && await countEntries(phone, contest.id) >= contest.max_entries) {
+        return { ok: false, message: renderTemplate(ENTRY_LIMIT_MESSAGE, { contest: contest.name, maxEntries: contest.max_entries }) };
+      }
+    }
+
+    const reservation = await reserveCode(code, phone);
+    if (reservation.reserved) {
+      await recordSuccessfulAttempt(phone);
+      return { ok: true };
+    }
+    return {
+      ok: false,
+      message: UNAVAILABLE_CODE_MESSAGES[reservation.reason] || UNAVAILABLE_CODE_MESSAGES.unavailable,
+      // Unknown, used or held codes count towards the phone's lockout; an
+      // expired, voided or not yet valid code was at least a real one
+      wrongCode: WRONG_CODE_REASONS.includes(reservation.reason)
+    };
+  },
+  emailUnused: async (email, { phone }) => {
+    // Someone registering another code may keep their own email
+    const result = await pool.query(
+      "SELECT 1 FROM participants WHERE email = $1 AND phone_number <> $2",
+      [email, phone]
+    );
+    return result.rows.length === 0
+      ? { ok: true }
+      : { ok: false, message: "❌ This email is already registered with us. Please provide a different email address:" };
+  },
+};
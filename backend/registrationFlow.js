@@ -0,0 +1,266 @@
+// registrationFlow.js
+//
+// Declarative definition of the contest registration conversation. The set
+// and order of fields can be changed per campaign through a JSON file pointed
+// to by REGISTRATION_FLOW_CONFIG, e.g.
+//
+//   {
+//     "fields": ["code", "name", "age", "email", "city"],
+//     "review": false,
+//     "steps": { "name": { "prompt": "What should we call you?" } },
+//     "messages": { "intro": "🎯 Welcome to the Summer Cup!" },
+//     "commands": { "restart": { "words": ["restart", "start over"] } }
+//   }
+//
+// Step names stay `ASK_<FIELD>` so existing `session:<phone>` hashes resume
+// where they left off.
+import fs from "fs";
+import dotenv from "dotenv";
+dotenv.config();
+
+export const COMPLETE_STEP = "FINAL_REGISTRATION";
+// Shown after the last field when `review` is on: the user confirms their
+// details or picks a field to edit before anything is saved
+export const REVIEW_STEP = "CONFIRM_DETAILS";
+
+// Every field a campaign can ask for. `label` names the field in HELP and
+// STATUS replies, `validator` is a validation kind from
+// validationProviders.js, and `column` is the `participants` column the value
+// is saved to on completion; fields without one only live in the session.
+export const FIELD_LIBRARY = {
+  code: {
+    label: "scratch code",
+    prompt: "Please enter the 6-character scratch code from your product pack:",
+    validator: "code",
+    checks: ["reserveCode"],
+    successMessage: "✅ Great! Your scratch code is valid.",
+    errorMessage: "⚠️ Sorry, there was an issue processing your code. Please try entering your scratch code again:",
+  },
+  name: {
+    label: "full name",
+    column: "name",
+    prompt: "Please enter your full name:",
+    validator: "name",
+    errorMessage: "⚠️ Sorry, there was an issue processing your name. Please try entering your full name again:",
+  },
+  email: {
+    label: "email address",
+    column: "email",
+    prompt: "Please enter your email address:",
+    validator: "email",
+    checks: ["emailUnused"],
+    errorMessage: "⚠️ Sorry, there was an issue processing your email. Please try entering your email address again:",
+  },
+  city: {
+    label: "city",
+    column: "city",
+    prompt: "Which city in India do you live in?",
+    validator: "city",
+    errorMessage: "⚠️ Sorry, there was an issue processing your city. Please try entering your city name again:",
+  },
+  age: {
+    label: "age",
+    column: "age",
+    prompt: "How old are you?",
+    validator: "age",
+    invalidMessage: "❌ Please enter your age as a number, for example 24:",
+    errorMessage: "⚠️ Sorry, there was an issue processing your age. Please try again:",
+  },
+  favourite_team: {
+    label: "favourite team",
+    column: "favourite_team",
+    prompt: "Which is your favourite team? 🏏",
+    validator: "text",
+    invalidMessage: "❌ Please tell us the name of your favourite team:",
+    errorMessage: "⚠️ Sorry, there was an issue processing your answer. Please try again:",
+  },
+};
+
+export const DEFAULT_CAMPAIGN = {
+  fields: ["code", "name", "email", "city"],
+  review: true,
+  guards: ["codeAttemptLimit", "codeReservation"],
+  onComplete: ["queueRegistration"],
+  steps: {},
+  messages: {
+    intro: "🎯 Great! Let's get you registered!",
+    completionCaption: `🎉 *CONGRATULATIONS!* 🎉
+
+✅ Your registration for {{contest}} is now complete!
+
+📝 *Your Registration Details:*
+👤 Name: {{name}}
+📧 Email: {{email}}
+🏙️ City: {{city}}
+🎫 Code: {{code}}
+
+🏆 You're now part of the contest! Winners will be announced soon.
+
+Thank you for participating in {{contest}}! 🏏
+
+*Best regards,*
+{{contest}} Team`,
+    completionText: `🎉 Congratulations! Your registration is complete.
+
+📝 Your Registration Details:
+👤 Name: {{name}}
+📧 Email: {{email}}
+🏙️ City: {{city}}
+🎫 Code: {{code}}
+
+Your details have been saved and the scratch code has been marked as used. You're now part of the contest! 🏏`,
+    processing: "⏳ We're still completing your registration. You'll get a confirmation here shortly!",
+    completionFailed: "⚠️ Registration failed. Please try again or contact support.",
+    reservationLost: "⚠️ Sorry, your scratch code {{code}} is no longer reserved for you and has been used by someone else. Please enter another scratch code:",
+    reservationVoided: "🚫 Sorry, your scratch code {{code}} has been cancelled and can't be registered. Please enter another scratch code:",
+    completionError: "⚠️ Registration encountered an issue. Please contact support with your code: {{code}}",
+    review: `📝 *Please check your details:*
+
+{{summary}}
+
+Tap *Confirm* to complete your registration, or choose a detail to edit.`,
+    reviewChoose: "👇 Please confirm your details or choose one to edit.",
+    confirmButton: "✅ Confirm",
+    editButton: "✏️ Edit {{label}}",
+    reviewListButton: "Confirm or edit",
+    photoReceived: "📸 Thanks! We've received your photo. Our team will read the code and get back to you here shortly. If you can read the code yourself, you can also just type it.",
+    photoFailed: "⚠️ Sorry, we couldn't receive your photo. Please type the 6-character scratch code instead:",
+    photoApproved: "✅ We've checked your photo and your scratch code {{code}} is valid.",
+    photoRejected: "❌ Sorry, we couldn't confirm a valid scratch code from your photo. {{reason}}\n\nPlease type the 6-character code or send a clearer photo of the card.",
+    locationConfirm: "📍 Looks like you're in *{{city}}*. Is that your city?",
+    locationOutsideIndia: "📍 We couldn't find a city in India near that location. Please type the name of your city:",
+    suggestionAccept: "✅ Yes",
+    suggestionDecline: "✏️ No, I'll type it",
+    suggestionAccepted: "🏙️ {{value}}, great!",
+    formInvite: "📝 Prefer a form? Tap *Register* to enter all your details in one go.",
+    formCta: "Register",
+    codeLocked: "🚫 Too many incorrect scratch codes. Please wait {{cooldown}} before trying again.",
+    resumed: "👋 Welcome back! Let's pick up where you left off.",
+    // For participants who registered before; they only enter another code
+    returningIntro: "👋 Welcome back, {{name}}! We already have your details, so you only need another scratch code to add an entry.\n\n🎟️ Entries so far: {{entries}}",
+  },
+  // Keywords recognised at any point of the chat (see chatCommands.js). A
+  // message matches when it is exactly one of `words`, ignoring case.
+  commands: {
+    help: {
+      words: ["help", "menu"],
+      description: "show this message",
+      reply: `ℹ️ *How to register*
+
+Send *Join Contest* and we'll ask you for:
+{{steps}}
+
+You can type these words at any time:
+{{commands}}`,
+    },
+    status: {
+      words: ["status"],
+      description: "see your registration progress",
+      reply: "📋 You're on step {{stepNumber}} of {{stepCount}}: we need your {{label}}.\n\n{{prompt}}",
+      registeredReply: `✅ You're registered for {{contest}}!
+
+👤 Name: {{name}}
+📧 Email: {{email}}
+🏙️ City: {{city}}
+🎫 Latest code: {{code}}
+🎟️ Entries: {{entries}}`,
+      processingReply: "⏳ We're completing your registration. You'll get a confirmation here shortly!",
+      idleReply: "You haven't started registering yet. Send *Join Contest* to begin.",
+    },
+    restart: {
+      words: ["restart", "reset"],
+      description: "start your registration over",
+      reply: "🔄 Okay, let's start over.",
+    },
+    back: {
+      words: ["back"],
+      description: "change your previous answer",
+      reply: "↩️ No problem, let's go back.",
+      firstStepReply: "You're already at the first step.\n\n{{prompt}}",
+      idleReply: "There's no registration in progress. Send *Join Contest* to begin.",
+    },
+    stop: {
+      words: ["stop", "unsubscribe"],
+      description: "stop all messages from us",
+      reply: "🔕 You've been unsubscribed and won't get any more messages from us. Send START if you change your mind.",
+    },
+    start: {
+      words: ["start", "subscribe"],
+      description: "get messages from us again",
+      reply: "🔔 Welcome back! You'll get messages from us again. Send HELP to see what you can do.",
+    },
+  },
+};
+
+export const stepNameFor = (field) => `ASK_${field.toUpperCase()}`;
+
+export function loadCampaignConfig(configPath = process.env.REGISTRATION_FLOW_CONFIG) {
+  if (!configPath) {
+    return DEFAULT_CAMPAIGN;
+  }
+
+  const custom = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  const commands = { ...DEFAULT_CAMPAIGN.commands };
+  for (const [name, command] of Object.entries(custom.commands || {})) {
+    commands[name] = { ...commands[name], ...command };
+  }
+
+  return {
+    ...DEFAULT_CAMPAIGN,
+    ...custom,
+    steps: { ...DEFAULT_CAMPAIGN.steps, ...custom.steps },
+    messages: { ...DEFAULT_CAMPAIGN.messages, ...custom.messages },
+    commands,
+  };
+}
+
+export function buildRegistrationFlow(campaign = loadCampaignConfig()) {
+  const { fields } = campaign;
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error("Registration flow needs at least one field");
+  }
+  if (!fields.includes("code")) {
+    throw new Error('Registration flow must collect the "code" field');
+  }
+
+  const steps = {};
+  const lastNext = campaign.review ? REVIEW_STEP : COMPLETE_STEP;
+  fields.forEach((field, index) => {
+    const definition = FIELD_LIBRARY[field] || campaign.steps[field];
+    if (!definition) {
+      throw new Error(`Unknown registration field "${field}"`);
+    }
+
+    const name = stepNameFor(field);
+    steps[name] = {
+      ...definition,
+      ...campaign.steps[field],
+      name,
+      field,
+      next: index < fields.length - 1 ? stepNameFor(fields[index + 1]) : lastNext,
+    };
+  });
+
+  if (campaign.review) {
+    steps[REVIEW_STEP] = {
+      name: REVIEW_STEP,
+      review: true,
+      // The code was reserved when it was entered, so it isn't editable here
+      editable: fields.filter((field) => field !== "code"),
+      errorMessage: "⚠️ Sorry, there was an issue confirming your details. Please try again:",
+      next: COMPLETE_STEP,
+    };
+  }
+
+  return {
+    fields,
+    steps,
+    firstStep: stepNameFor(fields[0]),
+    completeStep: COMPLETE_STEP,
+    reviewStep: campaign.review ? REVIEW_STEP : null,
+    guards: campaign.guards,
+    onComplete: campaign.onComplete,
+    messages: campaign.messages,
+    commands: campaign.commands,
+  };
+}
@@ -0,0 +1,106 @@
+// registrationProgress.js
+//
+// Redis sessions expire after 30 minutes, so partial registrations are also
+// kept in Postgres. sessionStore.js mirrors every session that has a `step`
+// into `registration_progress` and drops the row when the session is cleared
+// (completed, restarted or stopped). webhook.js restores an expired session
+// from here when the user comes back, and the reminder scheduler (run by
+// worker.js) nudges users who stalled.
+import dotenv from "dotenv";
+import pool from "./db.js";
+import { enqueueJob } from "./jobQueue.js";
+dotenv.config();
+
+// How long a registration has to be idle before a reminder, and how many are sent
+export const REMINDER_DELAY_MINUTES = parseInt(process.env.REMINDER_DELAY_MINUTES || "120", 10);
+export const REMINDER_MAX_COUNT = parseInt(process.env.REMINDER_MAX_COUNT || "1", 10);
+export const REMINDER_JOB_TYPE = "registration.reminder";
+// Matches SESSION_TTL_SECONDS: after this the chat session is gone
+const ABANDONED_AFTER_MINUTES = 30;
+
+export async function saveProgress(phone, session) {
+  await pool.query(
+    `INSERT INTO registration_progress (phone_number, step, data, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (phone_number) DO UPDATE
+     SET step = EXCLUDED.step, data = EXCLUDED.data, updated_at = NOW()`,
+    [phone, session.step, JSON.stringify(session)]
+  );
+}
+
+export async function deleteProgress(phone) {
+  await pool.query("DELETE FROM registration_progress WHERE phone_number = $1", [phone]);
+}
+
+// Returns the saved session fields, or null
+export async function loadProgress(phone) {
+  const result = await pool.query(
+    "SELECT data FROM registration_progress WHERE phone_number = $1",
+    [phone]
+  );
+  return result.rows[0]?.data || null;
+}
+
+/**
+ * Queues a reminder for every registration idle for REMINDER_DELAY_MINUTES
+ * that hasn't been reminded since its last answer. Returns how many were queued.
+ */
+export async function queueDueReminders({ excludeSteps = [] } = {}) {
+  const result = await pool.query(
+    `UPDATE registration_progress
+     SET reminder_sent_at = NOW(), reminders_sent = reminders_sent + 1
+     WHERE phone_number IN (
+       SELECT phone_number FROM registration_progress
+       WHERE updated_at < NOW() - ($1 || ' minutes')::interval
+         AND (reminder_sent_at IS NULL OR reminder_sent_at < updated_at)
+         AND reminders_sent < $2
+         AND NOT (step = ANY($3))
+       LIMIT 100
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING phone_number, step, updated_at`,
+    [String(REMINDER_DELAY_MINUTES), REMINDER_MAX_COUNT, excludeSteps]
+  );
+
+  for (const row of result.rows) {
+    await enqueueJob(
+      REMINDER_JOB_TYPE,
+      { phone: row.phone_number, step: row.step },
+      { jobId: `${REMINDER_JOB_TYPE}:${row.phone_number}:${new Date(row.updated_at).getTime()}` }
+    );
+  }
+  return result.rows.length;
+}
+
+export function startReminderScheduler(options = {}, intervalMs = 60 * 1000) {
+  const timer = setInterval(async () => {
+    try {
+      const queued = await queueDueReminders(options);
+      if (queued > 0) {
+        console.log(`⏰ Queued ${queued} registration reminder(s)`);
+      }
+    } catch (error) {
+      console.error("Registration reminder scheduler failed:", error.message);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// Registrations idle longer than a chat session lasts, counted by step
+export async function getAbandonedCounts() {
+  const result = await pool.query(
+    `SELECT step,
+            COUNT(*) AS total,
+            COUNT(*) FILTER (WHERE reminders_sent > 0) AS reminded
+     FROM registration_progress
+     WHERE updated_at < NOW() - ($1 || ' minutes')::interval
+     GROUP BY step`,
+    [String(ABANDONED_AFTER_MINUTES)]
+  );
+  return result.rows.map((row) => ({
+    step: row.step,
+    total: parseInt(row.total, 10),
+    reminded: parseInt(row.reminded, 10),
+  }));
+}
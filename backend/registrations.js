@@ -0,0 +1,167 @@
+// registrations.js
+//
+// Redeeming a scratch code and looking up an existing registration. A
+// participant is one phone number and its details; a registration (an entry)
+// is one code they redeemed. A participant can register several codes, up to
+// the contest's `max_entries`.
+import pool from "./db.js";
+import { openContestsFor } from "./contests.js";
+import { unavailableReason } from "./codeLifecycle.js";
+
+/**
+ * Redeems `code` for `phone`. Returns `{ redeemed: true, registrationId }`, or
+ * `{ redeemed: false, reason }` with a reason from unavailableReason() or
+ * "entry_limit".
+ */
+export async function updateCodeInDatabase({ phone, code, details = {} }) {
+  const client = await pool.connect();
+  try {
+    console.log("Updating code in DB:", { phone, code, ...details });
+    await client.query("BEGIN");
+
+    // Lock the row so the reservation can't change between check and update
+    const current = await client.query(
+      `SELECT codes.status, codes.reserved_by, codes.contest_id, contests.max_entries,
+              (codes.valid_from IS NULL OR codes.valid_from <= NOW())
+                AND (codes.valid_until IS NULL OR codes.valid_until >= NOW()) AS within_validity
+       FROM codes
+       LEFT JOIN contests ON contests.id = codes.contest_id
+       WHERE codes.code = $1
+       FOR UPDATE OF codes`,
+      [code]
+    );
+    const row = current.rows[0];
+    // Without a hold (e.g. a retried job) the code must be within its
+    // validity dates, as for a new reservation
+    const redeemable = row && (
+      (row.status === 'active' && row.within_validity) ||
+      (row.status === 'reserved' && row.reserved_by === phone)
+    );
+
+    if (!redeemable) {
+      await client.query("ROLLBACK");
+      console.log("Code is no longer available to this phone:", { code, phone, status: row?.status });
+      return { redeemed: false, reason: await unavailableReason(code) };
+    }
+
+    // `details` maps participants columns to values, e.g. { name, email, city };
+    // a participant's details are the ones they registered with last
+    const columns = Object.keys(details);
+    const participant = await client.query(
+      `INSERT INTO participants (phone_number${columns.map(column => `, "${column}"`).join("")})
+       VALUES ($1${columns.map((_, index) => `, $${index + 2}`).join("")})
+       ON CONFLICT (phone_number) DO UPDATE
+       SET ${[...columns.map(column => `"${column}" = EXCLUDED."${column}"`), "updated_at = NOW()"].join(", ")}
+       RETURNING id`,
+      [phone, ...columns.map(column => details[column])]
+    );
+
+    // The upsert locks the participant, so two codes finishing at once can't
+    // both take the last entry
+    if (row.max_entries !== null) {
+      const entries = await client.query(
+        "SELECT COUNT(*) AS count FROM registrations WHERE participant_id = $1 AND contest_id = $2",
+        [participant.rows[0].id, row.contest_id]
+      );
+      if (parseInt(entries.rows[0].count, 10) >= row.max_entries) {
+        await client.query("ROLLBACK");
+        console.log("Participant has no entries left in this contest:", { code, phone, maxEntries: row.max_entries });
+        return { redeemed: false, reason: "entry_limit" };
+      }
+    }
+
+    await client.query(
+      `UPDATE codes
+       SET status = 'redeemed', changed_by = $1, reserved_by = NULL, reserved_until = NULL
+       WHERE code = $2`,
+      [phone, code]
+    );
+    const result = await client.query(
+      `INSERT INTO registrations (participant_id, code, contest_id)
+       SELECT $1, code, contest_id FROM codes WHERE code = $2
+       RETURNING *`,
+      [participant.rows[0].id, code]
+    );
+
+    await client.query("COMMIT");
+    console.log("Registration saved:", result.rows[0]);
+    return { redeemed: true, registrationId: result.rows[0].id };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Database update error:", err.message);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// The id of `phone`'s registration of `code`, or null
+export async function registrationIdFor(code, phone) {
+  const result = await pool.query(
+    `SELECT registrations.id
+     FROM registrations
+     JOIN participants ON participants.id = registrations.participant_id
+     WHERE registrations.code = $1 AND participants.phone_number = $2`,
+    [code, phone]
+  );
+  return result.rows[0]?.id ?? null;
+}
+
+// The phone's latest registration, optionally within one contest: the
+// participant's details with the registered `code`, the contest's name and
+// brand as `contest` and `brand`, and `entries`, the participant's number of
+// registrations in that contest
+export async function findRegistrationByPhone(phone, { contestId = null } = {}) {
+  const result = await pool.query(
+    `SELECT participants.*, registrations.code, registrations.contest_id, registrations.is_winner,
+            registrations.created_at AS registered_at, contests.name AS contest, contests.brand,
+            (SELECT COUNT(*)::int FROM registrations entry
+             WHERE entry.participant_id = participants.id
+               AND entry.contest_id IS NOT DISTINCT FROM registrations.contest_id) AS entries
+     FROM registrations
+     JOIN participants ON participants.id = registrations.participant_id
+     LEFT JOIN contests ON contests.id = registrations.contest_id
+     WHERE participants.phone_number = $1
+       AND ($2::int IS NULL OR registrations.contest_id = $2)
+     ORDER BY registrations.created_at DESC
+     LIMIT 1`,
+    [phone, contestId]
+  );
+  return result.rows[0] || null;
+}
+
+// The participant behind `phone` with `entries`, their number of
+// registrations across contests, or null for someone who never registered
+export async function findParticipant(phone) {
+  const result = await pool.query(
+    `SELECT participants.*, COUNT(registrations.id)::int AS entries
+     FROM participants
+     LEFT JOIN registrations ON registrations.participant_id = participants.id
+     WHERE participants.phone_number = $1
+     GROUP BY participants.id`,
+    [phone]
+  );
+  return result.rows[0] || null;
+}
+
+// How many codes `phone` has registered in the contest
+export async function countEntries(phone, contestId) {
+  const result = await pool.query(
+    `SELECT COUNT(*) AS count
+     FROM registrations
+     JOIN participants ON participants.id = registrations.participant_id
+     WHERE participants.phone_number = $1 AND registrations.contest_id = $2`,
+    [phone, contestId]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+// The phone's latest registration if there's no open contest it can still
+// enter, otherwise null and it can register another code
+export async function findFinishedRegistration(phone) {
+  const existingRegistration = await findRegistrationByPhone(phone);
+  if (!existingRegistration || (await openContestsFor(phone)).length > 0) {
+    return null;
+  }
+  return existingRegistration;
+}
@@ -9,7 +9,7 @@ import dotenv from 'dotenv';
 import express from "express";
 import { decryptRequest, encryptResponse, FlowEndpointException } from "./encryption.js";
 import { getNextScreen } from "./flow.js";
-import crypto from "crypto";
+import { captureRawBody, SIGNATURE_HEADER, verifyRequestSignature } from "./webhookSignature.js";
 
 // Load environment variables from .env file
 dotenv.config();
@@ -19,9 +19,7 @@ const app = express();
 app.use(
   express.json({
     // store the raw request body to use it for signature verification
-    verify: (req, res, buf, encoding) => {
-      req.rawBody = buf?.toString(encoding || "utf8");
-    },
+    verify: captureRawBody,
   }),
 );
 
@@ -64,7 +62,13 @@ app.post("/", async (req, res) => {
   console.log("💬 Decrypted Request:", decryptedBody);
 
 
-  const screenResponse = await getNextScreen(decryptedBody);
+  let screenResponse = null;
+  try {
+    screenResponse = await getNextScreen(decryptedBody);
+  } catch (err) {
+    console.error("❌ Failed to handle flow request:", err.message);
+    return res.status(500).send();
+  }
   console.log("👉 Response to Encrypt:", screenResponse);
 
   res.send(encryptResponse(screenResponse, aesKeyBuffer, initialVectorBuffer));
@@ -85,15 +89,9 @@ function isRequestSignatureValid(req) {
     return true;
   }
 
-  const signatureHeader = req.get("x-hub-signature-256");
-  const signatureBuffer = Buffer.from(signatureHeader.replace("sha256=", ""), "utf-8");
-
-  const hmac = crypto.createHmac("sha256", APP_SECRET);
-  const digestString = hmac.update(req.rawBody).digest('hex');
-  const digestBuffer = Buffer.from(digestString, "utf-8");
-
-  if ( !crypto.timingSafeEqual(digestBuffer, signatureBuffer)) {
-    console.error("Error: Request Signature did not match");
+  const { valid, reason } = verifyRequestSignature(req.rawBody, req.get(SIGNATURE_HEADER), APP_SECRET);
+  if (!valid) {
+    console.error(`Error: Request Signature did not match (${reason})`);
     return false;
   }
   return true;
@@ -0,0 +1,53 @@
+// sessionStore.js
+import redisClient from "./redisClient.js";
+import { deleteProgress, saveProgress } from "./registrationProgress.js";
+
+// Conversations are kept in the `session:<phone>` Redis hash and expire after
+// 30 minutes of inactivity. Sessions with a `step` are also copied to
+// Postgres (registrationProgress.js) so they can be resumed after that.
+export const SESSION_TTL_SECONDS = 30 * 60;
+
+export const sessionKey = (phone) => `session:${phone}`;
+
+export async function getSession(phone) {
+  return redisClient.hGetAll(sessionKey(phone));
+}
+
+export async function updateSession(phone, fields) {
+  const key = sessionKey(phone);
+  // Redis hashes only hold strings, so drop empty values instead of storing "undefined"
+  const values = Object.fromEntries(
+    Object.entries(fields)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([field, value]) => [field, String(value)])
+  );
+
+  if (Object.keys(values).length > 0) {
+    await redisClient.hSet(key, values);
+  }
+  await redisClient.expire(key, SESSION_TTL_SECONDS);
+
+  try {
+    const session = await redisClient.hGetAll(key);
+    if (session.step) {
+      await saveProgress(phone, session);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to save registration progress for ${phone}:`, error.message);
+  }
+}
+
+export async function clearSession(phone) {
+  await redisClient.del(sessionKey(phone));
+  try {
+    await deleteProgress(phone);
+  } catch (error) {
+    console.error(`❌ Failed to delete registration progress for ${phone}:`, error.message);
+  }
+}
+
+export default {
+  get: getSession,
+  update: updateSession,
+  clear: clearSession,
+};
@@ -0,0 +1,184 @@
+// simulator.js
+//
+// Chat with the bot from the terminal as a fake phone. Starts a mock Graph
+// API (mockGraph.js) and POSTs signed webhook payloads to the bot:
+//
+//             npm run simulate -- [--phone 919876543210] [--webhook http://localhost:3001/webhook] [--script chat.txt]
+//
+// Run the bot (and `npm run worker`) with GRAPH_API_BASE_URL=http://localhost:4010
+// and the same APP_SECRET. Type messages to send them, or:
+//
+//   /join          tap the "Join Contest" template button
+//   /tap <id>      tap an interactive button or list row, e.g. /tap confirm
+//   /photo <file>  send a photo, e.g. of a scratch card
+//   /location <lat> <lng>  share a location, e.g. /location 18.52 73.85
+//   /phone <num>   switch to another phone number
+//   /quit          exit
+//
+// With --script each line of the file is sent in turn, waiting for the bot to
+// go quiet in between.
+import axios from "axios";
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import dotenv from "dotenv";
+import {
+  buildInboundMessage,
+  buildWebhookPayload,
+  createMockGraphServer,
+  MOCK_GRAPH_PORT,
+  postWebhook,
+} from "./mockGraph.js";
+dotenv.config();
+
+const argValue = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const WEBHOOK_URL = argValue("webhook", `http://localhost:${process.env.PORT || 3001}/webhook`);
+const SCRIPT_PATH = argValue("script", null);
+// How long the bot has to be silent before the next scripted line is sent
+const SETTLE_MS = parseInt(argValue("settle", "2000"), 10);
+const PHOTO_TYPES = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".webp": "image/webp" };
+
+let phone = argValue("phone", "919000000001");
+let lastActivity = Date.now();
+
+function describe(message) {
+  const { payload } = message;
+  switch (message.type) {
+    case "text":
+      return payload.text?.body;
+    case "template":
+      return `[template "${payload.template?.name}"] (/join to tap its button)`;
+    case "video":
+    case "image":
+    case "document":
+      return `[${message.type} ${payload[message.type]?.id || payload[message.type]?.link}] ${payload[message.type]?.caption || ""}`;
+    case "interactive": {
+      const interactive = payload.interactive;
+      if (interactive.type === "flow") {
+        return `${interactive.body.text}\n   [form "${interactive.action.parameters.flow_cta}"] (forms can't be filled here; unset REGISTRATION_FLOW_ID to answer in the chat)`;
+      }
+      const choices = interactive.type === "list"
+        ? interactive.action.sections.flatMap((section) => section.rows)
+        : interactive.action.buttons.map((button) => button.reply);
+      return `${interactive.body.text}\n${choices.map((choice) => `   [/tap ${choice.id}] ${choice.title}`).join("\n")}`;
+    }
+    default:
+      return `[${message.type}] ${JSON.stringify(payload)}`;
+  }
+}
+
+async function send(input) {
+  lastActivity = Date.now();
+  const payload = buildWebhookPayload({ messages: [buildInboundMessage(phone, input)] });
+  try {
+    const response = await postWebhook(WEBHOOK_URL, payload);
+    if (response.status !== 200) {
+      console.log(`⚠️ Webhook answered ${response.status}: ${JSON.stringify(response.data)}`);
+    }
+  } catch (error) {
+    console.log(`❌ Could not reach ${WEBHOOK_URL}: ${error.message}`);
+  }
+}
+
+// Returns false when the simulator should exit
+async function handleLine(line) {
+  const text = line.trim();
+  if (!text) {
+    return true;
+  }
+
+  const [command, ...args] = text.split(/\s+/);
+  switch (command) {
+    case "/quit":
+      return false;
+    case "/join":
+      await send({ button: "Join Contest" });
+      break;
+    case "/tap":
+      await send({ replyId: args[0] });
+      break;
+    case "/photo": {
+      if (!args[0] || !fs.existsSync(args[0])) {
+        console.log("Usage: /photo <path to an image file>");
+        break;
+      }
+      const mimeType = PHOTO_TYPES[path.extname(args[0]).toLowerCase()] || "image/jpeg";
+      let upload;
+      try {
+        upload = await axios.post(`http://localhost:${MOCK_GRAPH_PORT}/mock/media`, fs.readFileSync(args[0]), {
+          headers: { "Content-Type": mimeType },
+        });
+      } catch (error) {
+        console.log(`❌ Could not upload ${args[0]} to the mock Graph API: ${error.message}`);
+        break;
+      }
+      await send({ imageId: upload.data.id, mimeType, caption: args.slice(1).join(" ") || undefined });
+      break;
+    }
+    case "/location":
+      await send({ location: { latitude: Number(args[0]), longitude: Number(args[1]) } });
+      break;
+    case "/phone":
+      phone = args[0] || phone;
+      console.log(`📱 Now chatting as ${phone}`);
+      break;
+    default:
+      await send({ text });
+  }
+  return true;
+}
+
+const waitForQuiet = () =>
+  new Promise((resolve) => {
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivity >= SETTLE_MS) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, 100);
+  });
+
+const { app, events } = createMockGraphServer({ webhookUrl: WEBHOOK_URL });
+events.on("message", (message) => {
+  lastActivity = Date.now();
+  const prefix = message.to === phone ? "🤖" : `🤖 (to ${message.to})`;
+  console.log(`\n${prefix} ${describe(message)}\n`);
+});
+
+const server = app.listen(MOCK_GRAPH_PORT, async () => {
+  console.log(`🧪 Mock Graph API on http://localhost:${MOCK_GRAPH_PORT}, bot webhook ${WEBHOOK_URL}`);
+  console.log(`📱 Chatting as ${phone}`);
+  if (!process.env.APP_SECRET) {
+    console.log("⚠️ APP_SECRET is not set, the bot will reject unsigned webhooks");
+  }
+
+  if (SCRIPT_PATH) {
+    for (const line of fs.readFileSync(SCRIPT_PATH, "utf-8").split(/\r?\n/)) {
+      if (!line.trim() || line.startsWith("#")) {
+        continue;
+      }
+      console.log(`👤 ${line}`);
+      if (!(await handleLine(line))) {
+        break;
+      }
+      await waitForQuiet();
+    }
+    server.close();
+    return;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "👤 " });
+  rl.prompt();
+  rl.on("line", async (line) => {
+    if (!(await handleLine(line))) {
+      rl.close();
+      return;
+    }
+    rl.prompt();
+  });
+  rl.on("close", () => server.close());
+});
@@ -0,0 +1,82 @@
+// validationProviders.js
+//
+// Registration input is validated through an ordered chain of providers.
+// A provider looks like
+//
+//   {
+//     name: "local",
+//     supports(kind),          // "code" | "name" | "email" | "city" | "age" | "text"
+//     isAvailable(),           // e.g. false when an API key is missing
+//     async validate(kind, input, { step, session }) → { message, is_valid, value },
+//   }
+//
+// The first available provider supporting the kind answers; if it throws the
+// next one is tried. VALIDATION_PROVIDERS picks and orders them, e.g.
+// "openai,local" (default, OpenAI with a local fallback) or "local" to run
+// without the LLM at all.
+//
+// Accepted cities are stored under their `country-state-city` name whichever
+// provider answered, so "Bombay" and "mumbai" both become "Mumbai".
+import dotenv from "dotenv";
+import { findIndianCity } from "./indianCities.js";
+import localValidator from "./localValidator.js";
+import openaiValidator from "./openaiValidator.js";
+dotenv.config();
+
+export const PROVIDERS = {
+  [localValidator.name]: localValidator,
+  [openaiValidator.name]: openaiValidator,
+};
+
+export const VALIDATION_KINDS = ["code", "name", "email", "city", "age", "text"];
+
+const UNAVAILABLE_RESULT = {
+  message: "Sorry, I'm having trouble processing your input. Please try again.",
+  is_valid: false,
+  value: "",
+};
+
+export function resolveProviders(names = process.env.VALIDATION_PROVIDERS || "openai,local") {
+  return names
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => {
+      const provider = PROVIDERS[name];
+      if (!provider) {
+        throw new Error(`Unknown validation provider "${name}" in VALIDATION_PROVIDERS`);
+      }
+      return provider;
+    });
+}
+
+export function createValidationChain({ providers = resolveProviders() } = {}) {
+  async function validate(kind, input, context = {}) {
+    for (const provider of providers) {
+      if (!provider.supports(kind) || !provider.isAvailable()) {
+        continue;
+      }
+      try {
+        const result = await provider.validate(kind, input, context);
+        if (kind === "city" && result.is_valid) {
+          result.value = findIndianCity(result.value)?.name || result.value;
+        }
+        return { ...result, provider: provider.name };
+      } catch (error) {
+        console.error(`Validation provider "${provider.name}" failed for ${kind}, trying next:`, error.message);
+      }
+    }
+    console.error(`No validation provider could handle ${kind}`);
+    return UNAVAILABLE_RESULT;
+  }
+
+  // Registry in the shape the conversation engine expects, keyed by kind
+  const validators = Object.fromEntries(
+    VALIDATION_KINDS.map((kind) => [
+      kind,
+      (input, step, session) => validate(kind, input, { step, session }),
+    ])
+  );
+
+  return { providers, validate, validators };
+}
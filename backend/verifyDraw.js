@@ -0,0 +1,34 @@
+// verifyDraw.js
+//
+// Re-runs a recorded winner draw without database access, e.g. by an
+// auditor, from the JSON returned by GET /api/draws/:id:
+//
+//             npm run verify-draw -- draw.json
+//
+// Checks that the pool hashes to the recorded pool_hash and that the seed
+// and pool give the recorded winners, in the same order.
+import fs from "fs";
+import { verifyDraw } from "./drawEngine.js";
+
+const filePath = process.argv[2];
+if (!filePath) {
+  console.error("Usage: npm run verify-draw -- <draw.json>");
+  process.exit(1);
+}
+
+try {
+  const draw = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  const { algorithmMatches, poolHashMatches, resultsMatch, poolHash, winners } = verifyDraw(draw);
+
+  console.log(`🎲 Draw ${draw.id}: ${draw.pool.length} ticket(s), seed ${draw.seed}`);
+  console.log(`${algorithmMatches ? "✅" : "❌"} Algorithm: ${draw.algorithm}`);
+  console.log(`   Exclusions: ${JSON.stringify(draw.inputs.exclusions || {})}`);
+  console.log(`${poolHashMatches ? "✅" : "❌"} Pool hash: ${poolHash}`);
+  console.log(`${resultsMatch ? "✅" : "❌"} Winners (registration ids): ${winners.map((winner) => winner.registrationId).join(", ") || "none"}`);
+  if (!algorithmMatches || !poolHashMatches || !resultsMatch) {
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error("❌ Verification failed:", error.message);
+  process.exitCode = 1;
+}
@@ -1,21 +1,72 @@
 import express from "express";
-import axios from "axios";
-import { Country, City } from "country-state-city";
-import redisClient from "./redisClient.js";
 import pool from "./db.js"; // ✅ Import db connection
-import OpenAI from "openai";
-import nodemailer from "nodemailer";
 import dotenv from "dotenv";
-import path from "path";
-import fs from "fs";
-import { fileURLToPath } from 'url';
-import FormData from 'form-data';
+import sessionStore from "./sessionStore.js";
+import { claimMessage, releaseMessage, withPhoneLock } from "./messageGuard.js";
+import redisClient from "./redisClient.js";
+import { captureRawBody, SIGNATURE_HEADER, verifyRequestSignature } from "./webhookSignature.js";
+import { applyStatusUpdate, findMessages } from "./messageLog.js";
+import { downloadMedia, sendFlowMessage, sendInteractiveButtons, sendText, sendWhatsAppTemplate } from "./whatsapp.js";
+import { findFinishedRegistration, findParticipant, registrationIdFor } from "./registrations.js";
+import {
+  contestMessages,
+  createContest,
+  findContestForCode,
+  getContest,
+  listContests,
+  parseContestId,
+  updateContest
+} from "./contests.js";
+import { createConversationEngine, renderTemplate } from "./conversationEngine.js";
+import { buildRegistrationFlow } from "./registrationFlow.js";
+import { findIndianCity, findNearestIndianCity } from "./indianCities.js";
+import { createValidationChain } from "./validationProviders.js";
+import { reserveCode, startReservationSweeper } from "./codeReservations.js";
+import { enqueueJob, forgetCompletedJob, getQueueStats, listDeadJobs, replayDeadJob } from "./jobQueue.js";
+import { JOB_TYPES } from "./jobHandlers.js";
+import { getWinnerMedia, WINNER_TEMPLATE } from "./winnerNotifications.js";
+import { getWindowStatus, recordInbound, WINDOW_HOURS } from "./customerWindow.js";
+import {
+  assignMedia,
+  createAsset,
+  deleteAsset,
+  getAsset,
+  listAssets,
+  MEDIA_EVENTS,
+  unassignMedia
+} from "./mediaLibrary.js";
+import {
+  clearLockout,
+  formatCooldown,
+  getCodeAttemptStats,
+  getLockout,
+  recordFailedAttempt
+} from "./codeAttemptGuard.js";
+import { createChatCommands } from "./chatCommands.js";
+import { registrationChecks } from "./registrationChecks.js";
+import { createFlowToken, formMatchesFields, phoneForFlowToken } from "./flow.js";
+import {
+  CODE_PHOTOS_DIR,
+  createSubmission,
+  getSubmission,
+  listSubmissions,
+  markReviewed
+} from "./codeSubmissions.js";
+import { isOptedOut } from "./optOuts.js";
+import { getCodeHistory, setValidity, startExpirySweeper, voidCodes } from "./codeLifecycle.js";
+import {
+  exportBatchCsv,
+  generateBatch,
+  getBatch,
+  listBatches,
+  MAX_BATCH_QUANTITY
+} from "./codeBatches.js";
+import { getAbandonedCounts, loadProgress, REMINDER_DELAY_MINUTES } from "./registrationProgress.js";
+import { runMigrations } from "./migrate.js";
+import { verifyDraw } from "./drawEngine.js";
+import { applyDraw, createDraw, drawWinners, DRAW_WEIGHTINGS, getDraw, listDraws } from "./winnerDraws.js";
 dotenv.config();
 
-// Get current directory for ES modules
-const __filename= fileURLToPath(import.meta.url);
-const __dirname= path.dirname(__filename);
-
 const app = express();
 
 // CORS middleware
@@ -32,7 +83,8 @@ app.use((req, res, next) => {
 });
 
 // Global error handling middleware for JSON parsing
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for verifying Meta's x-hub-signature-256 header
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 
 // Global error handler for JSON parsing errors
 app.use((err, req, res, next) => {
@@ -44,365 +96,420 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 3001;
-const VERIFY_TOKEN = "VERIFY_TOKEN";
-const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
-const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID;
+const VERIFY_TOKEN = process.env.WEBHOOK_VERIFY_TOKEN;
+const APP_SECRET = process.env.APP_SECRET;
+// WhatsApp Flow (flows/registration.json) offered next to the chat registration
+const REGISTRATION_FLOW_ID = process.env.REGISTRATION_FLOW_ID;
+
+async function sendAlreadyRegistered(to, userData) {
+  const userName = userData["name"] ? userData["name"].trim() : "User";
+  console.log("userData", userData);
+
+  await sendText(to, `👋 Hello ${userName}!
+
+🎉 You have already registered for ${userData.contest || 'the contest'} with this phone number.
+
+✅ Your registration details:
+👤 Name: ${userName}
+📧 Email: ${userData.email || 'N/A'}
+🏙️ City: ${userData.city || 'N/A'}
+🎫 Latest code: ${userData.code || 'N/A'}
+🎟️ Entries: ${userData.entries || 1}
+
+🎟️ You've used all your entries for the contests running now. We'll let you know when a new contest opens.
+
+Thank you for your participation! 🏏`);
+}
+
+// Registration conversation: the steps come from registrationFlow.js, the
+// validators, checks and completion actions they refer to are defined here.
+const registrationFlow = buildRegistrationFlow();
+
+// The form's screens are fixed, so it's only offered for the fields it has
+const offerRegistrationForm = Boolean(REGISTRATION_FLOW_ID) && formMatchesFields();
+if (REGISTRATION_FLOW_ID && !offerRegistrationForm) {
+  console.warn(`⚠️ flows/registration.json doesn't have a screen for each of the fields ${registrationFlow.fields.join(", ")}; the registration form won't be offered`);
+}
+const codeStep = Object.values(registrationFlow.steps).find(s => s.field === "code");
+const registration = createConversationEngine({
+  flow: registrationFlow,
+  send: sendText,
+  sendChoices: (phone, body, choices, options) =>
+    sendInteractiveButtons(phone, body, choices, { ...options, context: 'registration_review' }),
+  store: sessionStore,
+  validators: createValidationChain().validators,
+  checks: registrationChecks,
+  guards: {
+    // Stops locked-out phones before their code reaches a validator or the database
+    codeAttemptLimit: async ({ phone, step }) => {
+      if (step.field !== "code") {
+        return { ok: true };
+      }
+      const lockout = await getLockout(phone);
+      return lockout.locked
+        ? { ok: false, message: renderTemplate(registrationFlow.messages.codeLocked, { cooldown: formatCooldown(lockout.retryAfterSeconds) }) }
+        : { ok: true };
+    },
+    // Refreshes the code hold on every step and notices when it was lost
+    codeReservation: async ({ phone, step, session }) => {
+      if (step.field === "code" || !session.code) {
+        return { ok: true };
+      }
+      const reservation = await reserveCode(session.code, phone);
+      if (reservation.reserved) {
+        return { ok: true };
+      }
+      const message = reservation.reason === "voided"
+        ? registrationFlow.messages.reservationVoided
+        : registrationFlow.messages.reservationLost;
+      return {
+        ok: false,
+        message: renderTemplate(message, session),
+        goTo: codeStep.name
+      };
+    },
+  },
+  // Malformed, unknown, used and held scratch codes count towards the phone's
+  // lockout. A message with no code in it doesn't, nor does a valid code
+  // turned away because its contest is closed or the entry cap is reached.
+  onReject: async ({ phone, step, result }) => {
+    if (step.field !== "code" || !((result.reason === "invalid" && result.attempt) || result.wrongCode)) {
+      return null;
+    }
+    const attempt = await recordFailedAttempt(phone);
+    if (!attempt.locked) {
+      return null;
+    }
+    return {
+      ...result,
+      message: renderTemplate(registrationFlow.messages.codeLocked, { cooldown: formatCooldown(attempt.retryAfterSeconds) })
+    };
+  },
+  actions: {
+    // Redemption and the confirmation message run in the job worker, so a
+    // restart can't leave the session stuck in FINAL_REGISTRATION
+    queueRegistration: async ({ phone, data, flow }) => {
+      const details = {};
+      for (const step of Object.values(flow.steps)) {
+        if (step.column && data[step.field] !== undefined) {
+          details[step.column] = data[step.field];
+        }
+      }
+
+      // The confirmation is worded for the code's contest
+      const { messages, values } = contestMessages(flow.messages, await findContestForCode(data.code));
+      const messageData = { ...data, ...values };
+
+      const jobId = `${JOB_TYPES.COMPLETE_REGISTRATION}:${data.code}:${phone}`;
+      const payload = {
+        phone: data.phone || phone,
+        code: data.code,
+        details,
+        messages: {
+          failed: renderTemplate(messages.completionFailed, messageData),
+          caption: renderTemplate(messages.completionCaption, messageData),
+          text: renderTemplate(messages.completionText, messageData)
+        }
+      };
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+      let job = await enqueueJob(JOB_TYPES.COMPLETE_REGISTRATION, payload, { jobId });
+      // A finished job only makes this a duplicate while its registration
+      // exists; the code may have been rejected, or the registration deleted
+      if (job.duplicate && !(await registrationIdFor(payload.code, payload.phone)) && await forgetCompletedJob(jobId)) {
+        job = await enqueueJob(JOB_TYPES.COMPLETE_REGISTRATION, payload, { jobId });
+      }
+
+      if (job.duplicate) {
+        await sendText(phone, renderTemplate(flow.messages.processing, data));
+      }
+      return true;
+    },
+  },
 });
 
-// Initialize Nodemailer transporter
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.SENDER_EMAIL,
-    pass: process.env.SENDER_PASSWORD
+// Starts the chat registration and, when a Flow is configured, also sends the
+// form so the user can choose either. Returning participants keep their
+// details and only enter another code.
+async function startRegistration(phone, { intro } = {}) {
+  const participant = await findParticipant(phone);
+  if (participant) {
+    const prefill = {};
+    for (const step of Object.values(registrationFlow.steps)) {
+      if (step.column && participant[step.column] !== null && participant[step.column] !== undefined) {
+        prefill[step.field] = participant[step.column];
+      }
+    }
+    await registration.start(phone, {
+      intro: [intro, renderTemplate(registrationFlow.messages.returningIntro, participant)].filter(Boolean).join("\n\n"),
+      prefill
+    });
+    return;
   }
-});
 
-async function validateWithOpenAI(userInput, currentStep, sessionData = {}) {
+  await registration.start(phone, { intro });
+  if (!offerRegistrationForm) {
+    return;
+  }
   try {
-    const systemPrompt = `You are a validation assistant for Meraki Sports registration flow. The user goes through these steps:
-1. ASK_NAME: User provides their name
-2. ASK_EMAIL: User provides their email address  
-3. ASK_CITY: User provides their city (must be in India)
-4. ASK_CODE: User provides a stratch code
-
-Current step: ${currentStep}
-Session data: ${JSON.stringify(sessionData)}
-
-IMPORTANT: Users may provide information in conversational format or complete sentences. You must intelligently EXTRACT the relevant information from their text.
-
-Examples:
-- "here's my email: aditya.sakpal2081@gmail.com" → extract "aditya.sakpal2081@gmail.com"
-- "My nameis John Smith" → extract "John Smith"
-- "I live in Mumbai, India" → extract "Mumbai"
-- "The code is ABC123" → extract "ABC123"
-
-For each validation, return a JSON response with:
-{
-  "message": "success/error message with next step if valid",
-  "is_valid": true/false,
-  "value": "extracted_clean_value_or_empty_string"
+    await sendFlowMessage(phone, registrationFlow.messages.formInvite, {
+      flowId: REGISTRATION_FLOW_ID,
+      flowToken: await createFlowToken(phone),
+      cta: registrationFlow.messages.formCta
+    }, { context: 'registration_form' });
+  } catch (error) {
+    // The chat registration already started, so the form is optional
+    console.error(`Failed to send registration form to ${phone}:`, error.message);
+  }
 }
 
-Validation rules:
-- NAME: Minimum 2 characters, no numbers or special characters except spaces, hyphens, apostrophes. Extract the actual namefrom conversational text.
-- EMAIL: Valid email format ONLY. Extract email address from any text that contains it. Do NOT check if email exists or is already registered.
-- CITY: Must be a city in India. Extract city namefrom conversational text, even if mentioned with state/country.
-- CODE: Must be exactly 6 characters, alphanumeric combination of letters and numbers. Extract the code from conversational text. Do NOT check if code exists in database.
-
-If valid:
-- message: Energetic message + what's needed next (except for code validation)
-- is_valid: true
-- value: cleaned/extracted value (ONLY the relevant data, not the full sentence)
-
-If invalid:
-- message: Explain why invalid + ask for correct input
-- is_valid: false  
-- value: ""`;
-
-    const userPrompt = `Current step: ${currentStep}
-User input: "${userInput}"
-
-Validate this input according to the current step requirements.`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ],
-      response_format: { type: "json_object" },
-      temperature: 0.1,
+const chatCommands = createChatCommands(registration, { startRegistration });
+
+// A photo of the scratch card sent instead of the code goes to the review
+// queue; the conversation continues once an admin approves it
+async function handleCodePhoto(phone, image) {
+  try {
+    const { filePath, mimeType } = await downloadMedia(image.id, CODE_PHOTOS_DIR);
+    const submission = await createSubmission({
+      phone,
+      mediaId: image.id,
+      filePath,
+      mimeType,
+      caption: image.caption
     });
+    console.log(`📸 Code photo ${submission.id} from ${phone} queued for review`);
+    await sendText(phone, renderTemplate(registrationFlow.messages.photoReceived));
+  } catch (error) {
+    console.error(`Error handling code photo from ${phone}:`, error.message);
+    await sendText(phone, renderTemplate(registrationFlow.messages.photoFailed));
+  }
+}
 
-    const result = JSON.parse(completion.choices[0].message.content);
-    console.log(`OpenAI validation result for ${currentStep}:`, result);
-    return result;
+// A location shared at the city step is resolved to the nearest Indian city,
+// which the user then confirms
+async function handleSharedLocation(phone, location, session) {
+  const city = findNearestIndianCity(location?.latitude, location?.longitude);
+  if (!city) {
+    await sendText(phone, renderTemplate(registrationFlow.messages.locationOutsideIndia));
+    return;
+  }
+  console.log(`📍 Location from ${phone} resolved to ${city.name} (${city.distanceKm.toFixed(1)} km)`);
+  await registration.suggest(phone, session, city.name, {
+    message: renderTemplate(registrationFlow.messages.locationConfirm, { city: city.name })
+  });
+}
 
+// API endpoint to list contests
+app.get("/api/contests", async (req, res) => {
+  try {
+    res.json({ contests: await listContests() });
   } catch (error) {
-    console.error("OpenAI validation error:", error);
-    return {
-      message: "Sorry, I'm having trouble processing your input. Please try again.",
-      is_valid: false,
-      value: ""
-    };
+    console.error("Error fetching contests:", error);
+    res.status(500).json({ error: "Failed to fetch contests" });
   }
-}
+});
+
+// `max_entries` is a whole number above 0, or empty / null for no limit
+const invalidEntryCap = (value) =>
+  value !== undefined && value !== null && value !== "" && !(Number.isInteger(Number(value)) && Number(value) > 0);
 
-// Legacy validation functions (kept as fallback)
-function validateEmail(email) {
+// API endpoint to create a contest: { name, brand, starts_at, ends_at, active, copy, max_entries }
+app.post("/api/contests", async (req, res) => {
   try {
-    if (!email || typeof email !== 'string') {
-      return false;
+    if (!req.body?.name?.trim()) {
+      return res.status(400).json({ error: "Contest name is required" });
     }
-    
-    const trimmedEmail = email.trim();
-    if (!trimmedEmail) {
-      return false;
+    if (invalidEntryCap(req.body.max_entries)) {
+      return res.status(400).json({ error: "Max entries must be a whole number above 0" });
     }
-    
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmedEmail);
+    const contest = await createContest(req.body);
+    console.log(`🏷️ Contest created: ${contest.name} (${contest.id})`);
+    res.json({ success: true, contest });
   } catch (error) {
-    console.error('Error validating email:', error.message);
-    return false;
+    console.error("Error creating contest:", error);
+    res.status(500).json({ error: "Failed to create contest" });
   }
-}
+});
 
-function validateCity(input) {
+// API endpoint to update a contest; only the fields given are changed
+app.put("/api/contests/:id", async (req, res) => {
   try {
-    if (!input || typeof input !== 'string') {
-      return false;
+    const id = parseContestId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: "Invalid contest ID" });
     }
-    
-    const normalized = input.trim().toLowerCase();
-    if (!normalized) {
-      return false;
+    if (req.body?.name !== undefined && !String(req.body.name).trim()) {
+      return res.status(400).json({ error: "Contest name can't be empty" });
     }
-    
-    const indianCities = City.getCitiesOfCountry("IN");
-    if (!indianCities || indianCities.length === 0) {
-      console.warn('No cities found for India');
-      return false;
+    if (invalidEntryCap(req.body?.max_entries)) {
+      return res.status(400).json({ error: "Max entries must be a whole number above 0" });
     }
-    
-    return indianCities.some(c => c.name && c.name.toLowerCase() === normalized);
+    const contest = await updateContest(id, req.body || {});
+    if (!contest) {
+      return res.status(404).json({ error: "Contest not found" });
+    }
+    res.json({ success: true, contest });
   } catch (error) {
-    console.error('Error validating city:', error.message);
-    return false;
+    console.error("Error updating contest:", error);
+    res.status(500).json({ error: "Failed to update contest" });
   }
-}
+});
 
-async function sendText(to, body) {
+// API endpoint to list print batches with their redemption rates (?contest=<id>)
+app.get("/api/code-batches", async (req, res) => {
   try {
-    if (!to || !body) {
-      throw new Error('Phone number and message body are required');
-    }
-    
-    if (!WHATSAPP_TOKEN || !PHONE_NUMBER_ID) {
-      throw new Error('WhatsApp credentials not configured');
-    }
-
-    const response = await axios.post(
-      `https://graph.facebook.com/v22.0/${PHONE_NUMBER_ID}/messages`,
-      {
-        messaging_product: "whatsapp",
-        to,
-        text: { body },
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${WHATSAPP_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 10000, // 10 second timeout
-      }
-    );
-
-    console.log(`✅ WhatsApp message sent to ${to}`);
-    return response.data;
+    res.json({ batches: await listBatches({ contestId: parseContestId(req.query.contest) }) });
   } catch (error) {
-    console.error(`❌ Failed to send WhatsApp message to ${to}:`, {
-      message: error.message,
-      status: error.response?.status,
-      data: error.response?.data
-    });
-    
-    // Re-throw the error so calling functions can handle it
-    throw new Error(`WhatsApp API Error: ${error.response?.data?.error?.message || error.message}`);
+    console.error("Error fetching code batches:", error);
+    res.status(500).json({ error: "Failed to fetch code batches" });
   }
-}
+});
 
-async function sendVideoMessage(to, videoPath, caption = '') {
+// API endpoint to generate a batch: { name, quantity, contestId, product, vendor, region }
+app.post("/api/code-batches", async (req, res) => {
   try {
-    if (!to || !videoPath) {
-      throw new Error('Phone number and video path are required');
+    const { name, product, vendor, region } = req.body || {};
+    const quantity = parseInt(req.body?.quantity, 10);
+    if (!name?.trim()) {
+      return res.status(400).json({ error: "Batch name is required" });
     }
-    
-    if (!WHATSAPP_TOKEN || !PHONE_NUMBER_ID) {
-      throw new Error('WhatsApp credentials not configured');
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_BATCH_QUANTITY) {
+      return res.status(400).json({ error: `Quantity must be between 1 and ${MAX_BATCH_QUANTITY}` });
     }
 
-    // Check if video file exists
-    if (!fs.existsSync(videoPath)) {
-      throw new Error(`Video file not found: ${videoPath}`);
+    const batch = await generateBatch({
+      name,
+      quantity,
+      contestId: parseContestId(req.body.contestId),
+      product,
+      vendor,
+      region,
+      validFrom: req.body.validFrom || null,
+      validUntil: req.body.validUntil || null
+    });
+    res.json({ success: true, batch });
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "A batch with this name already exists" });
     }
+    console.error("Error generating code batch:", error);
+    res.status(500).json({ error: "Failed to generate code batch" });
+  }
+});
 
-    // Get file stats for validation
-    const stats = fs.statSync(videoPath);
-    const fileSizeInMB = stats.size / (1024 * 1024);
-    
-    // WhatsApp has a 16MB limit for videos
-    if (fileSizeInMB > 16) {
-      throw new Error(`Video file too large: ${fileSizeInMB.toFixed(2)}MB (max 16MB)`);
+// API endpoint to download a batch's codes as a print-ready CSV
+app.get("/api/code-batches/:id/codes.csv", async (req, res) => {
+  try {
+    const batch = await getBatch(parseInt(req.params.id, 10));
+    if (!batch) {
+      return res.status(404).json({ error: "Batch not found" });
     }
-
-    console.log(`📹 Sending video (${fileSizeInMB.toFixed(2)}MB) to ${to}`);
-    
-    // Step 1: Upload media to WhatsApp
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(videoPath));
-    formData.append('type', 'video/mp4');
-    formData.append('messaging_product', 'whatsapp');
-
-    const uploadResponse = await axios.post(
-      `https://graph.facebook.com/v22.0/${PHONE_NUMBER_ID}/media`,
-      formData,
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
-          ...formData.getHeaders()
-        },
-        timeout: 30000, // 30 second timeout for video upload
-      }
-    );
-
-    const mediaId = uploadResponse.data.id;
-    console.log(`✅ Video uploaded, media ID: ${mediaId}`);
-
-    // Step 2: Send video message
-    const videoMessagePayload = {
-      messaging_product: "whatsapp",
-      to: to,
-      type: "video",
-      video: {
-        id: mediaId,
-        caption: caption
-      }
-    };
-
-    const sendResponse = await axios.post(
-      `https://graph.facebook.com/v22.0/${PHONE_NUMBER_ID}/messages`,
-      videoMessagePayload,
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 10000,
-      }
-    );
-
-    console.log(`✅ Video message sent to ${to}`);
-    return { success: true, message: 'Video sent successfully', mediaId };
-
+    const filename = `${batch.name.replace(/[^\w-]+/g, "_")}.csv`;
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(await exportBatchCsv(batch));
   } catch (error) {
-    console.error(`❌ Failed to send video to ${to}:`, {
-      message: error.message,
-      status: error.response?.status,
-      data: error.response?.data
-    });
-    
-    throw new Error(`WhatsApp Video Error: ${error.response?.data?.error?.message || error.message}`);
+    console.error("Error exporting code batch:", error);
+    res.status(500).json({ error: "Failed to export code batch" });
   }
-}
+});
 
-async function sendWhatsAppTemplate(to, templateName, languageCode = "en", templateParams = {}) {
+// API endpoint to void a lost or misprinted batch: { reason }
+app.post("/api/code-batches/:id/void", async (req, res) => {
   try {
-    if (!to || !templateName) {
-      throw new Error('Phone number and template name are required');
+    const batch = await getBatch(parseInt(req.params.id, 10));
+    if (!batch) {
+      return res.status(404).json({ error: "Batch not found" });
     }
-    
-    if (!WHATSAPP_TOKEN || !PHONE_NUMBER_ID) {
-      throw new Error('WhatsApp credentials not configured');
-    }
-
-    const payload = {
-      messaging_product: "whatsapp",
-      to: to,
-      type: "template",
-      template: {
-        name: templateName,
-        language: {
-          code: languageCode
-        }
-      }
-    };
-
-    // Add template parameters if provided
-    if (templateParams && Object.keys(templateParams).length > 0) {
-      payload.template.components = [
-        {
-          type: "body",
-          parameters: Object.values(templateParams).map(value => ({
-            type: "text",
-            text: value
-          }))
-        }
-      ];
-    }
-
-    const response = await axios.post(
-      `https://graph.facebook.com/v22.0/${PHONE_NUMBER_ID}/messages`,
-      payload,
-      {
-        headers: {
-          Authorization: `Bearer ${WHATSAPP_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 10000,
-      }
-    );
-
-    console.log(`✅ WhatsApp template "${templateName}" sent to ${to}`);
-    return response.data;
+    const voided = await voidCodes({ batchId: batch.id, reason: req.body?.reason || null });
+    res.json({ success: true, voidedCount: voided.length });
+  } catch (error) {
+    console.error("Error voiding code batch:", error);
+    res.status(500).json({ error: "Failed to void code batch" });
+  }
+});
 
+// API endpoint to set a batch's validity dates: { validFrom, validUntil }, null for none
+app.put("/api/code-batches/:id/validity", async (req, res) => {
+  try {
+    const batch = await getBatch(parseInt(req.params.id, 10));
+    if (!batch) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    const updated = await setValidity({
+      batchId: batch.id,
+      validFrom: req.body?.validFrom || null,
+      validUntil: req.body?.validUntil || null
+    });
+    res.json({ success: true, updatedCount: updated });
   } catch (error) {
-    console.error(`❌ Failed to send WhatsApp template to ${to}:`, {
-      message: error.message,
-      status: error.response?.status,
-      data: error.response?.data
+    console.error("Error setting code validity:", error);
+    res.status(500).json({ error: "Failed to set code validity" });
+  }
+});
+
+// API endpoint to void individual codes: { codes: ["AB12CD"], reason }
+app.post("/api/codes/void", async (req, res) => {
+  try {
+    const codes = Array.isArray(req.body?.codes)
+      ? req.body.codes.map(code => String(code).trim().toUpperCase()).filter(Boolean)
+      : [];
+    if (codes.length === 0) {
+      return res.status(400).json({ error: "Codes are required" });
+    }
+    const voided = await voidCodes({ codes, reason: req.body.reason || null });
+    res.json({
+      success: true,
+      voided,
+      // Unknown, redeemed or already voided codes are left alone
+      notVoided: codes.filter(code => !voided.includes(code))
     });
-    
-    throw new Error(`WhatsApp Template Error: ${error.response?.data?.error?.message || error.message}`);
+  } catch (error) {
+    console.error("Error voiding codes:", error);
+    res.status(500).json({ error: "Failed to void codes" });
   }
-}
+});
 
-async function updateCodeInDatabase({ phone, name, email, city, code }) {
+// API endpoint to get a code's status history
+app.get("/api/codes/:code/history", async (req, res) => {
   try {
-    console.log("Updating code in DB:", { phone, name, email, city, code });
-    
-    // Update the codes table with user details and mark as inactive
+    const code = req.params.code.toUpperCase();
     const result = await pool.query(
-      `UPDATE codes 
-       SET phone_number = $1, "name" = $2, email = $3, city = $4, status = 'inactive', created_at = NOW()
-       WHERE code = $5 AND status = 'active'
-       RETURNING *`,
-      [phone, name, email, city, code]
+      "SELECT code, code_id, status, valid_from, valid_until, batch_id, contest_id FROM codes WHERE code = $1",
+      [code]
     );
-    
-    if (result.rows.length > 0) {
-      console.log("Code successfully updated:", result.rows[0]);
-      return true;
-    } else {
-      console.log("No active code found to update");
-      return false;
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Code not found" });
     }
-  } catch (err) {
-    console.error("Database update error:", err.message);
-    throw err;
+    res.json({ ...result.rows[0], history: await getCodeHistory(code) });
+  } catch (error) {
+    console.error("Error fetching code history:", error);
+    res.status(500).json({ error: "Failed to fetch code history" });
   }
-}
+});
 
 // API endpoint to get statistics
 app.get("/api/stats", async (req, res) => {
   try {
-    // Get total registrations (inactive codes)
+    const contestId = parseContestId(req.query.contest);
+
+    // Get total registrations (entries) and the participants they came from
     const totalRegistrationsResult = await pool.query(
-      "SELECT COUNT(*) as total FROM codes WHERE status = 'inactive'"
+      `SELECT COUNT(*) as total, COUNT(DISTINCT participant_id) as participants
+       FROM registrations
+       WHERE ($1::int IS NULL OR contest_id = $1)`,
+      [contestId]
     );
     const totalRegistrations = parseInt(totalRegistrationsResult.rows[0].total);
+    const participants = parseInt(totalRegistrationsResult.rows[0].participants);
 
     // Get the date range for calculating scans per day
     const dateRangeResult = await pool.query(
       `SELECT 
         MIN(created_at) as first_registration,
         MAX(created_at) as last_registration
-       FROM codes 
-       WHERE status = 'inactive' AND created_at IS NOT NULL`
+       FROM registrations
+       WHERE ($1::int IS NULL OR contest_id = $1)`,
+      [contestId]
     );
 
     let codeScansPerDay = 0;
@@ -419,10 +526,13 @@ app.get("/api/stats", async (req, res) => {
 
     // Get winners from database
     const winnersResult = await pool.query(
-      `SELECT "name" as name, phone_number as phone, city
-       FROM codes 
-       WHERE status = 'inactive' AND is_winner = true
-       ORDER BY created_at DESC`
+      `SELECT participants."name" as name, participants.phone_number as phone, participants.city
+       FROM registrations
+       JOIN participants ON participants.id = registrations.participant_id
+       WHERE registrations.is_winner = true
+         AND ($1::int IS NULL OR registrations.contest_id = $1)
+       ORDER BY registrations.created_at DESC`,
+      [contestId]
     );
     console.log("winnersResult",winnersResult);
     const winnersSelected = winnersResult.rows.map(row => ({
@@ -433,6 +543,8 @@ app.get("/api/stats", async (req, res) => {
 
     res.json({
       registrations: totalRegistrations,
+      participants: participants,
+      entriesPerParticipant: participants > 0 ? Math.round((totalRegistrations / participants) * 10) / 10 : 0,
       codeScansPerDay: codeScansPerDay,
       winnersSelected: winnersSelected
     });
@@ -446,15 +558,18 @@ app.get("/api/stats", async (req, res) => {
 // API endpoint to get chart data
 app.get("/api/charts", async (req, res) => {
   try {
+    const contestId = parseContestId(req.query.contest);
+
     // Get daily registrations data
     const dailyRegistrationsResult = await pool.query(
       `SELECT 
         DATE(created_at) as registration_date,
         COUNT(*) as count
-       FROM codes 
-       WHERE status = 'inactive' AND created_at IS NOT NULL
+       FROM registrations
+       WHERE ($1::int IS NULL OR contest_id = $1)
        GROUP BY DATE(created_at)
-       ORDER BY registration_date ASC`
+       ORDER BY registration_date ASC`,
+      [contestId]
     );
 
     // Format daily data for chart (MM-DD format)
@@ -466,30 +581,31 @@ app.get("/api/charts", async (req, res) => {
     // Get city-wise participation data
     const cityRegistrationsResult = await pool.query(
       `SELECT 
-        city,
+        participants.city,
         COUNT(*) as value
-       FROM codes 
-       WHERE status = 'inactive' AND city IS NOT NULL AND city != ''
-       GROUP BY city
-       ORDER BY value DESC`
+       FROM registrations
+       JOIN participants ON participants.id = registrations.participant_id
+       WHERE participants.city IS NOT NULL AND participants.city != ''
+         AND ($1::int IS NULL OR registrations.contest_id = $1)
+       GROUP BY participants.city
+       ORDER BY value DESC`,
+      [contestId]
     );
 
-    // Format city data for pie chart
-    const city = cityRegistrationsResult.rows.map(row => ({
-      name: row.city,
-      value: parseInt(row.value)
-    }));
-
-    // Get total registrations for contest performance
-    const totalRegistrationsResult = await pool.query(
-      "SELECT COUNT(*) as total FROM codes WHERE status = 'inactive'"
-    );
-    const totalRegistrations = parseInt(totalRegistrationsResult.rows[0].total);
+    // Format city data for pie chart, merging spellings entered before
+    // cities were stored under their canonical name
+    const cityTotals = new Map();
+    for (const row of cityRegistrationsResult.rows) {
+      const name = findIndianCity(row.city)?.name || row.city;
+      cityTotals.set(name, (cityTotals.get(name) || 0) + parseInt(row.value));
+    }
+    const city = Array.from(cityTotals, ([name, value]) => ({ name, value }))
+      .sort((a, b) => b.value - a.value);
 
-    // Contest performance data (single bar for Maidan 72)
-    const performance = [
-      { contest: "Maidan 72", value: totalRegistrations }
-    ];
+    // Registrations per contest, or just the selected one
+    const performance = (await listContests())
+      .filter(contest => contestId === null || contest.id === contestId)
+      .map(contest => ({ contest: contest.name, value: contest.registrations }));
 
     res.json({
       daily,
@@ -506,38 +622,45 @@ app.get("/api/charts", async (req, res) => {
 // API endpoint to get recent activity data
 app.get("/api/recent-activity", async (req, res) => {
   try {
-    // Get all inactive codes with user details, ordered by most recent first
+    const contestId = parseContestId(req.query.contest);
+
+    // Get all registrations with the participant's details, most recent first
     const recentActivityResult = await pool.query(
       `SELECT 
-        code_id as id,
-        "name" as name,
-        phone_number as phone,
-        city,
-        email,
-        code,
-        created_at,
-        is_winner,
-        DATE(created_at) as date
-       FROM codes 
-       WHERE status = 'inactive' 
-         AND "name" IS NOT NULL 
-         AND phone_number IS NOT NULL 
-         AND city IS NOT NULL
-         AND created_at IS NOT NULL
-       ORDER BY created_at DESC`
+        registrations.id,
+        participants."name" as name,
+        participants.phone_number as phone,
+        participants.city,
+        participants.email,
+        registrations.code,
+        registrations.created_at,
+        registrations.is_winner,
+        registrations.contest_id,
+        COUNT(*) OVER (PARTITION BY participants.id) as entries,
+        DATE(registrations.created_at) as date
+       FROM registrations
+       JOIN participants ON participants.id = registrations.participant_id
+       WHERE participants."name" IS NOT NULL 
+         AND participants.city IS NOT NULL
+         AND ($1::int IS NULL OR registrations.contest_id = $1)
+       ORDER BY registrations.created_at DESC`,
+      [contestId]
     );
 
     // Format data for the table
     const entries = recentActivityResult.rows.map(row => ({
-      id: row.id,
+      id: String(row.id),
       name: row.name? row.name.trim() : 'N/A', // Trim whitespace from name
       phone: row.phone || 'N/A',
       city: row.city || 'N/A',
-      status: "Registered", // All inactive codes are considered registered
+      status: "Registered",
       date: row.date ? new Date(row.date).toISOString().slice(0, 10) : 'N/A', // Format as YYYY-MM-DD
       email: row.email || 'N/A',
       code: row.code || 'N/A',
-      isWinner: row.is_winner || false
+      isWinner: row.is_winner || false,
+      contestId: row.contest_id,
+      // The participant's registrations in the selected contest(s)
+      entries: parseInt(row.entries)
     }));
 
     res.json({ entries });
@@ -548,46 +671,122 @@ app.get("/api/recent-activity", async (req, res) => {
   }
 });
 
-// API endpoint to update winners
-app.post("/api/update-winners", async (req, res) => {
+// API endpoint to draw winners for a contest; every draw is recorded:
+// { contestId, count, weighting, excludePhones, excludePreviousWinners, excludeBlocked, cityQuotas }
+app.post("/api/draws", async (req, res) => {
   try {
-    const { winnerIds } = req.body;
-
-    if (!winnerIds || !Array.isArray(winnerIds) || winnerIds.length === 0) {
-      return res.status(400).json({ error: "Winner IDs are required" });
+    const body = req.body || {};
+    const contestId = parseContestId(body.contestId);
+    const count = parseInt(body.count, 10);
+    const weighting = body.weighting || "entries";
+    const cityQuotas = body.cityQuotas || {};
+
+    if (!contestId) {
+      return res.status(400).json({ error: "Draws are per contest, contestId is required" });
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      return res.status(400).json({ error: "Number of winners must be a whole number above 0" });
+    }
+    if (!DRAW_WEIGHTINGS.includes(weighting)) {
+      return res.status(400).json({ error: `Weighting must be one of ${DRAW_WEIGHTINGS.join(", ")}` });
+    }
+    const quotas = typeof cityQuotas === "object" && !Array.isArray(cityQuotas) ? Object.values(cityQuotas) : [null];
+    if (quotas.some(quota => !Number.isInteger(quota) || quota < 1)) {
+      return res.status(400).json({ error: "City quotas must map a city to a whole number above 0" });
+    }
+    if (quotas.reduce((sum, quota) => sum + quota, 0) > count) {
+      return res.status(400).json({ error: "City quotas add up to more than the number of winners" });
+    }
+    if (!(await getContest(contestId))) {
+      return res.status(404).json({ error: "Contest not found" });
     }
 
-    console.log("Updating winners:", winnerIds);
+    const draw = await createDraw({
+      contestId,
+      count,
+      weighting,
+      exclusions: {
+        phones: Array.isArray(body.excludePhones) ? body.excludePhones : [],
+        previousWinners: Boolean(body.excludePreviousWinners),
+        blocked: body.excludeBlocked !== false
+      },
+      cityQuotas
+    });
+    // The pool can be large; GET /api/draws/:id has it
+    res.json({ draw: { ...draw, pool: undefined }, winners: await drawWinners(draw) });
+  } catch (error) {
+    console.error("Error drawing winners:", error);
+    res.status(500).json({ error: "Failed to draw winners" });
+  }
+});
 
-    // First, reset all is_winner flags to false
-    await pool.query("UPDATE codes SET is_winner = false WHERE status = 'inactive'");
+// API endpoint to list a contest's draws (?contest=<id>), without their pools
+app.get("/api/draws", async (req, res) => {
+  try {
+    res.json({ draws: await listDraws({ contestId: parseContestId(req.query.contest) }) });
+  } catch (error) {
+    console.error("Error fetching draws:", error);
+    res.status(500).json({ error: "Failed to fetch draws" });
+  }
+});
 
-    // Then set is_winner = true for selected winners
-    const placeholders = winnerIds.map((_, index) => `$${index + 1}`).join(',');
-    const updateResult = await pool.query(
-      `UPDATE codes 
-       SET is_winner = true 
-       WHERE code_id IN (${placeholders}) AND status = 'inactive'
-       RETURNING code_id, "name", phone_number, city`,
-      winnerIds
-    );
+// API endpoint returning the full record of a draw, pool included, for audits
+app.get("/api/draws/:id", async (req, res) => {
+  try {
+    const draw = await getDraw(parseInt(req.params.id, 10));
+    if (!draw) {
+      return res.status(404).json({ error: "Draw not found" });
+    }
+    res.json(draw);
+  } catch (error) {
+    console.error("Error fetching draw:", error);
+    res.status(500).json({ error: "Failed to fetch draw" });
+  }
+});
 
-    console.log("Winners updated:", updateResult.rows);
+// API endpoint to re-run a draw from its seed and pool and compare the winners
+app.get("/api/draws/:id/verify", async (req, res) => {
+  try {
+    const draw = await getDraw(parseInt(req.params.id, 10));
+    if (!draw) {
+      return res.status(404).json({ error: "Draw not found" });
+    }
+    const { winners, ...checks } = verifyDraw(draw);
+    res.json({ drawId: draw.id, ...checks, winners });
+  } catch (error) {
+    console.error("Error verifying draw:", error);
+    res.status(500).json({ error: "Failed to verify draw" });
+  }
+});
 
-    res.json({ 
-      success: true, 
-      updatedCount: updateResult.rows.length,
-      winners: updateResult.rows.map(row => ({
-        id: row.code_id,
-        name: row.name? row.name.trim() : 'N/A',
-        phone: row.phone_number || 'N/A',
-        city: row.city || 'N/A'
-      }))
+// API endpoint to make a draw's winners the contest's winners. Replacing an
+// applied draw needs { supersedeReason }.
+app.post("/api/draws/:id/apply", async (req, res) => {
+  try {
+    const draw = await getDraw(parseInt(req.params.id, 10));
+    if (!draw) {
+      return res.status(404).json({ error: "Draw not found" });
+    }
+    const reason = typeof req.body?.supersedeReason === "string" ? req.body.supersedeReason.trim() : "";
+    const result = await applyDraw(draw, { reason: reason || null });
+    if (!result.applied) {
+      return res.status(409).json({
+        error: result.reason === "already_applied"
+          ? "This draw has already been applied"
+          : `Draw #${result.currentDrawId} is already applied to this contest. Give a reason to replace its winners.`,
+        reason: result.reason,
+        currentDrawId: result.currentDrawId
+      });
+    }
+    res.json({
+      success: true,
+      updatedCount: result.updatedCount,
+      supersededDrawId: result.supersededDrawId,
+      winners: await drawWinners(draw)
     });
-
   } catch (error) {
-    console.error("Error updating winners:", error);
-    res.status(500).json({ error: "Failed to update winners" });
+    console.error("Error applying draw:", error);
+    res.status(500).json({ error: "Failed to apply draw" });
   }
 });
 
@@ -602,32 +801,54 @@ app.delete("/api/registration/:phone", async (req, res) => {
 
     console.log(`Attempting to delete registration for phone: ${phone}`);
 
-    // Delete the record from codes table
-    const result = await pool.query(
-      "DELETE FROM codes WHERE phone_number = $1 RETURNING *",
-      [phone]
-    );
+    // Remove the participant and their registrations; the codes they
+    // redeemed can be registered again
+    const client = await pool.connect();
+    let deletedRecord = null;
+    try {
+      await client.query("BEGIN");
+      const participantResult = await client.query(
+        "SELECT * FROM participants WHERE phone_number = $1 FOR UPDATE",
+        [phone]
+      );
+      const participant = participantResult.rows[0];
+      if (participant) {
+        const registrationsResult = await client.query(
+          "DELETE FROM registrations WHERE participant_id = $1 RETURNING code",
+          [participant.id]
+        );
+        const codes = registrationsResult.rows.map(row => row.code);
+        await client.query(
+          `UPDATE codes
+           SET status = 'active', changed_by = 'admin', change_reason = 'registration deleted'
+           WHERE code = ANY($1::text[]) AND status = 'redeemed'`,
+          [codes]
+        );
+        await client.query("DELETE FROM participants WHERE id = $1", [participant.id]);
+        deletedRecord = {
+          phone: participant.phone_number,
+          name: participant.name,
+          email: participant.email,
+          city: participant.city,
+          code: codes[0] || null,
+          codes
+        };
+      }
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
 
-    if (result.rows.length > 0) {
-      const deletedRecord = result.rows[0];
-      console.log("Registration deleted successfully:", {
-        phone: deletedRecord.phone_number,
-        name: deletedRecord.name,
-        email: deletedRecord.email,
-        city: deletedRecord.city,
-        code: deletedRecord.code
-      });
+    if (deletedRecord) {
+      console.log("Registration deleted successfully:", deletedRecord);
 
       res.json({ 
         success: true, 
         message: "Registration deleted successfully",
-        deletedRecord: {
-          phone: deletedRecord.phone_number,
-          name: deletedRecord.name,
-          email: deletedRecord.email,
-          city: deletedRecord.city,
-          code: deletedRecord.code
-        }
+        deletedRecord
       });
     } else {
       console.log(`No registration found for phone: ${phone}`);
@@ -648,12 +869,19 @@ app.delete("/api/registration/:phone", async (req, res) => {
 // API endpoint to send winner emails and WhatsApp messages
 app.post("/api/send-winner-emails", async (req, res) => {
   try {
-    // Get all winners from database
+    const contestId = parseContestId(req.body?.contestId);
+
+    // Get the winners from database, with their contest for the wording
     const winnersResult = await pool.query(
-      `SELECT code_id, "name" as name, email, phone_number, city, code
-       FROM codes 
-       WHERE status = 'inactive' AND is_winner = true
-       ORDER BY created_at DESC`
+      `SELECT participants."name" as name, participants.email, participants.phone_number, participants.city,
+              registrations.code, contests.name as contest, contests.brand, contests.copy
+       FROM registrations
+       JOIN participants ON participants.id = registrations.participant_id
+       LEFT JOIN contests ON contests.id = registrations.contest_id
+       WHERE registrations.is_winner = true
+         AND ($1::int IS NULL OR registrations.contest_id = $1)
+       ORDER BY registrations.created_at DESC`,
+      [contestId]
     );
 
     const winners = winnersResult.rows;
@@ -664,183 +892,68 @@ app.post("/api/send-winner-emails", async (req, res) => {
       });
     }
 
-    console.log(`Sending notifications to ${winners.length} winners`);
+    console.log(`Queueing notifications for ${winners.length} winners`);
 
-    // Get video file path
-    const videoPath = path.join(__dirname, 'sample.mp4');
-    const videoExists = fs.existsSync(videoPath);
-    
+    const videoExists = Boolean(await getWinnerMedia());
     if (!videoExists) {
-      console.warn('⚠️ Video file sample.mp4 not found. Notifications will be sent without video.');
-    } else {
-      console.log('✅ Video file found, will be included in notifications');
+      console.warn('⚠️ No media assigned to "winner" in the media library. Notifications will be sent without video.');
     }
 
-    // Send both emails and WhatsApp messages
-    const notificationPromises = winners.map(async (winner) => {
+    // Winners who haven't messaged us in 24 hours get the WhatsApp template
+    const windows = await getWindowStatus(winners.map(winner => winner.phone_number).filter(Boolean));
+
+    // Each winner gets one job per channel; the worker sends and retries them
+    const results = [];
+    for (const winner of winners) {
       const winnerData = {
         name: winner.name? winner.name.trim() : 'Winner',
         email: winner.email,
         phone: winner.phone_number,
         city: winner.city,
-        code: winner.code
+        code: winner.code,
+        contest: winner.contest,
+        brand: winner.brand,
+        winnerMessage: winner.copy?.winnerMessage
       };
 
-      const results = {
+      const result = {
         name: winnerData.name,
         phone: winnerData.phone,
         email: winnerData.email,
-        emailStatus: 'skipped',
-        whatsappStatus: 'skipped',
-        videoSent: false,
-        errors: []
+        whatsappJobId: null,
+        emailJobId: null,
+        needsTemplate: winnerData.phone ? !windows[winnerData.phone]?.open : false
       };
 
-      // Send WhatsApp message if phone number exists (text only for winners)
       if (winnerData.phone) {
-        try {
-          const whatsappMessage = `🎉 *CONGRATULATIONS ${winnerData.name}!* 🎉
-
-            🏆 You're a WINNER in the Maidan 72 Club contest!
-
-            ✅ *Your Winner Details:*
-            👤 Name: ${winnerData.name}
-            🎫 Winning Code: *${winnerData.code}*
-            🏙️ City: ${winnerData.city}
-
-            🎯 *What's Next?*
-            Please contact us as soon as possible to claim your prize. Keep your winning code safe as you'll need it for verification.
-
-            Thank you for participating in Maidan 72 Club! 🏏
-
-            *Best regards,*
-            Maidan 72 Club Team`;
-
-          await sendText(winnerData.phone, whatsappMessage);
-          results.whatsappStatus = 'sent';
-          results.videoSent = false; // No video sent for winners
-          console.log(`📱 WhatsApp winner notification sent to ${winnerData.name} (${winnerData.phone})`);
-        } catch (error) {
-          results.whatsappStatus = 'failed';
-          results.errors.push(`WhatsApp: ${error.message}`);
-          console.error(`❌ Failed to send WhatsApp to ${winnerData.phone}:`, error.message);
-        }
+        result.whatsappJobId = (await enqueueJob(JOB_TYPES.NOTIFY_WINNER_WHATSAPP, winnerData)).id;
       }
-
-      // Send email if email exists
       if (winnerData.email) {
-        const mailOptions = {
-          from: 'aditya.as@somaiya.edu',
-          to: winnerData.email,
-          subject: '🎉 Congratulations! You\'re a Winner - Maidan 72 Club',
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
-              <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-                <h1 style="color: #2563eb; text-align: center; margin-bottom: 30px;">🎉 Congratulations ${winnerData.name}!</h1>
-                
-                <p style="font-size: 18px; color: #333; line-height: 1.6;">
-                  We are thrilled to inform you that you've been selected as a <strong>winner</strong> in the Maidan 72 Club contest!
-                </p>
-                
-                <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb;">
-                  <h3 style="color: #1e40af; margin-top: 0;">Your Winner Details:</h3>
-                  <p style="margin: 5px 0;"><strong>Name:</strong> ${winnerData.name}</p>
-                  <p style="margin: 5px 0;"><strong>Winning Code:</strong> <span style="background-color: #dbeafe; padding: 4px 8px; border-radius: 4px; font-family: monospace; font-weight: bold;">${winnerData.code}</span></p>
-                  <p style="margin: 5px 0;"><strong>Registration City:</strong> ${winnerData.city}</p>
-                </div>
-                
-                ${videoExists ? `
-                <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #f59e0b;">
-                  <h3 style="color: #92400e; margin-top: 0;">🎬 Special Winner Video!</h3>
-                  <p style="margin: 5px 0; color: #92400e;">We've attached a special congratulations video just for you! Please download and watch it to get important information about your prize.</p>
-                </div>
-                ` : ''}
-                
-                <p style="color: #333; line-height: 1.6;">
-                  Please contact us as soon as possible to claim your prize. Make sure to keep your winning code safe as you'll need it for verification.
-                </p>
-                
-                <div style="text-align: center; margin: 30px 0;">
-                  <p style="font-size: 16px; color: #666;">Thank you for participating in Maidan 72 Club!</p>
-                </div>
-                
-                <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-                
-                <div style="text-align: center; color: #666; font-size: 14px;">
-                  <p><strong>Best regards,</strong><br>Maidan 72 Club Team</p>
-                  <p style="margin-top: 20px; font-size: 12px;">This is an automated message. Please do not reply to this email.</p>
-                </div>
-              </div>
-            </div>
-          `
-        };
-
-        // Add video attachment if it exists
-        if (videoExists) {
-          mailOptions.attachments = [
-            {
-              filename: 'congratulations-video.mp4',
-              path: videoPath,
-              contentType: 'video/mp4'
-            }
-          ];
-        }
-
-        try {
-          await transporter.sendMail(mailOptions);
-          results.emailStatus = 'sent';
-          console.log(`📧 Email sent successfully to ${winnerData.name} (${winnerData.email})`);
-        } catch (error) {
-          results.emailStatus = 'failed';
-          results.errors.push(`Email: ${error.message}`);
-          console.error(`❌ Failed to send email to ${winnerData.email}:`, error.message);
-        }
+        result.emailJobId = (await enqueueJob(JOB_TYPES.NOTIFY_WINNER_EMAIL, winnerData)).id;
       }
+      results.push(result);
+    }
 
-      return results;
-    });
+    const whatsappQueued = results.filter(result => result.whatsappJobId).length;
+    const emailsQueued = results.filter(result => result.emailJobId).length;
+    const templatesQueued = results.filter(result => result.whatsappJobId && result.needsTemplate).length;
 
-    const notificationResults = await Promise.all(notificationPromises);
-    
-    // Count successful and failed notifications
-    const emailsSent = notificationResults.filter(result => result.emailStatus === 'sent').length;
-    const emailsFailed = notificationResults.filter(result => result.emailStatus === 'failed').length;
-    const whatsappSent = notificationResults.filter(result => result.whatsappStatus === 'sent').length;
-    const whatsappFailed = notificationResults.filter(result => result.whatsappStatus === 'failed').length;
-    const videosSent = notificationResults.filter(result => result.videoSent === true).length;
-    
-    // Create summary message
-    const emailMessage = emailsSent > 0 ? `${emailsSent} email(s) sent` : '';
-    const whatsappMessage = whatsappSent > 0 ? `${whatsappSent} WhatsApp message(s) sent` : '';
-    const videoMessage = videosSent > 0 ? `${videosSent} video notification(s) sent` : '';
-    const successMessages = [emailMessage, whatsappMessage, videoMessage].filter(Boolean);
-    
-    const failureMessage = [];
-    if (emailsFailed > 0) failureMessage.push(`${emailsFailed} email(s) failed`);
-    if (whatsappFailed > 0) failureMessage.push(`${whatsappFailed} WhatsApp message(s) failed`);
-    
-    let message = 'Congratulations notifications sent successfully!';
-    if (successMessages.length > 0) {
-      message = `${successMessages.join(', ')} successfully!`;
-    }
-    if (failureMessage.length > 0) {
-      message += ` ${failureMessage.join(' and ')}.`;
+    let message = `${whatsappQueued} WhatsApp message(s) and ${emailsQueued} email(s) queued for sending!`;
+    if (templatesQueued > 0) {
+      message += ` ${templatesQueued} winner(s) will get the "${WINNER_TEMPLATE}" template.`;
     }
-    
     if (videoExists) {
       message += ` Video attachments included.`;
     }
-    
+
     res.json({
       success: true,
       totalWinners: winners.length,
-      emailsSent,
-      emailsFailed,
-      whatsappSent,
-      whatsappFailed,
-      videosSent,
+      whatsappQueued,
+      emailsQueued,
+      templatesQueued,
       videoIncluded: videoExists,
-      results: notificationResults,
+      results,
       message
     });
 
@@ -850,7 +963,349 @@ app.post("/api/send-winner-emails", async (req, res) => {
   }
 });
 
-app.get("/webhook", (req, res) => {
+const WEBHOOK_REJECTIONS_KEY = "webhook:rejections";
+
+// Rejections are counted per reason so forged or misconfigured traffic shows up
+async function recordWebhookRejection(req, reason) {
+  console.error(`🚫 Rejected ${req.method} ${req.path} (${reason})`, {
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  try {
+    await redisClient.hIncrBy(WEBHOOK_REJECTIONS_KEY, reason, 1);
+  } catch (error) {
+    console.error('Failed to record webhook rejection:', error.message);
+  }
+}
+
+async function requireValidSignature(req, res, next) {
+  const { valid, reason } = verifyRequestSignature(req.rawBody, req.get(SIGNATURE_HEADER), APP_SECRET);
+  if (valid) {
+    return next();
+  }
+  await recordWebhookRejection(req, reason);
+  res.status(401).json({ error: 'Invalid request signature' });
+}
+
+// API endpoint to look up the outbound message log and delivery statuses
+app.get("/api/messages", async (req, res) => {
+  try {
+    const { phone, context, messageId, limit } = req.query;
+    const messages = await findMessages({ phone, context, waMessageId: messageId, limit });
+    res.json({ messages });
+  } catch (error) {
+    console.error("Error fetching message log:", error);
+    res.status(500).json({ error: "Failed to fetch message log" });
+  }
+});
+
+// API endpoint to inspect the job queue and its dead-letter list
+app.get("/api/jobs", async (req, res) => {
+  try {
+    const [stats, deadJobs] = await Promise.all([
+      getQueueStats(),
+      listDeadJobs({ limit: parseInt(req.query.limit, 10) || 100 })
+    ]);
+    res.json({ stats, deadJobs });
+  } catch (error) {
+    console.error("Error fetching job queue:", error);
+    res.status(500).json({ error: "Failed to fetch job queue" });
+  }
+});
+
+// API endpoint to replay a failed job from the dead-letter list
+app.post("/api/jobs/:id/replay", async (req, res) => {
+  try {
+    const job = await replayDeadJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "No failed job found with this id" });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error("Error replaying job:", error);
+    res.status(500).json({ error: "Failed to replay job" });
+  }
+});
+
+// API endpoint to get phones locked out of code entry and attempt stats
+app.get("/api/code-attempts", async (req, res) => {
+  try {
+    res.json(await getCodeAttemptStats());
+  } catch (error) {
+    console.error("Error fetching code attempt stats:", error);
+    res.status(500).json({ error: "Failed to fetch code attempt stats" });
+  }
+});
+
+// API endpoint to lift a code entry lockout early
+app.delete("/api/code-attempts/:phone", async (req, res) => {
+  try {
+    const cleared = await clearLockout(req.params.phone);
+    if (!cleared) {
+      return res.status(404).json({ error: "This phone number is not locked out" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error clearing code lockout:", error);
+    res.status(500).json({ error: "Failed to clear code lockout" });
+  }
+});
+
+// API endpoint to count registrations abandoned part way, by step
+app.get("/api/abandoned-registrations", async (req, res) => {
+  try {
+    const counts = await getAbandonedCounts();
+    const steps = counts.map((row) => ({
+      ...row,
+      label: registrationFlow.steps[row.step]?.label
+        || (row.step === registrationFlow.reviewStep ? "confirming details" : row.step),
+    }));
+    res.json({
+      total: steps.reduce((sum, row) => sum + row.total, 0),
+      reminderDelayMinutes: REMINDER_DELAY_MINUTES,
+      steps,
+    });
+  } catch (error) {
+    console.error("Error fetching abandoned registrations:", error);
+    res.status(500).json({ error: "Failed to fetch abandoned registrations" });
+  }
+});
+
+// API endpoint to show which winners can still get a free-form WhatsApp
+// message and which need the approved template
+app.get("/api/winners/messaging-window", async (req, res) => {
+  try {
+    const winnersResult = await pool.query(
+      `SELECT participants."name" as name, participants.phone_number, participants.city
+       FROM registrations
+       JOIN participants ON participants.id = registrations.participant_id
+       WHERE registrations.is_winner = true
+         AND ($1::int IS NULL OR registrations.contest_id = $1)
+       ORDER BY registrations.created_at DESC`,
+      [parseContestId(req.query.contest)]
+    );
+    const windows = await getWindowStatus(winnersResult.rows.map(winner => winner.phone_number));
+
+    res.json({
+      windowHours: WINDOW_HOURS,
+      template: WINNER_TEMPLATE,
+      recipients: winnersResult.rows.map(winner => ({
+        name: winner.name,
+        phone: winner.phone_number,
+        city: winner.city,
+        lastInboundAt: windows[winner.phone_number].lastInboundAt,
+        windowClosesAt: windows[winner.phone_number].closesAt,
+        needsTemplate: !windows[winner.phone_number].open
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching messaging windows:", error);
+    res.status(500).json({ error: "Failed to fetch messaging windows" });
+  }
+});
+
+// API endpoint to list the media library and which media each event sends
+app.get("/api/media", async (req, res) => {
+  try {
+    res.json({ ...(await listAssets()), events: MEDIA_EVENTS });
+  } catch (error) {
+    console.error("Error fetching media library:", error);
+    res.status(500).json({ error: "Failed to fetch media library" });
+  }
+});
+
+// API endpoint to upload a video or image; the body is the raw file with its
+// Content-Type, e.g. POST /api/media?filename=welcome.mp4
+app.post("/api/media", express.raw({ type: () => true, limit: '16mb' }), async (req, res) => {
+  try {
+    const asset = await createAsset({
+      filename: req.query.filename,
+      mimeType: (req.get('content-type') || '').split(';')[0].trim(),
+      data: req.body
+    });
+    res.json({ success: true, asset });
+  } catch (error) {
+    console.error("Error uploading media:", error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API endpoint to serve an uploaded media file
+app.get("/api/media/:id/file", async (req, res) => {
+  try {
+    const asset = await getAsset(parseInt(req.params.id, 10));
+    if (!asset) {
+      return res.status(404).json({ error: "Media not found" });
+    }
+    res.type(asset.mime_type).sendFile(asset.file_path);
+  } catch (error) {
+    console.error("Error serving media file:", error);
+    res.status(500).json({ error: "Failed to load media" });
+  }
+});
+
+// API endpoint to delete media; events it was assigned to send none
+app.delete("/api/media/:id", async (req, res) => {
+  try {
+    if (!(await deleteAsset(parseInt(req.params.id, 10)))) {
+      return res.status(404).json({ error: "Media not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting media:", error);
+    res.status(500).json({ error: "Failed to delete media" });
+  }
+});
+
+// API endpoint to choose the media an event sends, body { mediaId }
+app.put("/api/media/assignments/:event", async (req, res) => {
+  try {
+    const { event } = req.params;
+    if (!MEDIA_EVENTS[event]) {
+      return res.status(400).json({ error: `Unknown event "${event}"` });
+    }
+    const mediaId = req.body?.mediaId;
+    if (!Number.isInteger(mediaId)) {
+      return res.status(400).json({ error: "mediaId must be a media id" });
+    }
+    if (!(await getAsset(mediaId))) {
+      return res.status(404).json({ error: "Media not found" });
+    }
+    await assignMedia(event, mediaId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error assigning media:", error);
+    res.status(500).json({ error: "Failed to assign media" });
+  }
+});
+
+// API endpoint to stop sending media for an event
+app.delete("/api/media/assignments/:event", async (req, res) => {
+  try {
+    await unassignMedia(req.params.event);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error removing media assignment:", error);
+    res.status(500).json({ error: "Failed to remove media assignment" });
+  }
+});
+
+// API endpoint to list scratch card photos waiting for review
+app.get("/api/code-submissions", async (req, res) => {
+  try {
+    const submissions = await listSubmissions({ status: req.query.status || "pending", limit: req.query.limit });
+    res.json({ submissions });
+  } catch (error) {
+    console.error("Error fetching code submissions:", error);
+    res.status(500).json({ error: "Failed to fetch code submissions" });
+  }
+});
+
+// API endpoint to serve the photo of a code submission
+app.get("/api/code-submissions/:id/image", async (req, res) => {
+  try {
+    const submission = await getSubmission(parseInt(req.params.id, 10));
+    if (!submission) {
+      return res.status(404).json({ error: "Submission not found" });
+    }
+    res.type(submission.mime_type || "image/jpeg").sendFile(submission.file_path);
+  } catch (error) {
+    console.error("Error serving code submission image:", error);
+    res.status(500).json({ error: "Failed to load image" });
+  }
+});
+
+// API endpoint to approve a code photo with the code read off it; the user's
+// conversation continues as if they had typed the code
+app.post("/api/code-submissions/:id/approve", async (req, res) => {
+  try {
+    const code = (req.body?.code || "").trim().toUpperCase();
+    if (!code) {
+      return res.status(400).json({ error: "Code is required" });
+    }
+
+    const submission = await getSubmission(parseInt(req.params.id, 10));
+    if (!submission) {
+      return res.status(404).json({ error: "Submission not found" });
+    }
+    if (submission.status !== "pending") {
+      return res.status(409).json({ error: `Submission was already ${submission.status}` });
+    }
+
+    const phone = submission.phone_number;
+    const outcome = await withPhoneLock(phone, async () => {
+      const session = await sessionStore.get(phone);
+      if (session.code && registration.isActive(session)) {
+        return { status: 409, error: "The user has already entered a code in the chat" };
+      }
+
+      const reservation = await registrationChecks.reserveCode(code, { phone });
+      if (!reservation.ok) {
+        return { status: 400, error: "This code is not valid, is already used or held by someone else, its contest is closed, or this phone has already entered its contest" };
+      }
+      if (!(await markReviewed(submission.id, { status: "approved", code }))) {
+        return { status: 409, error: "Submission was already reviewed" };
+      }
+
+      await sessionStore.update(phone, { step: codeStep.name, phone });
+      await registration.submit(phone, await sessionStore.get(phone), code, {
+        ack: renderTemplate(registrationFlow.messages.photoApproved, { code })
+      });
+      return { status: 200 };
+    });
+
+    if (outcome.status !== 200) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error approving code submission:", error);
+    res.status(500).json({ error: "Failed to approve submission" });
+  }
+});
+
+// API endpoint to reject a code photo; the user is asked to type the code
+app.post("/api/code-submissions/:id/reject", async (req, res) => {
+  try {
+    const note = (req.body?.reason || "").trim() || null;
+    const submission = await markReviewed(parseInt(req.params.id, 10), { status: "rejected", note });
+    if (!submission) {
+      return res.status(404).json({ error: "No pending submission found with this id" });
+    }
+
+    const phone = submission.phone_number;
+    await withPhoneLock(phone, async () => {
+      const session = await sessionStore.get(phone);
+      if (!registration.isActive(session)) {
+        await sessionStore.update(phone, { step: codeStep.name, phone });
+      }
+      await sendText(phone, renderTemplate(registrationFlow.messages.photoRejected, { reason: note || "" }));
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error rejecting code submission:", error);
+    res.status(500).json({ error: "Failed to reject submission" });
+  }
+});
+
+// API endpoint to get rejected webhook request counts
+app.get("/api/webhook/rejections", async (req, res) => {
+  try {
+    const counts = await redisClient.hGetAll(WEBHOOK_REJECTIONS_KEY);
+    const rejections = Object.fromEntries(
+      Object.entries(counts).map(([reason, count]) => [reason, parseInt(count, 10)])
+    );
+    res.json({
+      total: Object.values(rejections).reduce((sum, count) => sum + count, 0),
+      rejections
+    });
+  } catch (error) {
+    console.error("Error fetching webhook rejections:", error);
+    res.status(500).json({ error: "Failed to fetch webhook rejections" });
+  }
+});
+
+app.get("/webhook", async (req, res) => {
   try {
     const { "hub.mode": mode, "hub.verify_token": token, "hub.challenge": challenge } = req.query;
     
@@ -859,11 +1314,12 @@ app.get("/webhook", (req, res) => {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
     
-    if (mode === "subscribe" && token === VERIFY_TOKEN) {
+    if (VERIFY_TOKEN && mode === "subscribe" && token === VERIFY_TOKEN) {
       console.log("Webhook verified successfully!");
       res.status(200).send(challenge);
     } else {
       console.error('Webhook verification failed:', { mode, token: token ? '[PRESENT]' : '[MISSING]' });
+      await recordWebhookRejection(req, VERIFY_TOKEN ? 'verify_token_mismatch' : 'verify_token_not_configured');
       res.status(403).json({ error: 'Webhook verification failed' });
     }
   } catch (error) {
@@ -872,438 +1328,226 @@ app.get("/webhook", (req, res) => {
   }
 });
 
-app.post("/webhook", async (req, res) => {
+// Runs the registration conversation for one inbound message. Callers must
+// hold the sender's session lock (see messageGuard.js).
+async function handleIncomingMessage(msg) {
+  const from = msg.from;
+  const text = (msg.text?.body || "").trim();
+  const buttonReply = msg.interactive?.button_reply?.id || msg.interactive?.list_reply?.id;
+  const templateButtonReply = msg.interactive?.button_reply?.title;
+  
+  // Debug: Log the message structure to understand template responses
+  console.log('📩 Message received:', {
+    from,
+    text,
+    buttonReply,
+    templateButtonReply,
+    messageType: msg.type,
+    interactive: msg.interactive,
+    isButtonClick: msg.type === "button"
+  });
+  
+  let session;
   try {
-    const body = req.body;
-    
-    if (!body) {
-      console.error('Empty webhook body received');
-      return res.status(400).json({ error: 'Empty request body' });
-    }
-    
-    // console.log("Incoming webhook:", JSON.stringify(body, null, 2));
+    session = await sessionStore.get(from);
+  } catch (redisError) {
+    console.error('Redis error while getting session:', redisError.message);
+    await sendText(from, "⚠️ Technical issue occurred. Please try again later.");
+    return;
+  }
 
-    const msg = body.entry?.[0]?.changes?.[0]?.value?.messages?.[0];
-    if (!msg) {
-      console.log('No message found in webhook body');
-      return res.sendStatus(200);
+  // The chat session expired part way through registering; pick it back up
+  // from the copy in Postgres (see registrationProgress.js)
+  let resumed = false;
+  if (!session.step) {
+    try {
+      const saved = await loadProgress(from);
+      if (saved && registration.isActive(saved) && saved.step !== registration.flow.completeStep) {
+        await sessionStore.update(from, saved);
+        session = saved;
+        resumed = true;
+        console.log(`↩️ Restored ${from}'s registration at ${saved.step}`);
+      }
+    } catch (error) {
+      console.error('Error restoring registration progress:', error.message);
     }
+  }
 
-    const from = msg.from;
-    const text = (msg.text?.body || "").trim();
-    const buttonReply = msg.interactive?.button_reply?.id;
-    const templateButtonReply = msg.interactive?.button_reply?.title;
-    
-    // Debug: Log the message structure to understand template responses
-    console.log('📩 Message received:', {
-      from,
-      text,
-      buttonReply,
-      templateButtonReply,
-      messageType: msg.type,
-      interactive: msg.interactive,
-      isButtonClick: msg.type === "button"
-    });
-    
-    if (!from) {
-      console.error('No sender phone number found in message');
-      return res.sendStatus(200);
+  // The registration form was submitted; flow.js already saved the answers
+  if (msg.interactive?.type === "nfm_reply") {
+    let flowToken = null;
+    try {
+      flowToken = JSON.parse(msg.interactive.nfm_reply?.response_json || "{}").flow_token;
+    } catch (parseError) {
+      console.error('Invalid nfm_reply response_json:', parseError.message);
     }
-    
-    const sessionKey = `session:${from}`;
+    if (await phoneForFlowToken(flowToken) !== from) {
+      console.warn(`Ignoring form reply from ${from} with unknown flow token`);
+      return;
+    }
+    if (session.step === registration.flow.completeStep) {
+      await registration.complete(from, session);
+    } else if (session.step === registration.flow.reviewStep) {
+      // The details are confirmed in the chat, as for a typed registration
+      await registration.sendReview(from, session);
+    }
+    return;
+  }
 
-    let session;
+  // Keywords like HELP or STOP work at every step (see chatCommands.js)
+  const command = msg.type === "text" ? chatCommands.match(text) : null;
+  try {
+    if (command !== "start" && await isOptedOut(from)) {
+      console.log(`🔕 Ignoring message from ${from}: opted out`);
+      return;
+    }
+    if (command) {
+      await chatCommands.run(command, from, session);
+      return;
+    }
+  } catch (error) {
+    console.error('Error handling chat command:', error.message);
     try {
-      session = await redisClient.hGetAll(sessionKey);
-    } catch (redisError) {
-      console.error('Redis error while getting session:', redisError.message);
-      await sendText(from, "⚠️ Technical issue occurred. Please try again later.");
-      return res.sendStatus(200);
+      await sendText(from, "⚠️ There was a technical issue. Please try again later.");
+    } catch (fallbackError) {
+      console.error('Failed to send command error message:', fallbackError.message);
     }
+    return;
+  }
 
-    // Handle button click from template (messageType: 'button') or text message "Join Contest"
-    if (msg.type === "button" || text.toLowerCase() === "join contest" || text === "Join Contest") {
-      console.log(`🔘 Join Contest button/text detected from ${from}, messageType: ${msg.type}`);
-      try {
-        // Check if user has already registered
-        const existingUserResult = await pool.query(
-          "SELECT * FROM codes WHERE phone_number = $1 AND status = 'inactive'",
-          [from]
-        );
-
-        if (existingUserResult.rows.length > 0) {
-          // User has already registered
-          const userData = existingUserResult.rows[0];
-          const userName = userData["name"] ? userData["name"].trim() : "User";
-          console.log("userData",userData);
-          
-          await sendText(from, `👋 Hello ${userName}!
-
-🎉 You have already registered for the Maidan 72 contest with this phone number.
-
-✅ Your registration details:
-👤 Name: ${userName}
-📧 Email: ${userData.email || 'N/A'}
-🏙️ City: ${userData.city || 'N/A'}
-🎫 Code: ${userData.code || 'N/A'}
-
-❌ Multiple registrations from the same phone number are not allowed.
-
-If you want to register with a different account, please use a different phone number.
-
-Thank you for your participation! 🏏`);
-          
-          return res.sendStatus(200);
-        }
-
-        // User hasn't registered, start with scratch code verification
-        await sendText(from, `🎯 Great! Let's get you registered for Maidan 72!
+  // Ask the step they stopped at again instead of treating this message as its
+  // answer; it's usually a "hi" or the reminder's button
+  if (resumed) {
+    await registration.resume(from, session, { intro: registrationFlow.messages.resumed });
+    return;
+  }
 
-To begin your registration, please enter your 6-character scratch code from your Rexona product:`);
-        
-        await redisClient.hSet(sessionKey, { step: "ASK_CODE", phone: from });
-        await redisClient.expire(sessionKey, 30 * 60); // 30 min timeout
-        return res.sendStatus(200);
-      } catch (error) {
-        console.error('Error handling join contest text:', error.message);
-        try {
-          await sendText(from, "⚠️ There was a technical issue. Please try again later.");
-        } catch (fallbackError) {
-          console.error('Failed to send join contest error message:', fallbackError.message);
-        }
+  // Handle button click from template (messageType: 'button') or text message "Join Contest"
+  if (msg.type === "button" || text.toLowerCase() === "join contest") {
+    console.log(`🔘 Join Contest button/text detected from ${from}, messageType: ${msg.type}`);
+    try {
+      // Check if user has used their entries in every open contest
+      const existingRegistration = await findFinishedRegistration(from);
+      if (existingRegistration) {
+        await sendAlreadyRegistered(from, existingRegistration);
+        return;
       }
-    }
 
-    // Handle initial welcome message
-    if (!session.step && !session.template_sent) {
+      // User can still enter, start the registration flow
+      await startRegistration(from);
+      return;
+    } catch (error) {
+      console.error('Error handling join contest text:', error.message);
       try {
-        // Check if user has already registered
-        const existingUserResult = await pool.query(
-          "SELECT * FROM codes WHERE phone_number = $1 AND status = 'inactive'",
-          [from]
-        );
-
-        if (existingUserResult.rows.length > 0) {
-          // User has already registered
-          const userData = existingUserResult.rows[0];
-          const userName = userData["name"] ? userData["name"].trim() : "User";
-          console.log("userData",userData);
-          
-          await sendText(from, `👋 Hello ${userName}!
+        await sendText(from, "⚠️ There was a technical issue. Please try again later.");
+      } catch (fallbackError) {
+        console.error('Failed to send join contest error message:', fallbackError.message);
+      }
+    }
+  }
 
-🎉 You have already registered for the Maidan 72 contest with this phone number.
+  if (msg.type === "image" && session.step === codeStep.name) {
+    await handleCodePhoto(from, msg.image);
+    return;
+  }
 
-✅ Your registration details:
-👤 Name: ${userName}
-📧 Email: ${userData.email || 'N/A'}
-🏙️ City: ${userData.city || 'N/A'}
-🎫 Code: ${userData.code || 'N/A'}
+  if (msg.type === "location" && registrationFlow.steps[session.step]?.field === "city") {
+    await handleSharedLocation(from, msg.location, session);
+    return;
+  }
 
-❌ Multiple registrations from the same phone number are not allowed.
+  if (registration.isActive(session)) {
+    await registration.handle(from, text, session, { replyId: buttonReply });
+  } else if (!session.template_sent) {
+    // Handle initial welcome message
+    try {
+      // Check if user has used their entries in every open contest
+      const existingRegistration = await findFinishedRegistration(from);
+      if (existingRegistration) {
+        await sendAlreadyRegistered(from, existingRegistration);
+        return;
+      }
 
-If you want to register with a different account, please use a different phone number.
+      // User hasn't registered, send WhatsApp Business template
+      await sendWhatsAppTemplate(from, "join_contest", "en", {}, { context: 'welcome' });
+      
+      // Mark template as sent and wait for button click
+      await sessionStore.update(from, { 
+        phone: from, 
+        template_sent: "true" 
+      });
+    } catch (error) {
+      console.error('Error in welcome message flow:', error.message);
+      try {
+        await sendText(from, "⚠️ Welcome! There was a technical issue. Please try again later.");
+      } catch (fallbackError) {
+        console.error('Failed to send fallback message:', fallbackError.message);
+      }
+    }
+  } else if (msg.type !== "button" && text.toLowerCase() !== "join contest") {
+    // Template already sent, user is sending another message
+    await sendText(from, "👋 Hi! I've already sent you the contest information. Please click the 'Join Contest' button in the message above to proceed with registration.");
+  }
+}
 
-Thank you for your participation! 🏏`);
-          
-          return res.sendStatus(200);
-        }
+app.post("/webhook", requireValidSignature, async (req, res) => {
+  try {
+    const body = req.body;
+    
+    if (!body) {
+      console.error('Empty webhook body received');
+      return res.status(400).json({ error: 'Empty request body' });
+    }
+    
+    // console.log("Incoming webhook:", JSON.stringify(body, null, 2));
 
-        // User hasn't registered, send WhatsApp Business template
-        await sendWhatsAppTemplate(from, "join_contest");
-        
-        // Mark template as sent and wait for button click
-        await redisClient.hSet(sessionKey, { 
-          phone: from, 
-          template_sent: "true" 
-        });
-        await redisClient.expire(sessionKey, 30 * 60); // 30 min timeout
-      } catch (error) {
-        console.error('Error in welcome message flow:', error.message);
-        try {
-          await sendText(from, "⚠️ Welcome! There was a technical issue. Please try again later.");
-        } catch (fallbackError) {
-          console.error('Failed to send fallback message:', fallbackError.message);
-        }
-      }
-    } else if (!session.step && session.template_sent) {
-      // Template already sent, user is sending another message
-      // Check if it's not the "Join Contest" button click or text response
-      if (msg.type !== "button" && text.toLowerCase() !== "join contest" && text !== "Join Contest") {
-        await sendText(from, "👋 Hi! I've already sent you the contest information. Please click the 'Join Contest' button in the message above to proceed with registration.");
-      }
-    } else if (session.step === "ASK_NAME") {
+    // Delivery receipts for our outbound messages (sent/delivered/read/failed)
+    const statuses = (body.entry || [])
+      .flatMap(entry => entry.changes || [])
+      .flatMap(change => change.value?.statuses || []);
+    for (const statusUpdate of statuses) {
       try {
-        const validation = await validateWithOpenAI(text, "ASK_NAME", session);
-        await sendText(from, validation.message);
-        
-        if (validation.is_valid) {
-          await redisClient.hSet(sessionKey, { step: "ASK_EMAIL", name: validation.value });
-        }
+        await applyStatusUpdate(statusUpdate);
       } catch (error) {
-        console.error('Error in ASK_namestep:', error.message);
-        try {
-          await sendText(from, "⚠️ Sorry, there was an issue processing your name. Please try entering your full nameagain:");
-        } catch (fallbackError) {
-          console.error('Failed to send nameerror message:', fallbackError.message);
-        }
+        console.error(`Failed to apply status update for message ${statusUpdate.id}:`, error.message);
       }
-    } else if (session.step === "ASK_EMAIL") {
-      try {
-        const validation = await validateWithOpenAI(text, "ASK_EMAIL", session);
-        
-        if (!validation.is_valid) {
-          await sendText(from, validation.message);
-          return res.sendStatus(200);
-        }
+    }
 
-        try {
-          // Check if email is already registered in the database
-          const emailCheck = await pool.query(
-            "SELECT * FROM codes WHERE email = $1",
-            [validation.value]
-          );
-
-          if (emailCheck.rows.length > 0) {
-            await sendText(from, "❌ This email is already registered with us. Please provide a different email address:");
-          } else {
-            await sendText(from, validation.message);
-            await redisClient.hSet(sessionKey, { step: "ASK_CITY", email: validation.value });
-          }
-        } catch (dbError) {
-          console.error("Database error during email check:", dbError.message);
-          await sendText(from, "⚠️ Something went wrong while checking your email. Please try again later.");
-        }
-      } catch (error) {
-        console.error('Error in ASK_EMAIL step:', error.message);
-        try {
-          await sendText(from, "⚠️ Sorry, there was an issue processing your email. Please try entering your email address again:");
-        } catch (fallbackError) {
-          console.error('Failed to send email error message:', fallbackError.message);
-        }
+    const msg = body.entry?.[0]?.changes?.[0]?.value?.messages?.[0];
+    if (!msg) {
+      if (statuses.length === 0) {
+        console.log('No message found in webhook body');
       }
-    } else if (session.step === "ASK_CITY") {
-      try {
-        const validation = await validateWithOpenAI(text, "ASK_CITY", session);
-        
-        if (!validation.is_valid) {
-          await sendText(from, validation.message);
-          return res.sendStatus(200);
-        }
+      return res.sendStatus(200);
+    }
 
-        // Store city and move to final registration
-        await redisClient.hSet(sessionKey, { 
-          step: "FINAL_REGISTRATION", 
-          city: validation.value 
-        });
-
-        // Send confirmation message and complete registration
-//         await sendText(from, `✅ Perfect! Let me complete your registration...
-
-// 📝 *Your Details:*
-// 👤 Name: ${session.name}
-// 📧 Email: ${session.email}
-// 🏙️ City: ${validation.value}
-// 🎫 Code: ${session.code}
-
-// Processing your registration... 🔄`);
-
-        // Trigger the final registration step
-        // We'll simulate receiving another message to trigger FINAL_REGISTRATION
-        setTimeout(async () => {
-          try {
-            const updateSuccess = await updateCodeInDatabase({ 
-              phone: session.phone || from, 
-              name: session.name,
-              email: session.email, 
-              city: validation.value, 
-              code: session.code 
-            });
-            
-            if (updateSuccess) {
-              await redisClient.del(sessionKey);
-              
-              // Send congratulations video after successful registration
-              const videoPath = path.join(__dirname, 'sample.mp4');
-              const videoExists = fs.existsSync(videoPath);
-              
-              if (videoExists) {
-                try {
-                  const videoCaption = `🎉 *CONGRATULATIONS!* 🎉
-
-✅ Your registration for Maidan 72 Club is now complete!
-
-📝 *Your Registration Details:*
-👤 Name: ${session.name}
-📧 Email: ${session.email}
-🏙️ City: ${validation.value}
-🎫 Code: ${session.code}
-
-🏆 You're now part of the contest! Winners will be announced soon.
-
-Thank you for participating in Maidan 72 Club! 🏏
-
-*Best regards,*
-Maidan 72 Club Team`;
-
-                  await sendVideoMessage(from, videoPath, videoCaption);
-                  console.log(`📱🎥 Registration video sent to ${from}`);
-                } catch (videoError) {
-                  console.error(`❌ Failed to send registration video, sending text instead:`, videoError.message);
-                  // Fallback to text message if video fails
-                  await sendText(from, `🎉 Congratulations! Your registration is complete. 
-
-📝 Your Registration Details:
-👤 Name: ${session.name}
-📧 Email: ${session.email}
-🏙️ City: ${validation.value}
-🎫 Code: ${session.code}
-
-Your details have been saved and the scratch code has been marked as used. You're now part of the contest! 🏏`);
-                }
-              } else {
-                // Send text message if video doesn't exist
-                await sendText(from, `🎉 Congratulations! Your registration is complete. 
-
-📝 Your Registration Details:
-👤 Name: ${session.name}
-📧 Email: ${session.email}
-🏙️ City: ${validation.value}
-🎫 Code: ${session.code}
-
-Your details have been saved and the scratch code has been marked as used. You're now part of the contest! 🏏`);
-              }
-            } else {
-              await sendText(from, "⚠️ Registration failed. Please try again or contact support.");
-            }
-          } catch (updateError) {
-            console.error("Error during final registration:", updateError.message);
-            await sendText(from, "⚠️ Registration encountered an issue. Please contact support with your code: " + session.code);
-          }
-        }, 1000); // 1 second delay to show processing message
-        
-      } catch (error) {
-        console.error('Error in ASK_CITY step:', error.message);
-        try {
-          await sendText(from, "⚠️ Sorry, there was an issue processing your city. Please try entering your city name again:");
-        } catch (fallbackError) {
-          console.error('Failed to send city error message:', fallbackError.message);
-        }
-      }
-    } else if (session.step === "ASK_CODE") {
-      try {
-        // First validate code format with OpenAI
-        const validation = await validateWithOpenAI(text, "ASK_CODE", session);
-        
-        if (!validation.is_valid) {
-          await sendText(from, validation.message);
-          return res.sendStatus(200);
-        }
+    if (!msg.from) {
+      console.error('No sender phone number found in message');
+      return res.sendStatus(200);
+    }
 
-        try {
-          // Check if the code exists in active codes
-          const result = await pool.query(
-            "SELECT * FROM codes WHERE status = 'active' AND code = $1",
-            [validation.value]
-          );
-
-          if (result.rows.length > 0) {
-            // ✅ Code found in database - proceed to collect user details
-            await sendText(from, `✅ Great! Your scratch code is valid.
-
-Now, please enter your full name:`);
-            
-            // Store the validated code in session and move to next step
-            await redisClient.hSet(sessionKey, { 
-              step: "ASK_NAME", 
-              code: validation.value 
-            });
-          } else {
-            // ❌ Code not found in database
-            await sendText(from, "❌ Invalid scratch code. This code is not found in our system or has already been used. Please provide a valid scratch code:");
-          }
-        } catch (dbError) {
-          console.error("Database error during code validation:", dbError.message);
-          await sendText(from, "⚠️ Something went wrong while checking your scratch code. Please try again later.");
-        }
-      } catch (error) {
-        console.error('Error in ASK_CODE step:', error.message);
-        try {
-          await sendText(from, "⚠️ Sorry, there was an issue processing your code. Please try entering your scratch code again:");
-        } catch (fallbackError) {
-          console.error('Failed to send code error message:', fallbackError.message);
-        }
-      }
-    } else if (session.step === "FINAL_REGISTRATION") {
-      try {
-        // This is the final step - complete registration
-        const updateSuccess = await updateCodeInDatabase({ 
-          phone: session.phone || from, 
-          name: session.name,
-          email: session.email, 
-          city: session.city, 
-          code: session.code 
-        });
-        
-        if (updateSuccess) {
-          await redisClient.del(sessionKey);
-          
-          // Send congratulations video after successful registration
-          const videoPath = path.join(__dirname, 'sample.mp4');
-          const videoExists = fs.existsSync(videoPath);
-          
-          if (videoExists) {
-            try {
-              const videoCaption = `🎉 *CONGRATULATIONS!* 🎉
-
-✅ Your registration for Maidan 72 Club is now complete!
-
-📝 *Your Registration Details:*
-👤 Name: ${session.name}
-📧 Email: ${session.email}
-🏙️ City: ${session.city}
-🎫 Code: ${session.code}
-
-🏆 You're now part of the contest! Winners will be announced soon.
-
-Thank you for participating in Maidan 72 Club! 🏏
-
-*Best regards,*
-Maidan 72 Club Team`;
-
-              await sendVideoMessage(from, videoPath, videoCaption);
-              console.log(`📱🎥 Registration video sent to ${from}`);
-            } catch (videoError) {
-              console.error(`❌ Failed to send registration video, sending text instead:`, videoError.message);
-              // Fallback to text message if video fails
-              await sendText(from, `🎉 Congratulations! Your registration is complete. 
-
-📝 Your Registration Details:
-👤 Name: ${session.name}
-📧 Email: ${session.email}
-🏙️ City: ${session.city}
-🎫 Code: ${session.code}
-
-Your details have been saved and the scratch code has been marked as used. You're now part of the contest! 🏏`);
-            }
-          } else {
-            // Send text message if video doesn't exist
-            await sendText(from, `🎉 Congratulations! Your registration is complete. 
-
-📝 Your Registration Details:
-👤 Name: ${session.name}
-📧 Email: ${session.email}
-🏙️ City: ${session.city}
-🎫 Code: ${session.code}
-
-Your details have been saved and the scratch code has been marked as used. You're now part of the contest! 🏏`);
-          }
-        } else {
-          await sendText(from, "⚠️ Registration failed. Please try again or contact support.");
-        }
-      } catch (updateError) {
-        console.error("Error during final registration:", updateError.message);
-        await sendText(from, "⚠️ Registration encountered an issue. Please contact support with your code: " + session.code);
+    // Meta redelivers messages it isn't sure we received; process each id once
+    if (msg.id && !(await claimMessage(msg.id))) {
+      console.log(`🔁 Duplicate delivery of message ${msg.id} from ${msg.from} ignored`);
+      return res.sendStatus(200);
+    }
+
+    // Opens (or extends) the 24-hour window for free-form replies
+    try {
+      await recordInbound(msg.from, msg.timestamp);
+    } catch (error) {
+      console.error(`Failed to record inbound activity for ${msg.from}:`, error.message);
+    }
+
+    try {
+      await withPhoneLock(msg.from, () => handleIncomingMessage(msg));
+    } catch (error) {
+      // Let Meta's retry through again since this delivery wasn't handled
+      if (msg.id) {
+        await releaseMessage(msg.id).catch(releaseError =>
+          console.error('Failed to release message id:', releaseError.message));
       }
+      throw error;
     }
 
     res.sendStatus(200);
@@ -1362,17 +1606,62 @@ app.get("/",(req,res)=> {
   res.send("Hello World");
 })
 
+try {
+  await runMigrations();
+} catch (error) {
+  console.error('❌ Failed to migrate the database:', error.message);
+  // Running against a half-migrated schema would fail in worse ways
+  process.exit(1);
+}
+
+startReservationSweeper();
+startExpirySweeper();
+
 app.listen(PORT, () => {
   console.log(`🚀 Server listening on port ${PORT}`);
+  if (!APP_SECRET) {
+    console.warn("⚠️ APP_SECRET is not set, every POST /webhook request will be rejected");
+  }
+  if (!VERIFY_TOKEN) {
+    console.warn("⚠️ WEBHOOK_VERIFY_TOKEN is not set, webhook verification will fail");
+  }
   console.log("📋 Available endpoints:");
   console.log("  - GET /webhook: Webhook verification");
   console.log("  - POST /webhook: Conversation flow handler");
-  console.log("  - GET /api/stats: Statistics data");
-  console.log("  - GET /api/charts: Chart data");
-  console.log("  - GET /api/recent-activity: Recent activity data");
-  console.log("  - POST /api/update-winners: Update winners");
+  console.log("  - GET /api/contests: Contests with code, registration and winner counts");
+  console.log("  - POST /api/contests: Create a contest");
+  console.log("  - PUT /api/contests/:id: Update a contest");
+  console.log("  - GET /api/code-batches: Print batches with redemption rates (?contest=<id>)");
+  console.log("  - POST /api/code-batches: Generate a batch of scratch codes");
+  console.log("  - GET /api/code-batches/:id/codes.csv: Print-ready CSV of a batch");
+  console.log("  - POST /api/code-batches/:id/void: Void a batch's unredeemed codes");
+  console.log("  - PUT /api/code-batches/:id/validity: Set a batch's valid-from/until dates");
+  console.log("  - POST /api/codes/void: Void individual codes");
+  console.log("  - GET /api/codes/:code/history: A code's status history");
+  console.log("  - POST /api/draws: Draw a contest's winners");
+  console.log("  - GET /api/draws: Recorded draws (?contest=<id>)");
+  console.log("  - GET /api/draws/:id: A draw's full record, for audits");
+  console.log("  - GET /api/draws/:id/verify: Re-run a draw and compare the winners");
+  console.log("  - POST /api/draws/:id/apply: Make a draw's winners the contest's winners");
+  console.log("  - GET /api/stats: Statistics data (?contest=<id>)");
+  console.log("  - GET /api/charts: Chart data (?contest=<id>)");
+  console.log("  - GET /api/recent-activity: Recent activity data (?contest=<id>)");
   console.log("  - POST /api/send-winner-emails: Send winner notifications");
   console.log("  - DELETE /api/registration/:phone: Delete registration by phone number");
+  console.log("  - GET /api/webhook/rejections: Rejected webhook request counts");
+  console.log("  - GET /api/messages: Outbound message log with delivery status");
+  console.log("  - GET /api/jobs: Job queue stats and failed jobs");
+  console.log("  - POST /api/jobs/:id/replay: Replay a failed job");
+  console.log("  - GET /api/code-attempts: Code entry lockouts and attempt stats");
+  console.log("  - GET /api/abandoned-registrations: Unfinished registrations by step");
+  console.log("  - GET /api/winners/messaging-window: Winners needing a template instead of free-form text");
+  console.log("  - GET /api/media: Media library and event assignments");
+  console.log("  - POST /api/media: Upload a video or image (raw body, ?filename=)");
+  console.log("  - PUT /api/media/assignments/:event: Choose the media an event sends");
+  console.log("  - GET /api/code-submissions: Scratch card photos waiting for review");
+  console.log("  - POST /api/code-submissions/:id/approve: Approve a photo with the code read off it");
+  console.log("  - POST /api/code-submissions/:id/reject: Reject a photo");
+  console.log("  - DELETE /api/code-attempts/:phone: Lift a code entry lockout");
   console.log("✅ Server started successfully with comprehensive error handling");
 }).on('error', (error) => {
   console.error('❌ Server failed to start:', error.message);
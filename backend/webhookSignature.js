@@ -0,0 +1,46 @@
+// webhookSignature.js
+//
+// Meta signs every webhook and Flows endpoint request with the app secret and
+// sends the HMAC-SHA256 of the raw request body in `x-hub-signature-256`.
+// See https://developers.facebook.com/docs/graph-api/webhooks/getting-started#validate-payloads
+import crypto from "crypto";
+
+export const SIGNATURE_HEADER = "x-hub-signature-256";
+
+// Keeps the exact bytes Meta signed; pass as the `verify` option of express.json()
+export const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+// Builds the header value Meta would send; used by the mock Graph server and simulator
+export const signRequestBody = (rawBody, appSecret) =>
+  `sha256=${crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex")}`;
+
+/**
+ * Checks a `sha256=<hex>` signature header against the raw request body.
+ * Returns `{ valid, reason }`, where `reason` explains a rejection.
+ */
+export function verifyRequestSignature(rawBody, signatureHeader, appSecret) {
+  if (!appSecret) {
+    return { valid: false, reason: "secret_not_configured" };
+  }
+  if (!signatureHeader) {
+    return { valid: false, reason: "missing_signature" };
+  }
+
+  const match = /^sha256=([a-f0-9]{64})$/i.exec(signatureHeader.trim());
+  if (!match) {
+    return { valid: false, reason: "malformed_signature" };
+  }
+
+  const digest = crypto
+    .createHmac("sha256", appSecret)
+    .update(rawBody || "")
+    .digest();
+  const signature = Buffer.from(match[1], "hex");
+
+  if (!crypto.timingSafeEqual(digest, signature)) {
+    return { valid: false, reason: "signature_mismatch" };
+  }
+  return { valid: true, reason: null };
+}
@@ -0,0 +1,319 @@
+// whatsapp.js
+//
+// Senders for the WhatsApp Cloud API, built on the client in whatsappClient.js
+// (throttling, retries, typed errors). Every accepted message is recorded in
+// the message log (see messageLog.js). Nothing is sent to numbers that opted
+// out with STOP (see optOuts.js); those sends are skipped, not failed.
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { recordOutboundMessage } from "./messageLog.js";
+import { isOptedOut } from "./optOuts.js";
+import { isWindowOpen } from "./customerWindow.js";
+import whatsappClient, { WhatsAppApiError, WhatsAppError } from "./whatsappClient.js";
+dotenv.config();
+
+async function skipOptedOut(to, kind) {
+  if (await isOptedOut(to)) {
+    console.log(`🔕 Not sending ${kind} to ${to}: recipient opted out`);
+    return true;
+  }
+  return false;
+}
+
+// Logs a failed send and rethrows it as a WhatsAppError (see whatsappClient.js)
+function sendFailed(kind, to, error) {
+  console.error(`❌ Failed to send WhatsApp ${kind} to ${to}:`, {
+    message: error.message,
+    name: error.name,
+    status: error.status,
+    code: error.code,
+    details: error.details
+  });
+  throw error instanceof WhatsAppError ? error : new WhatsAppError(error.message);
+}
+
+// `options.context` tags the message in the message log, e.g. "winner_notification"
+export async function sendText(to, body, options = {}) {
+  try {
+    if (!to || !body) {
+      throw new WhatsAppError('Phone number and message body are required');
+    }
+
+    if (await skipOptedOut(to, "message")) {
+      return null;
+    }
+
+    const data = await whatsappClient.sendText(to, body);
+
+    console.log(`✅ WhatsApp message sent to ${to}`);
+    await recordOutboundMessage({
+      waMessageId: data?.messages?.[0]?.id,
+      phone: to,
+      type: "text",
+      context: options.context,
+      preview: body
+    });
+    return data;
+  } catch (error) {
+    sendFailed("message", to, error);
+  }
+}
+
+/**
+ * Sends an image, video, audio, document or sticker. `media` is `{ id }` for
+ * uploaded media, `{ filePath, mimeType }` to upload a local file first, or
+ * `{ link }`, plus an optional `caption` and `filename`.
+ * Returns `{ success, mediaId, messageId }`.
+ */
+export async function sendMedia(to, type, media, options = {}) {
+  try {
+    if (!to || !type || !media) {
+      throw new WhatsAppError('Phone number, media type and media are required');
+    }
+
+    if (await skipOptedOut(to, type)) {
+      return { success: false, skipped: true, message: 'Recipient opted out' };
+    }
+
+    let mediaId = media.id;
+    if (!mediaId && media.filePath) {
+      mediaId = await whatsappClient.uploadMedia(media.filePath, media.mimeType);
+      console.log(`✅ Media uploaded, media ID: ${mediaId}`);
+    }
+
+    const data = await whatsappClient.sendMedia(to, type, {
+      id: mediaId,
+      link: media.link,
+      caption: media.caption,
+      filename: media.filename
+    });
+
+    console.log(`✅ WhatsApp ${type} sent to ${to}`);
+    const messageId = data?.messages?.[0]?.id;
+    await recordOutboundMessage({
+      waMessageId: messageId,
+      phone: to,
+      type,
+      context: options.context,
+      preview: media.caption
+    });
+    return { success: true, mediaId, messageId };
+  } catch (error) {
+    sendFailed(type, to, error);
+  }
+}
+
+export async function sendVideoMessage(to, videoPath, caption = '', options = {}) {
+  if (!videoPath || !fs.existsSync(videoPath)) {
+    throw new WhatsAppError(`Video file not found: ${videoPath}`);
+  }
+
+  // WhatsApp has a 16MB limit for videos
+  const fileSizeInMB = fs.statSync(videoPath).size / (1024 * 1024);
+  if (fileSizeInMB > 16) {
+    throw new WhatsAppError(`Video file too large: ${fileSizeInMB.toFixed(2)}MB (max 16MB)`);
+  }
+
+  console.log(`📹 Sending video (${fileSizeInMB.toFixed(2)}MB) to ${to}`);
+  return sendMedia(to, "video", { filePath: videoPath, mimeType: "video/mp4", caption }, options);
+}
+
+/**
+ * Sends a pre-approved template. `components` fills its variables:
+ * `{ header: [...], body: ["Aditya", "AB12CD"], buttons: [...] }`
+ * (see buildTemplateComponents in whatsappClient.js).
+ */
+export async function sendWhatsAppTemplate(to, templateName, languageCode = "en", components = {}, options = {}) {
+  try {
+    if (!to || !templateName) {
+      throw new WhatsAppError('Phone number and template name are required');
+    }
+
+    if (await skipOptedOut(to, `template "${templateName}"`)) {
+      return null;
+    }
+
+    const data = await whatsappClient.sendTemplate(to, templateName, { language: languageCode, components });
+
+    console.log(`✅ WhatsApp template "${templateName}" sent to ${to}`);
+    await recordOutboundMessage({
+      waMessageId: data?.messages?.[0]?.id,
+      phone: to,
+      type: "template",
+      context: options.context,
+      templateName,
+      preview: (components?.body || []).filter((value) => typeof value !== "object").join(" | ")
+    });
+    return data;
+  } catch (error) {
+    sendFailed(`template "${templateName}"`, to, error);
+  }
+}
+
+// Meta's error for a free-form message outside the 24-hour window
+const OUTSIDE_WINDOW_CODE = 131047;
+
+/**
+ * Sends `body` as text while the customer-service window is open (see
+ * customerWindow.js), otherwise the approved `template`
+ * (`{ name, language, components }`). Resolves with the send result plus
+ * `via: "text" | "template"`, or null if the recipient opted out.
+ */
+export async function sendTextOrTemplate(to, body, template, options = {}) {
+  const sendTemplate = async () => {
+    const data = await sendWhatsAppTemplate(to, template.name, template.language || "en", template.components, options);
+    return data && { ...data, via: "template" };
+  };
+
+  if (!(await isWindowOpen(to))) {
+    return sendTemplate();
+  }
+
+  try {
+    const data = await sendText(to, body, options);
+    return data && { ...data, via: "text" };
+  } catch (error) {
+    if (error instanceof WhatsAppApiError && error.code === OUTSIDE_WINDOW_CODE) {
+      console.log(`⌛ Window closed for ${to}, sending template "${template.name}" instead`);
+      return sendTemplate();
+    }
+    throw error;
+  }
+}
+
+// WhatsApp allows at most 3 reply buttons (titles up to 20 characters); with
+// more choices the same options are sent as a list message, up to 10 rows.
+const MAX_REPLY_BUTTONS = 3;
+
+/**
+ * Sends `body` with a set of choices, e.g.
+ * `[{ id: "confirm", title: "✅ Confirm" }, { id: "edit:name", title: "✏️ Edit name" }]`.
+ * The tapped choice comes back in `interactive.button_reply.id` (or
+ * `interactive.list_reply.id` for lists).
+ */
+export async function sendInteractiveButtons(to, body, choices, options = {}) {
+  try {
+    if (!to || !body || !choices?.length) {
+      throw new WhatsAppError('Phone number, message body and choices are required');
+    }
+
+    if (await skipOptedOut(to, "interactive message")) {
+      return null;
+    }
+
+    const interactive = choices.length <= MAX_REPLY_BUTTONS
+      ? {
+          type: "button",
+          body: { text: body },
+          action: {
+            buttons: choices.map(choice => ({
+              type: "reply",
+              reply: { id: choice.id, title: choice.title.slice(0, 20) }
+            }))
+          }
+        }
+      : {
+          type: "list",
+          body: { text: body },
+          action: {
+            button: (options.listButton || "Choose an option").slice(0, 20),
+            sections: [{
+              title: (options.listTitle || "Options").slice(0, 24),
+              rows: choices.slice(0, 10).map(choice => ({ id: choice.id, title: choice.title.slice(0, 24) }))
+            }]
+          }
+        };
+
+    const data = await whatsappClient.sendInteractive(to, interactive);
+
+    console.log(`✅ WhatsApp interactive message sent to ${to}`);
+    await recordOutboundMessage({
+      waMessageId: data?.messages?.[0]?.id,
+      phone: to,
+      type: "interactive",
+      context: options.context,
+      preview: body
+    });
+    return data;
+  } catch (error) {
+    sendFailed("interactive message", to, error);
+  }
+}
+
+/**
+ * Sends a WhatsApp Flow (a multi-screen form). `flowToken` comes back in every
+ * request to the Flows endpoint (server.js) and in the final `nfm_reply`.
+ */
+export async function sendFlowMessage(to, body, { flowId, flowToken, cta }, options = {}) {
+  try {
+    if (!to || !body || !flowId || !flowToken) {
+      throw new WhatsAppError('Phone number, message body, flow id and flow token are required');
+    }
+
+    if (await skipOptedOut(to, "flow")) {
+      return null;
+    }
+
+    const parameters = {
+      flow_message_version: "3",
+      flow_id: flowId,
+      flow_token: flowToken,
+      flow_cta: (cta || "Open form").slice(0, 20),
+      // The endpoint picks the first screen when the form sends INIT
+      flow_action: "data_exchange",
+    };
+
+    const data = await whatsappClient.sendInteractive(to, {
+      type: "flow",
+      body: { text: body },
+      action: { name: "flow", parameters }
+    });
+
+    console.log(`✅ WhatsApp flow ${flowId} sent to ${to}`);
+    await recordOutboundMessage({
+      waMessageId: data?.messages?.[0]?.id,
+      phone: to,
+      type: "flow",
+      context: options.context,
+      preview: body
+    });
+    return data;
+  } catch (error) {
+    sendFailed("flow", to, error);
+  }
+}
+
+const MEDIA_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+/**
+ * Downloads media a user sent (e.g. `msg.image.id`) into `directory`.
+ * Returns `{ filePath, mimeType, size }`.
+ */
+export async function downloadMedia(mediaId, directory) {
+  try {
+    if (!mediaId) {
+      throw new WhatsAppError('Media id is required');
+    }
+
+    const { data, mimeType } = await whatsappClient.downloadMedia(mediaId);
+
+    fs.mkdirSync(directory, { recursive: true });
+    const extension = MEDIA_EXTENSIONS[mimeType] || "bin";
+    const filePath = path.join(directory, `${mediaId}.${extension}`);
+    fs.writeFileSync(filePath, data);
+
+    console.log(`✅ Media ${mediaId} downloaded to ${filePath}`);
+    return { filePath, mimeType, size: data.length };
+  } catch (error) {
+    console.error(`❌ Failed to download media ${mediaId}:`, {
+      message: error.message,
+      status: error.status
+    });
+    throw error instanceof WhatsAppError ? error : new WhatsAppError(error.message);
+  }
+}
@@ -0,0 +1,301 @@
+// whatsappClient.js
+//
+// Low-level WhatsApp Cloud API client: builds the Graph API requests, keeps
+// sends under a message rate (token bucket) and retries the failures Meta
+// asks us to retry. whatsapp.js wraps it with opt-out checks and the message
+// log; the rest of the app should send through whatsapp.js.
+//
+//   WHATSAPP_API_VERSION          Graph API version (default v22.0)
+//   WHATSAPP_MESSAGES_PER_SECOND  sends per second from this process (default 20)
+//   WHATSAPP_MAX_RETRIES          retries after the first attempt (default 3)
+import axios from "axios";
+import fs from "fs";
+import FormData from "form-data";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Meta error codes that mean "slow down and try again"
+// https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+const RATE_LIMIT_CODES = new Set([4, 80007, 130429, 131056]);
+// Temporary errors on Meta's side
+const TRANSIENT_CODES = new Set([1, 2, 131000, 131016]);
+// Too many messages to the same user: Meta allows about one every 6 seconds
+const PAIR_RATE_LIMIT_CODE = 131056;
+// Failures where the request never reached the Graph API, so retrying can't
+// send the message twice. Timeouts are not retried for that reason.
+const RETRYABLE_NETWORK_CODES = new Set(["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "EAI_AGAIN"]);
+// Gateway errors returned before the Graph API took the request. Any other
+// 5xx may come after Meta accepted a message, so sends aren't retried on them.
+const RESENDABLE_STATUSES = new Set([502, 503]);
+
+const MAX_BACKOFF_MS = 60 * 1000;
+
+export class WhatsAppError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WhatsAppError";
+  }
+}
+
+// Missing token or phone number id
+export class WhatsAppConfigError extends WhatsAppError {
+  constructor(message) {
+    super(message);
+    this.name = "WhatsAppConfigError";
+  }
+}
+
+// The Graph API answered with an error (or could not be reached)
+export class WhatsAppApiError extends WhatsAppError {
+  constructor(message, { status = null, code = null, subcode = null, details = null, fbtraceId = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "WhatsAppApiError";
+    this.status = status;
+    this.code = code;
+    this.subcode = subcode;
+    this.details = details;
+    this.fbtraceId = fbtraceId;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class WhatsAppRateLimitError extends WhatsAppApiError {
+  constructor(message, fields) {
+    super(message, { ...fields, retryable: true });
+    this.name = "WhatsAppRateLimitError";
+  }
+}
+
+// Turns an axios error into one of the errors above
+export function toWhatsAppError(error) {
+  if (error instanceof WhatsAppError) {
+    return error;
+  }
+
+  const status = error.response?.status ?? null;
+  const graphError = error.response?.data?.error || {};
+  const code = graphError.code ?? null;
+  const retryAfterSeconds = parseInt(error.response?.headers?.["retry-after"], 10);
+  const fields = {
+    status,
+    code,
+    subcode: graphError.error_subcode ?? null,
+    details: graphError.error_data?.details ?? null,
+    fbtraceId: graphError.fbtrace_id ?? null,
+    retryAfterMs: Number.isFinite(retryAfterSeconds) ? retryAfterSeconds * 1000 : null,
+  };
+  const message = graphError.message || error.message;
+
+  if (status === 429 || RATE_LIMIT_CODES.has(code)) {
+    return new WhatsAppRateLimitError(message, fields);
+  }
+  const retryable = (!error.response && RETRYABLE_NETWORK_CODES.has(error.code))
+    || (status !== null && status >= 500)
+    || TRANSIENT_CODES.has(code);
+  return new WhatsAppApiError(message, { ...fields, retryable });
+}
+
+// Exponential backoff with jitter; honours Retry-After and the per-user limit
+export function retryDelay(error, attempt) {
+  if (error.retryAfterMs) {
+    return Math.min(error.retryAfterMs, MAX_BACKOFF_MS);
+  }
+  const base = error.code === PAIR_RATE_LIMIT_CODE ? 6000 : 1000;
+  const delay = base * 2 ** attempt;
+  return Math.min(delay + Math.floor(Math.random() * base), MAX_BACKOFF_MS);
+}
+
+// Whether a failed send can be retried without the user getting the message
+// twice: rate limits and gateway errors are answered before anything is sent,
+// and the network errors above never reached the Graph API.
+export function safeToResend(error) {
+  if (error instanceof WhatsAppRateLimitError) {
+    return true;
+  }
+  return error.status === null ? error.retryable : RESENDABLE_STATUSES.has(error.status);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Token bucket: `take()` resolves once a token is available. Waiters are served
+ * in order, so a broadcast drains at `ratePerSecond` instead of all at once.
+ */
+export function createTokenBucket({ ratePerSecond, capacity = ratePerSecond }) {
+  let tokens = capacity;
+  let refilledAt = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - refilledAt) / 1000) * ratePerSecond);
+    refilledAt = now;
+  };
+
+  const take = () => {
+    const turn = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+        refill();
+      }
+      tokens -= 1;
+    });
+    queue = turn;
+    return turn;
+  };
+
+  return { take };
+}
+
+// Template components from `{ header, body, buttons }`. Text values become
+// text parameters; pass objects for other types, e.g.
+// `header: [{ type: "video", video: { id } }]`. `buttons` is
+// `[{ index: 0, subType: "quick_reply", parameters: [{ type: "payload", payload: "JOIN" }] }]`.
+export function buildTemplateComponents({ header = [], body = [], buttons = [] } = {}) {
+  const toParameter = (value) => (typeof value === "object" ? value : { type: "text", text: String(value) });
+  const components = [];
+  if (header.length) {
+    components.push({ type: "header", parameters: header.map(toParameter) });
+  }
+  if (body.length) {
+    components.push({ type: "body", parameters: body.map(toParameter) });
+  }
+  for (const button of buttons) {
+    components.push({
+      type: "button",
+      sub_type: button.subType || "quick_reply",
+      index: String(button.index ?? 0),
+      parameters: button.parameters || [],
+    });
+  }
+  return components;
+}
+
+/**
+ * Returns a client for one phone number. Every method resolves with the Graph
+ * API response body or rejects with a WhatsAppError.
+ */
+export function createWhatsAppClient({
+  token = process.env.WHATSAPP_TOKEN,
+  phoneNumberId = process.env.PHONE_NUMBER_ID,
+  // Point at mockGraph.js to run the bot without a real number
+  baseUrl = process.env.GRAPH_API_BASE_URL || "https://graph.facebook.com",
+  apiVersion = process.env.WHATSAPP_API_VERSION || "v22.0",
+  messagesPerSecond = parseFloat(process.env.WHATSAPP_MESSAGES_PER_SECOND || "20"),
+  maxRetries = parseInt(process.env.WHATSAPP_MAX_RETRIES || "3", 10),
+} = {}) {
+  const bucket = createTokenBucket({ ratePerSecond: messagesPerSecond });
+  const graphUrl = (path) => `${baseUrl.replace(/\/+$/, "")}/${apiVersion}/${path}`;
+
+  const requireConfig = ({ needsPhoneNumberId = true } = {}) => {
+    if (!token || (needsPhoneNumberId && !phoneNumberId)) {
+      throw new WhatsAppConfigError("WhatsApp credentials not configured");
+    }
+  };
+
+  // Runs the request with throttling and retries. `makeRequest` is called again for
+  // every attempt so request bodies (e.g. upload streams) can be rebuilt. Requests
+  // that aren't `idempotent` (message sends) are only retried when
+  // `safeToResend` says the first attempt can't have been delivered.
+  async function request(makeRequest, { throttle = true, idempotent = false } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      if (throttle) {
+        await bucket.take();
+      }
+      try {
+        const response = await makeRequest();
+        return response.data;
+      } catch (rawError) {
+        const error = toWhatsAppError(rawError);
+        if (!error.retryable || (!idempotent && !safeToResend(error)) || attempt >= maxRetries) {
+          throw error;
+        }
+        const delay = retryDelay(error, attempt);
+        console.warn(`⏳ WhatsApp API ${error.code ?? error.status ?? "network"} error, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries}): ${error.message}`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  const authHeaders = () => ({ Authorization: `Bearer ${token}` });
+
+  async function sendMessage(to, message) {
+    requireConfig();
+    return request(() =>
+      axios.post(
+        graphUrl(`${phoneNumberId}/messages`),
+        { messaging_product: "whatsapp", to, ...message },
+        { headers: { ...authHeaders(), "Content-Type": "application/json" }, timeout: 10000 }
+      )
+    );
+  }
+
+  return {
+    graphUrl,
+    sendMessage,
+
+    sendText: (to, body, { previewUrl = false } = {}) =>
+      sendMessage(to, { type: "text", text: { body, preview_url: previewUrl } }),
+
+    // `components` is `{ header, body, buttons }`, see buildTemplateComponents
+    sendTemplate: (to, name, { language = "en", components } = {}) => {
+      const built = buildTemplateComponents(components);
+      return sendMessage(to, {
+        type: "template",
+        template: { name, language: { code: language }, ...(built.length ? { components: built } : {}) },
+      });
+    },
+
+    // `type` is image, video, audio, document or sticker; `media` is
+    // `{ id }` (uploaded) or `{ link }`, plus `caption`/`filename`
+    sendMedia: (to, type, { id, link, caption, filename }) =>
+      sendMessage(to, {
+        type,
+        [type]: {
+          ...(id ? { id } : { link }),
+          ...(caption ? { caption } : {}),
+          ...(filename ? { filename } : {}),
+        },
+      }),
+
+    // `interactive` is the Graph API object: button, list, flow, ...
+    sendInteractive: (to, interactive) => sendMessage(to, { type: "interactive", interactive }),
+
+    // Uploads a local file and returns its media id
+    async uploadMedia(filePath, mimeType) {
+      requireConfig();
+      const data = await request(() => {
+        const formData = new FormData();
+        formData.append("file", fs.createReadStream(filePath));
+        formData.append("type", mimeType);
+        formData.append("messaging_product", "whatsapp");
+        return axios.post(graphUrl(`${phoneNumberId}/media`), formData, {
+          headers: { ...authHeaders(), ...formData.getHeaders() },
+          timeout: 30000,
+        });
+      }, { throttle: false, idempotent: true });
+      return data.id;
+    },
+
+    // Downloads media a user sent. Returns `{ data, mimeType }`.
+    async downloadMedia(mediaId) {
+      requireConfig({ needsPhoneNumberId: false });
+      const meta = await request(
+        () => axios.get(graphUrl(mediaId), { headers: authHeaders(), timeout: 10000 }),
+        { throttle: false, idempotent: true }
+      );
+      const data = await request(
+        () => axios.get(meta.url, { headers: authHeaders(), responseType: "arraybuffer", timeout: 30000 }),
+        { throttle: false, idempotent: true }
+      );
+      return { data, mimeType: meta.mime_type };
+    },
+  };
+}
+
+// Client for the number configured in .env
+export const whatsappClient = createWhatsAppClient();
+
+export default whatsappClient;
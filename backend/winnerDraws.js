@@ -0,0 +1,221 @@
+// winnerDraws.js
+//
+// Server-side winner draws. A draw collects a contest's eligible entries,
+// runs drawEngine.js on them with a fresh seed, and is stored with its
+// inputs, the pool, the pool's hash and the winners before anyone sees the
+// result, so every draw, including ones that were never applied, can be
+// audited and re-run. Applying a draw marks its winners in `registrations`.
+import pool from "./db.js";
+import { lockedOutPhones } from "./codeAttemptGuard.js";
+import { createSeed, DRAW_ALGORITHM, hashPool, runDraw } from "./drawEngine.js";
+import { findIndianCity } from "./indianCities.js";
+
+// "entries": a ticket per registration; "participant": one per participant
+export const DRAW_WEIGHTINGS = ["entries", "participant"];
+
+// Phone numbers as the webhook stores them, digits only
+export const normalizePhone = (phone) => String(phone).replace(/\D/g, "");
+
+// Cities under their canonical name, so quotas match every spelling
+export const canonicalCity = (city) => (city ? findIndianCity(city)?.name || city.trim() : "");
+
+// The contest's tickets, sorted by registration id. Excluded phones and, with
+// `previousWinners`, anyone who won another contest, have none; with
+// `blocked`, neither do opted-out phones. Locked-out phones are in `phones`.
+async function eligiblePool(contestId, { weighting, exclusions }) {
+  const result = await pool.query(
+    `SELECT registrations.id, registrations.participant_id, participants.city
+     FROM registrations
+     JOIN participants ON participants.id = registrations.participant_id
+     WHERE registrations.contest_id = $1
+       AND NOT (participants.phone_number = ANY($2::text[]))
+       AND NOT ($3::boolean AND EXISTS (
+         SELECT 1 FROM registrations won
+         WHERE won.participant_id = registrations.participant_id
+           AND won.is_winner AND won.contest_id <> $1
+       ))
+       AND NOT ($4::boolean AND EXISTS (
+         SELECT 1 FROM opt_outs WHERE opt_outs.phone_number = participants.phone_number
+       ))
+     ORDER BY registrations.id`,
+    [contestId, [...exclusions.phones, ...exclusions.lockedOutPhones], exclusions.previousWinners, exclusions.blocked]
+  );
+
+  const seen = new Set();
+  const tickets = [];
+  for (const row of result.rows) {
+    // A participant's first entry is their ticket when entries don't count
+    if (weighting === "participant" && seen.has(row.participant_id)) {
+      continue;
+    }
+    seen.add(row.participant_id);
+    tickets.push([row.id, row.participant_id, canonicalCity(row.city)]);
+  }
+  return tickets;
+}
+
+/**
+ * Runs and records a draw. `exclusions` is `{ phones, previousWinners, blocked }`
+ * (`blocked` defaults to true: opted-out and locked-out phones) and
+ * `cityQuotas` maps a city to the winners drawn from it first. Returns the
+ * winner_draws row.
+ */
+export async function createDraw({
+  contestId,
+  count,
+  weighting = "entries",
+  exclusions = {},
+  cityQuotas = {},
+  createdBy = "admin"
+}) {
+  const blocked = exclusions.blocked !== false;
+  const inputs = {
+    count,
+    weighting,
+    exclusions: {
+      phones: [...new Set((exclusions.phones || []).map(normalizePhone).filter(Boolean))].sort(),
+      previousWinners: Boolean(exclusions.previousWinners),
+      blocked,
+      // Lockouts expire, so the ones in force at draw time are recorded
+      lockedOutPhones: blocked ? (await lockedOutPhones()).sort() : []
+    },
+    cityQuotas: Object.fromEntries(
+      Object.entries(cityQuotas).map(([city, quota]) => [canonicalCity(city), quota])
+    )
+  };
+
+  const tickets = await eligiblePool(contestId, inputs);
+  // Never taken from the caller: with the engine public, a chosen seed could
+  // be searched offline for the winners someone wants
+  const seed = createSeed();
+  const results = runDraw({ seed, pool: tickets, count, cityQuotas: inputs.cityQuotas });
+
+  const result = await pool.query(
+    `INSERT INTO winner_draws
+       (contest_id, algorithm, seed, inputs, pool, pool_size, pool_hash, results, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      contestId,
+      DRAW_ALGORITHM,
+      seed,
+      JSON.stringify(inputs),
+      JSON.stringify(tickets),
+      tickets.length,
+      hashPool(tickets),
+      JSON.stringify(results),
+      createdBy
+    ]
+  );
+  const draw = result.rows[0];
+  console.log(`🎲 Draw ${draw.id} for contest ${contestId}: ${results.length} winner(s) from ${tickets.length} ticket(s)`);
+  return draw;
+}
+
+// Null for an unknown or malformed id
+export async function getDraw(id) {
+  if (!Number.isInteger(id)) {
+    return null;
+  }
+  const result = await pool.query("SELECT * FROM winner_draws WHERE id = $1", [id]);
+  return result.rows[0] || null;
+}
+
+// Draws without their pool, newest first
+export async function listDraws({ contestId = null } = {}) {
+  const result = await pool.query(
+    `SELECT id, contest_id, algorithm, seed, inputs, pool_size, pool_hash, results,
+            created_by, created_at, applied_at, apply_reason, superseded_by, superseded_at
+     FROM winner_draws
+     WHERE ($1::int IS NULL OR contest_id = $1)
+     ORDER BY created_at DESC`,
+    [contestId]
+  );
+  return result.rows;
+}
+
+// The draw's winners in the order drawn, with the participant's details
+export async function drawWinners(draw) {
+  const result = await pool.query(
+    `SELECT registrations.id, participants."name", participants.phone_number, participants.city
+     FROM registrations
+     JOIN participants ON participants.id = registrations.participant_id
+     WHERE registrations.id = ANY($1::int[])`,
+    [draw.results.map((winner) => winner.registrationId)]
+  );
+  const byId = new Map(result.rows.map((row) => [row.id, row]));
+  return draw.results.map((winner) => {
+    const row = byId.get(winner.registrationId);
+    return {
+      id: String(winner.registrationId),
+      position: winner.position,
+      round: winner.round,
+      // The registration may have been deleted since the draw
+      name: row?.name ? row.name.trim() : "N/A",
+      phone: row?.phone_number || "N/A",
+      city: row?.city || winner.city || "N/A"
+    };
+  });
+}
+
+/**
+ * Makes the draw's winners the contest's winners. A contest that already has
+ * an applied draw only takes another with a `reason`; the earlier draw is
+ * marked as superseded. Returns `{ applied: true, updatedCount,
+ * supersededDrawId }` or `{ applied: false, reason, currentDrawId }` with
+ * reason "already_applied" or "reason_required".
+ */
+export async function applyDraw(draw, { reason = null } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Locks the contest's draws, so two applies can't both go through
+    const draws = await client.query(
+      `SELECT id, applied_at, superseded_at FROM winner_draws
+       WHERE contest_id = $1
+       ORDER BY id
+       FOR UPDATE`,
+      [draw.contest_id]
+    );
+    const current = draws.rows.find((row) => row.applied_at && !row.superseded_at);
+    const self = draws.rows.find((row) => row.id === draw.id);
+    if (self?.applied_at) {
+      await client.query("ROLLBACK");
+      return { applied: false, reason: "already_applied", currentDrawId: current?.id ?? null };
+    }
+    if (current && !reason) {
+      await client.query("ROLLBACK");
+      return { applied: false, reason: "reason_required", currentDrawId: current.id };
+    }
+
+    if (current) {
+      await client.query(
+        "UPDATE winner_draws SET superseded_by = $2, superseded_at = NOW() WHERE id = $1",
+        [current.id, draw.id]
+      );
+    }
+    await client.query(
+      "UPDATE registrations SET is_winner = false, draw_id = NULL WHERE contest_id = $1",
+      [draw.contest_id]
+    );
+    const updated = await client.query(
+      `UPDATE registrations
+       SET is_winner = true, draw_id = $2
+       WHERE contest_id = $1 AND id = ANY($3::int[])`,
+      [draw.contest_id, draw.id, draw.results.map((winner) => winner.registrationId)]
+    );
+    await client.query(
+      "UPDATE winner_draws SET applied_at = NOW(), apply_reason = $2 WHERE id = $1",
+      [draw.id, reason]
+    );
+    await client.query("COMMIT");
+    console.log(`🏆 Draw ${draw.id} applied: ${updated.rowCount} winner(s) for contest ${draw.contest_id}` +
+      (current ? `, superseding draw ${current.id}: ${reason}` : ""));
+    return { applied: true, updatedCount: updated.rowCount, supersededDrawId: current?.id ?? null };
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
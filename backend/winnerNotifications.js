@@ -0,0 +1,147 @@
+// winnerNotifications.js
+//
+// WhatsApp and email congratulations sent to contest winners. Used by the job
+// worker, one job per winner and channel so a failed email never resends the
+// WhatsApp message.
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+import { getEventMedia, sendEventMedia } from "./mediaLibrary.js";
+import { sendTextOrTemplate } from "./whatsapp.js";
+import { renderTemplate } from "./conversationEngine.js";
+dotenv.config();
+
+// Sent instead of the text below once the winner's 24-hour window has closed.
+// Its body takes the winner's name, code and city as {{1}}, {{2}} and {{3}}.
+export const WINNER_TEMPLATE = process.env.WINNER_TEMPLATE || "contest_winner";
+const WINNER_TEMPLATE_LANGUAGE = process.env.WINNER_TEMPLATE_LANGUAGE || "en";
+
+// Initialize Nodemailer transporter
+const transporter = nodemailer.createTransport({
+  service: 'gmail',
+  auth: {
+    user: process.env.SENDER_EMAIL,
+    pass: process.env.SENDER_PASSWORD
+  }
+});
+
+// The media assigned to "winner" in the media library, or null
+export const getWinnerMedia = () => getEventMedia("winner");
+
+// How the messages name the contest and sign off
+const contestNames = (winnerData) => ({
+  contest: winnerData.contest || "the contest",
+  team: winnerData.contest ? `${winnerData.contest} Team` : "The Team",
+});
+
+// `winnerData` is { name, email, phone, city, code, contest, brand, winnerMessage };
+// `winnerMessage` is the contest's own wording for the WhatsApp text, if any
+export async function sendWinnerWhatsApp(winnerData) {
+  const { contest, team } = contestNames(winnerData);
+  const whatsappMessage = winnerData.winnerMessage
+    ? renderTemplate(winnerData.winnerMessage, winnerData)
+    : `🎉 *CONGRATULATIONS ${winnerData.name}!* 🎉
+
+🏆 You're a WINNER in ${contest}!
+
+✅ *Your Winner Details:*
+👤 Name: ${winnerData.name}
+🎫 Winning Code: *${winnerData.code}*
+🏙️ City: ${winnerData.city}
+
+🎯 *What's Next?*
+Please contact us as soon as possible to claim your prize. Keep your winning code safe as you'll need it for verification.
+
+Thank you for participating in ${contest}! 🏏
+
+*Best regards,*
+${team}`;
+
+  const result = await sendTextOrTemplate(
+    winnerData.phone,
+    whatsappMessage,
+    {
+      name: WINNER_TEMPLATE,
+      language: WINNER_TEMPLATE_LANGUAGE,
+      components: { body: [winnerData.name, winnerData.code, winnerData.city || "-"] }
+    },
+    { context: 'winner_notification' }
+  );
+
+  // Media is free-form too, so it only follows the text inside the window
+  if (result?.via !== "text") {
+    return result;
+  }
+
+  // Not thrown: a retry of this job would send the message above again
+  try {
+    await sendEventMedia(winnerData.phone, "winner", "", { context: 'winner_notification' });
+  } catch (mediaError) {
+    console.error(`❌ Failed to send winner media to ${winnerData.phone}:`, mediaError.message);
+  }
+  return result;
+}
+
+export async function sendWinnerEmail(winnerData) {
+  const { contest, team } = contestNames(winnerData);
+  const media = await getWinnerMedia();
+  const videoExists = media?.kind === "video";
+
+  const mailOptions = {
+    from: 'aditya.as@somaiya.edu',
+    to: winnerData.email,
+    subject: `🎉 Congratulations! You're a Winner - ${contest}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+        <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h1 style="color: #2563eb; text-align: center; margin-bottom: 30px;">🎉 Congratulations ${winnerData.name}!</h1>
+          
+          <p style="font-size: 18px; color: #333; line-height: 1.6;">
+            We are thrilled to inform you that you've been selected as a <strong>winner</strong> in ${contest}!
+          </p>
+          
+          <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb;">
+            <h3 style="color: #1e40af; margin-top: 0;">Your Winner Details:</h3>
+            <p style="margin: 5px 0;"><strong>Name:</strong> ${winnerData.name}</p>
+            <p style="margin: 5px 0;"><strong>Winning Code:</strong> <span style="background-color: #dbeafe; padding: 4px 8px; border-radius: 4px; font-family: monospace; font-weight: bold;">${winnerData.code}</span></p>
+            <p style="margin: 5px 0;"><strong>Registration City:</strong> ${winnerData.city}</p>
+          </div>
+          
+          ${videoExists ? `
+          <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #f59e0b;">
+            <h3 style="color: #92400e; margin-top: 0;">🎬 Special Winner Video!</h3>
+            <p style="margin: 5px 0; color: #92400e;">We've attached a special congratulations video just for you! Please download and watch it to get important information about your prize.</p>
+          </div>
+          ` : ''}
+          
+          <p style="color: #333; line-height: 1.6;">
+            Please contact us as soon as possible to claim your prize. Make sure to keep your winning code safe as you'll need it for verification.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <p style="font-size: 16px; color: #666;">Thank you for participating in ${contest}!</p>
+          </div>
+          
+          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+          
+          <div style="text-align: center; color: #666; font-size: 14px;">
+            <p><strong>Best regards,</strong><br>${team}</p>
+            <p style="margin-top: 20px; font-size: 12px;">This is an automated message. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </div>
+    `
+  };
+
+  // Attach the winner media if there is one
+  if (media) {
+    mailOptions.attachments = [
+      {
+        filename: media.filename,
+        path: media.file_path,
+        contentType: media.mime_type
+      }
+    ];
+  }
+
+  return transporter.sendMail(mailOptions);
+}
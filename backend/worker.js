@@ -0,0 +1,43 @@
+// worker.js
+//
+// Runs queued jobs (see jobQueue.js) and queues reminders for unfinished
+// registrations. Start one alongside the webhook server:
+//
+//             npm run worker
+//
+import { createWorker } from "./jobQueue.js";
+import { deadJobHandlers, jobHandlers } from "./jobHandlers.js";
+import { COMPLETE_STEP } from "./registrationFlow.js";
+import { startReminderScheduler } from "./registrationProgress.js";
+import { runMigrations } from "./migrate.js";
+
+const worker = createWorker(jobHandlers, { deadHandlers: deadJobHandlers });
+
+try {
+  await runMigrations();
+} catch (error) {
+  console.error("❌ Failed to migrate the database:", error.message);
+  // Running against a half-migrated schema would fail in worse ways
+  process.exit(1);
+}
+
+try {
+  // Users at the final step are waiting on us, not the other way round
+  startReminderScheduler({ excludeSteps: [COMPLETE_STEP] });
+} catch (error) {
+  console.error("❌ Failed to start registration reminders:", error.message);
+}
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received. Stopping job worker...`);
+  await worker.stop();
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+worker.start().catch((error) => {
+  console.error("❌ Job worker failed to start:", error.message);
+  process.exit(1);
+});
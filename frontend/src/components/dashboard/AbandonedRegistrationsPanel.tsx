@@ -0,0 +1,96 @@
+import { useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import { UserX } from "lucide-react";
+
+interface AbandonedStep {
+  step: string;
+  label: string;
+  total: number;
+  reminded: number;
+}
+
+interface AbandonedRegistrationsPanelProps {
+  isAuthenticated: boolean;
+}
+
+export function AbandonedRegistrationsPanel({ isAuthenticated }: AbandonedRegistrationsPanelProps) {
+  const [steps, setSteps] = useState<AbandonedStep[]>([]);
+  const [total, setTotal] = useState(0);
+  const [reminderDelayMinutes, setReminderDelayMinutes] = useState<number | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchAbandoned = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('https://api.maidan72club.in/api/abandoned-registrations');
+      if (!response.ok) {
+        throw new Error('Failed to fetch abandoned registrations');
+      }
+      const data = await response.json();
+      setSteps(data.steps);
+      setTotal(data.total);
+      setReminderDelayMinutes(data.reminderDelayMinutes);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching abandoned registrations:', err);
+      setError('Failed to load abandoned registrations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setLoading(false);
+      return;
+    }
+    fetchAbandoned();
+  }, [isAuthenticated]);
+
+  return (
+    <Card style={{ boxShadow: "var(--shadow-elevated)" }}>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-lg font-semibold">Abandoned Registrations</CardTitle>
+        <UserX className="h-5 w-5 text-primary" />
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <div className="h-24 bg-muted animate-pulse rounded"></div>
+        ) : error ? (
+          <div className="text-center text-red-500">
+            <p>{error}</p>
+            <Button variant="outline" onClick={fetchAbandoned} className="mt-2">
+              Retry
+            </Button>
+          </div>
+        ) : total === 0 ? (
+          <p className="text-sm text-muted-foreground">No unfinished registrations</p>
+        ) : (
+          <>
+            <div className="space-y-3">
+              {steps.map((s) => (
+                <div key={s.step} className="space-y-1">
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="capitalize">{s.label}</span>
+                    <span className="font-medium">
+                      {s.total.toLocaleString()}
+                      <span className="text-muted-foreground font-normal"> · {s.reminded.toLocaleString()} reminded</span>
+                    </span>
+                  </div>
+                  <Progress value={(s.total / total) * 100} />
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              {total.toLocaleString()} people stopped part way through registering.
+              {reminderDelayMinutes !== null && ` A reminder is sent ${reminderDelayMinutes} minutes after their last reply.`}
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
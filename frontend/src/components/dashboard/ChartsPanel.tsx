@@ -1,6 +1,7 @@
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, PieChart, Pie, Cell, BarChart, Bar } from "recharts";
 import { useEffect, useState } from "react";
+import { contestQuery } from "@/utils/contest";
 
 const COLORS = ["#3b82f6", "#60a5fa", "#93c5fd", "#1d4ed8", "#2563eb"]; // Using blue shades only for visual, tokens used elsewhere
 
@@ -12,9 +13,10 @@ interface ChartData {
 
 interface ChartsPanelProps {
   isAuthenticated: boolean;
+  contestId: number | null;
 }
 
-export function ChartsPanel({ isAuthenticated }: ChartsPanelProps) {
+export function ChartsPanel({ isAuthenticated, contestId }: ChartsPanelProps) {
   const [data, setData] = useState<ChartData>({
     daily: [],
     city: [],
@@ -32,7 +34,7 @@ export function ChartsPanel({ isAuthenticated }: ChartsPanelProps) {
 
       try {
         setLoading(true);
-        const response = await fetch('https://api.maidan72club.in/api/charts');
+        const response = await fetch(`https://api.maidan72club.in/api/charts${contestQuery(contestId)}`);
         if (!response.ok) {
           throw new Error('Failed to fetch chart data');
         }
@@ -49,7 +51,7 @@ export function ChartsPanel({ isAuthenticated }: ChartsPanelProps) {
     };
 
     fetchChartData();
-  }, [isAuthenticated]);
+  }, [isAuthenticated, contestId]);
   if (loading) {
     return (
       <div className="grid grid-cols-1 xl:grid-cols-3 gap-4">
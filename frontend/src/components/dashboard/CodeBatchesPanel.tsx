@@ -0,0 +1,294 @@
+import { useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Progress } from "@/components/ui/progress";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import { Ban, Download, Ticket } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { contestQuery } from "@/utils/contest";
+
+interface CodeBatch {
+  id: number;
+  name: string;
+  contest: string | null;
+  quantity: number;
+  product: string | null;
+  vendor: string | null;
+  region: string | null;
+  redeemed: number;
+  voided: number;
+  expired: number;
+  redemptionRate: number;
+  created_at: string;
+}
+
+interface CodeBatchesPanelProps {
+  isAuthenticated: boolean;
+  contestId: number | null;
+}
+
+const API_BASE = 'https://api.maidan72club.in/api/code-batches';
+
+export function CodeBatchesPanel({ isAuthenticated, contestId }: CodeBatchesPanelProps) {
+  const [batches, setBatches] = useState<CodeBatch[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadTrigger, setReloadTrigger] = useState(0);
+  const [generating, setGenerating] = useState(false);
+  const [name, setName] = useState("");
+  const [quantity, setQuantity] = useState("1000");
+  const [product, setProduct] = useState("");
+  const [vendor, setVendor] = useState("");
+  const [region, setRegion] = useState("");
+  const [validFrom, setValidFrom] = useState("");
+  const [validUntil, setValidUntil] = useState("");
+  const [voidList, setVoidList] = useState("");
+  const [voidReason, setVoidReason] = useState("");
+  const { toast } = useToast();
+
+  useEffect(() => {
+    const fetchBatches = async () => {
+      if (!isAuthenticated) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        const response = await fetch(`${API_BASE}${contestQuery(contestId)}`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch code batches');
+        }
+        const data = await response.json();
+        setBatches(data.batches);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching code batches:', err);
+        setError('Failed to load code batches');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBatches();
+  }, [isAuthenticated, contestId, reloadTrigger]);
+
+  const showError = (err: unknown, fallback: string) => {
+    console.error(fallback, err);
+    toast({
+      title: "Error",
+      description: err instanceof Error ? err.message : fallback,
+      variant: "destructive",
+    });
+  };
+
+  const handleGenerate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setGenerating(true);
+      const response = await fetch(API_BASE, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name,
+          quantity: Number(quantity),
+          contestId,
+          product,
+          vendor,
+          region,
+          // Codes are valid from the start of the first day to the end of the last
+          validFrom: validFrom ? new Date(`${validFrom}T00:00:00`).toISOString() : null,
+          validUntil: validUntil ? new Date(`${validUntil}T23:59:59`).toISOString() : null,
+        }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to generate codes');
+      }
+      toast({ title: "Codes generated", description: `${quantity} codes created in batch ${name}.` });
+      setName("");
+      setReloadTrigger((n) => n + 1);
+    } catch (err) {
+      showError(err, 'Failed to generate codes');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const postVoid = async (url: string, body: Record<string, unknown>) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to void codes');
+    }
+    setReloadTrigger((n) => n + 1);
+    return response.json();
+  };
+
+  const handleVoidBatch = async (batch: CodeBatch) => {
+    try {
+      const result = await postVoid(`${API_BASE}/${batch.id}/void`, { reason: `Batch ${batch.name} voided` });
+      toast({ title: "Batch voided", description: `${result.voidedCount} unredeemed code(s) in ${batch.name} can no longer be registered.` });
+    } catch (err) {
+      showError(err, 'Failed to void batch');
+    }
+  };
+
+  const handleVoidCodes = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      const codes = voidList.split(/[\s,]+/).filter(Boolean);
+      const result = await postVoid('https://api.maidan72club.in/api/codes/void', { codes, reason: voidReason || null });
+      toast({
+        title: "Codes voided",
+        description: result.notVoided.length > 0
+          ? `${result.voided.length} voided. Not found, redeemed or already voided: ${result.notVoided.join(", ")}`
+          : `${result.voided.length} code(s) voided.`,
+      });
+      setVoidList("");
+      setVoidReason("");
+    } catch (err) {
+      showError(err, 'Failed to void codes');
+    }
+  };
+
+  return (
+    <Card style={{ boxShadow: "var(--shadow-elevated)" }}>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-lg font-semibold">Code Batches</CardTitle>
+        <Ticket className="h-5 w-5 text-primary" />
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {loading ? (
+          <div className="h-24 bg-muted animate-pulse rounded"></div>
+        ) : error ? (
+          <p className="text-center text-red-500">{error}</p>
+        ) : batches.length === 0 ? (
+          <p className="text-center text-muted-foreground">No code batches yet</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Batch</TableHead>
+                <TableHead>Contest</TableHead>
+                <TableHead>Product / Vendor / Region</TableHead>
+                <TableHead className="w-56">Redeemed</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {batches.map((batch) => (
+                <TableRow key={batch.id}>
+                  <TableCell className="font-medium">{batch.name}</TableCell>
+                  <TableCell>{batch.contest || "—"}</TableCell>
+                  <TableCell className="text-muted-foreground">
+                    {[batch.product, batch.vendor, batch.region].map((value) => value || "—").join(" / ")}
+                  </TableCell>
+                  <TableCell>
+                    <div className="space-y-1">
+                      <div className="text-sm">
+                        {batch.redeemed} / {batch.quantity} ({(batch.redemptionRate * 100).toFixed(1)}%)
+                      </div>
+                      <Progress value={batch.redemptionRate * 100} />
+                      {(batch.voided > 0 || batch.expired > 0) && (
+                        <div className="text-xs text-muted-foreground">
+                          {batch.voided} voided · {batch.expired} expired
+                        </div>
+                      )}
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-right space-x-2 whitespace-nowrap">
+                    <Button variant="outline" size="sm" asChild>
+                      <a href={`${API_BASE}/${batch.id}/codes.csv`} download>
+                        <Download className="h-4 w-4 mr-1" />
+                        CSV
+                      </a>
+                    </Button>
+                    <AlertDialog>
+                      <AlertDialogTrigger asChild>
+                        <Button variant="outline" size="sm" className="text-red-600 hover:text-red-700">
+                          <Ban className="h-4 w-4 mr-1" />
+                          Void
+                        </Button>
+                      </AlertDialogTrigger>
+                      <AlertDialogContent>
+                        <AlertDialogHeader>
+                          <AlertDialogTitle>Void Batch</AlertDialogTitle>
+                          <AlertDialogDescription>
+                            Every unredeemed code in <strong>{batch.name}</strong> will be rejected by the bot from now on.
+                            Codes already registered are kept. This cannot be undone.
+                          </AlertDialogDescription>
+                        </AlertDialogHeader>
+                        <AlertDialogFooter>
+                          <AlertDialogCancel>Cancel</AlertDialogCancel>
+                          <AlertDialogAction onClick={() => handleVoidBatch(batch)} className="bg-red-600 hover:bg-red-700">
+                            Void batch
+                          </AlertDialogAction>
+                        </AlertDialogFooter>
+                      </AlertDialogContent>
+                    </AlertDialog>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        <form onSubmit={handleGenerate} className="grid grid-cols-1 md:grid-cols-4 gap-2">
+          <Input placeholder="Batch name" value={name} onChange={(e) => setName(e.target.value)} required />
+          <Input
+            type="number"
+            min={1}
+            max={100000}
+            aria-label="Quantity"
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            required
+          />
+          <Input placeholder="Product" value={product} onChange={(e) => setProduct(e.target.value)} />
+          <Input placeholder="Print vendor" value={vendor} onChange={(e) => setVendor(e.target.value)} />
+          <Input placeholder="Region" value={region} onChange={(e) => setRegion(e.target.value)} />
+          <Input type="date" aria-label="Valid from" value={validFrom} onChange={(e) => setValidFrom(e.target.value)} />
+          <Input type="date" aria-label="Valid until" value={validUntil} onChange={(e) => setValidUntil(e.target.value)} />
+          <Button type="submit" disabled={generating || contestId === null || !name.trim()}>
+            {generating ? "Generating..." : "Generate codes"}
+          </Button>
+        </form>
+        {contestId === null && (
+          <p className="text-sm text-muted-foreground">Select a contest in the header to generate codes for it.</p>
+        )}
+
+        <form onSubmit={handleVoidCodes} className="grid grid-cols-1 md:grid-cols-4 gap-2">
+          <Input
+            className="md:col-span-2"
+            placeholder="Codes to void, e.g. AB12CD, XY34ZW"
+            value={voidList}
+            onChange={(e) => setVoidList(e.target.value)}
+            required
+          />
+          <Input placeholder="Reason" value={voidReason} onChange={(e) => setVoidReason(e.target.value)} />
+          <Button type="submit" variant="outline" disabled={!voidList.trim()}>
+            <Ban className="h-4 w-4 mr-1" />
+            Void codes
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
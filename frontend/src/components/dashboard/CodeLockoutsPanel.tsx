@@ -0,0 +1,172 @@
+import { useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { ShieldAlert, Unlock } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+
+interface BlockedPhone {
+  phone: string;
+  lockedUntil: string;
+  level: number;
+}
+
+interface CodeAttemptStats {
+  failedAttempts: number;
+  lockouts: number;
+  alerts: number;
+  attemptsThisMinute: number;
+  invalidThisMinute: number;
+  maxFailures: number;
+  alertThresholdPerMinute: number;
+  spikeMaxFailures: number;
+  spikeActive: boolean;
+}
+
+interface CodeLockoutsPanelProps {
+  isAuthenticated: boolean;
+}
+
+export function CodeLockoutsPanel({ isAuthenticated }: CodeLockoutsPanelProps) {
+  const [blocked, setBlocked] = useState<BlockedPhone[]>([]);
+  const [stats, setStats] = useState<CodeAttemptStats | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [unlocking, setUnlocking] = useState<string | null>(null);
+  const { toast } = useToast();
+
+  const fetchCodeAttempts = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('https://api.maidan72club.in/api/code-attempts');
+      if (!response.ok) {
+        throw new Error('Failed to fetch code attempt stats');
+      }
+      const data = await response.json();
+      setBlocked(data.blocked);
+      setStats(data.stats);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching code attempts:', err);
+      setError('Failed to load code entry lockouts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setLoading(false);
+      return;
+    }
+    fetchCodeAttempts();
+  }, [isAuthenticated]);
+
+  const handleUnlock = async (phone: string) => {
+    try {
+      setUnlocking(phone);
+      const response = await fetch(`https://api.maidan72club.in/api/code-attempts/${encodeURIComponent(phone)}`, {
+        method: 'DELETE',
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to lift lockout');
+      }
+      setBlocked((prev) => prev.filter((b) => b.phone !== phone));
+      toast({ title: "Lockout lifted", description: `${phone} can enter scratch codes again.` });
+    } catch (err) {
+      console.error('Error lifting lockout:', err);
+      toast({
+        title: "Error",
+        description: err instanceof Error ? err.message : 'Failed to lift lockout',
+        variant: "destructive",
+      });
+    } finally {
+      setUnlocking(null);
+    }
+  };
+
+  const items = stats
+    ? [
+        { title: "Locked Out Now", value: blocked.length },
+        { title: "Failed Attempts", value: stats.failedAttempts },
+        { title: "Lockouts", value: stats.lockouts },
+        { title: "Spike Alerts", value: stats.alerts },
+      ]
+    : [];
+
+  return (
+    <Card style={{ boxShadow: "var(--shadow-elevated)" }}>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-lg font-semibold">Code Entry Lockouts</CardTitle>
+        <ShieldAlert className="h-5 w-5 text-primary" />
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <div className="h-24 bg-muted animate-pulse rounded"></div>
+        ) : error ? (
+          <div className="text-center text-red-500">
+            <p>{error}</p>
+            <Button variant="outline" onClick={fetchCodeAttempts} className="mt-2">
+              Retry
+            </Button>
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {items.map((i) => (
+                <div key={i.title} className="p-3 rounded-lg border bg-muted/30">
+                  <div className="text-sm text-muted-foreground">{i.title}</div>
+                  <div className="text-2xl font-semibold">{i.value.toLocaleString()}</div>
+                </div>
+              ))}
+            </div>
+            {stats && (
+              <p className="text-xs text-muted-foreground">
+                {stats.invalidThisMinute} of {stats.attemptsThisMinute} code attempts this minute were invalid.
+                Phones are locked out after {stats.maxFailures} wrong codes; an alert fires at {stats.alertThresholdPerMinute} invalid codes per minute,
+                and during such a spike phones are locked out after {stats.spikeMaxFailures}.
+                {stats.spikeActive && " A spike is in progress."}
+              </p>
+            )}
+            {blocked.length > 0 && (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Phone</TableHead>
+                    <TableHead>Lockout</TableHead>
+                    <TableHead>Locked Until</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {blocked.map((b) => (
+                    <TableRow key={b.phone}>
+                      <TableCell className="font-medium">{b.phone}</TableCell>
+                      <TableCell>
+                        <Badge variant={b.level > 1 ? "destructive" : "secondary"}>Level {b.level}</Badge>
+                      </TableCell>
+                      <TableCell>{new Date(b.lockedUntil).toLocaleString()}</TableCell>
+                      <TableCell className="text-right">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          disabled={unlocking === b.phone}
+                          onClick={() => handleUnlock(b.phone)}
+                        >
+                          <Unlock className="h-4 w-4 mr-1" />
+                          {unlocking === b.phone ? "Unlocking..." : "Unlock"}
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
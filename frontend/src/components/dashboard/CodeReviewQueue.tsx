@@ -0,0 +1,174 @@
+import { useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Check, ImageIcon, RefreshCw, X } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+
+interface CodeSubmission {
+  id: number;
+  phone_number: string;
+  caption: string | null;
+  created_at: string;
+}
+
+interface CodeReviewQueueProps {
+  isAuthenticated: boolean;
+}
+
+const API_BASE = 'https://api.maidan72club.in/api/code-submissions';
+
+export function CodeReviewQueue({ isAuthenticated }: CodeReviewQueueProps) {
+  const [submissions, setSubmissions] = useState<CodeSubmission[]>([]);
+  const [codes, setCodes] = useState<Record<number, string>>({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [reviewing, setReviewing] = useState<number | null>(null);
+  const [reloadTrigger, setReloadTrigger] = useState(0);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    const fetchSubmissions = async () => {
+      if (!isAuthenticated) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        const response = await fetch(`${API_BASE}?status=pending`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch code submissions');
+        }
+        const data = await response.json();
+        setSubmissions(data.submissions);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching code submissions:', err);
+        setError('Failed to load the photo review queue');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSubmissions();
+  }, [isAuthenticated, reloadTrigger]);
+
+  const review = async (submission: CodeSubmission, action: "approve" | "reject") => {
+    const code = (codes[submission.id] || "").trim();
+    if (action === "approve" && !code) {
+      toast({
+        title: "Code required",
+        description: "Type the code shown on the card before approving.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    try {
+      setReviewing(submission.id);
+      const response = await fetch(`${API_BASE}/${submission.id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(action === "approve" ? { code } : {}),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Failed to ${action} submission`);
+      }
+
+      setSubmissions((prev) => prev.filter((s) => s.id !== submission.id));
+      toast({
+        title: action === "approve" ? "✅ Code approved" : "Photo rejected",
+        description: action === "approve"
+          ? `${submission.phone_number} can continue their registration.`
+          : `${submission.phone_number} was asked to type the code instead.`,
+      });
+    } catch (err) {
+      console.error(`Error trying to ${action} submission:`, err);
+      toast({
+        title: "Error",
+        description: err instanceof Error ? err.message : `Failed to ${action} submission`,
+        variant: "destructive",
+      });
+    } finally {
+      setReviewing(null);
+    }
+  };
+
+  return (
+    <Card style={{ boxShadow: "var(--shadow-elevated)" }}>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <div className="flex items-center gap-2">
+          <CardTitle className="text-lg font-semibold">Scratch Card Photos</CardTitle>
+          <Badge variant="secondary">{submissions.length} pending</Badge>
+        </div>
+        <Button variant="outline" size="sm" onClick={() => setReloadTrigger((n) => n + 1)} disabled={loading}>
+          <RefreshCw className="h-4 w-4 mr-1" />
+          Refresh
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="h-24 bg-muted animate-pulse rounded"></div>
+        ) : error ? (
+          <p className="text-center text-red-500">{error}</p>
+        ) : submissions.length === 0 ? (
+          <div className="flex flex-col items-center gap-2 py-6 text-muted-foreground">
+            <ImageIcon className="h-6 w-6" />
+            <p className="text-sm">No photos waiting for review</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+            {submissions.map((submission) => (
+              <div key={submission.id} className="rounded-lg border bg-muted/30 p-3 space-y-3">
+                <a href={`${API_BASE}/${submission.id}/image`} target="_blank" rel="noreferrer">
+                  <img
+                    src={`${API_BASE}/${submission.id}/image`}
+                    alt={`Scratch card from ${submission.phone_number}`}
+                    className="w-full h-48 object-contain rounded bg-background"
+                  />
+                </a>
+                <div>
+                  <div className="font-medium">{submission.phone_number}</div>
+                  <div className="text-xs text-muted-foreground">
+                    {new Date(submission.created_at).toLocaleString()}
+                    {submission.caption ? ` · "${submission.caption}"` : ""}
+                  </div>
+                </div>
+                <Input
+                  placeholder="Code on the card"
+                  value={codes[submission.id] || ""}
+                  onChange={(e) => setCodes((prev) => ({ ...prev, [submission.id]: e.target.value.toUpperCase() }))}
+                  disabled={reviewing === submission.id}
+                />
+                <div className="flex gap-2">
+                  <Button
+                    size="sm"
+                    className="flex-1"
+                    disabled={reviewing === submission.id}
+                    onClick={() => review(submission, "approve")}
+                  >
+                    <Check className="h-4 w-4 mr-1" />
+                    Approve
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    className="flex-1"
+                    disabled={reviewing === submission.id}
+                    onClick={() => review(submission, "reject")}
+                  >
+                    <X className="h-4 w-4 mr-1" />
+                    Reject
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,167 @@
+import { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Trophy } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { type Contest } from "@/utils/contest";
+
+interface ContestsPanelProps {
+  contests: Contest[];
+  onContestsChanged: () => void;
+}
+
+const API_BASE = 'https://api.maidan72club.in/api/contests';
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleDateString() : "—");
+
+export function ContestsPanel({ contests, onContestsChanged }: ContestsPanelProps) {
+  const [name, setName] = useState("");
+  const [brand, setBrand] = useState("");
+  const [startsAt, setStartsAt] = useState("");
+  const [endsAt, setEndsAt] = useState("");
+  const [maxEntries, setMaxEntries] = useState("");
+  const [saving, setSaving] = useState(false);
+  const { toast } = useToast();
+
+  const showError = (err: unknown, fallback: string) => {
+    console.error(fallback, err);
+    toast({
+      title: "Error",
+      description: err instanceof Error ? err.message : fallback,
+      variant: "destructive",
+    });
+  };
+
+  const saveContest = async (url: string, method: string, body: Record<string, unknown>) => {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to save contest');
+    }
+    onContestsChanged();
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await saveContest(API_BASE, 'POST', {
+        name,
+        brand,
+        // Dates run from the start of the first day to the end of the last
+        starts_at: startsAt ? new Date(`${startsAt}T00:00:00`).toISOString() : null,
+        ends_at: endsAt ? new Date(`${endsAt}T23:59:59`).toISOString() : null,
+        max_entries: maxEntries ? Number(maxEntries) : null,
+      });
+      toast({ title: "Contest created", description: `${name} can now have codes assigned to it.` });
+      setName("");
+      setBrand("");
+      setStartsAt("");
+      setEndsAt("");
+      setMaxEntries("");
+    } catch (err) {
+      showError(err, 'Failed to create contest');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (contest: Contest, active: boolean) => {
+    try {
+      await saveContest(`${API_BASE}/${contest.id}`, 'PUT', { active });
+    } catch (err) {
+      showError(err, 'Failed to update contest');
+    }
+  };
+
+  // Saved when the field loses focus; empty means no limit
+  const handleMaxEntries = async (contest: Contest, value: string) => {
+    const maxEntries = value ? Number(value) : null;
+    if (maxEntries === contest.max_entries) {
+      return;
+    }
+    try {
+      await saveContest(`${API_BASE}/${contest.id}`, 'PUT', { max_entries: maxEntries });
+    } catch (err) {
+      showError(err, 'Failed to update contest');
+    }
+  };
+
+  return (
+    <Card style={{ boxShadow: "var(--shadow-elevated)" }}>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-lg font-semibold">Contests</CardTitle>
+        <Trophy className="h-5 w-5 text-primary" />
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Contest</TableHead>
+              <TableHead>Brand</TableHead>
+              <TableHead>Runs</TableHead>
+              <TableHead className="text-right">Registrations</TableHead>
+              <TableHead className="text-right">Winners</TableHead>
+              <TableHead className="text-right">Max entries</TableHead>
+              <TableHead className="text-right">Active</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {contests.map((contest) => (
+              <TableRow key={contest.id}>
+                <TableCell className="font-medium">{contest.name}</TableCell>
+                <TableCell>{contest.brand || "—"}</TableCell>
+                <TableCell className="text-muted-foreground">
+                  {formatDate(contest.starts_at)} – {formatDate(contest.ends_at)}
+                </TableCell>
+                <TableCell className="text-right">
+                  {contest.registrations} / {contest.codes}
+                </TableCell>
+                <TableCell className="text-right">{contest.winners}</TableCell>
+                <TableCell className="text-right">
+                  <Input
+                    key={contest.max_entries ?? "none"}
+                    type="number"
+                    min={1}
+                    placeholder="No limit"
+                    aria-label={`Max entries for ${contest.name}`}
+                    className="ml-auto w-24 text-right"
+                    defaultValue={contest.max_entries ?? ""}
+                    onBlur={(e) => handleMaxEntries(contest, e.target.value)}
+                  />
+                </TableCell>
+                <TableCell className="text-right">
+                  <Switch checked={contest.active} onCheckedChange={(active) => handleToggle(contest, active)} />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-6 gap-2">
+          <Input placeholder="Contest name" value={name} onChange={(e) => setName(e.target.value)} required />
+          <Input placeholder="Brand" value={brand} onChange={(e) => setBrand(e.target.value)} />
+          <Input type="date" aria-label="Starts" value={startsAt} onChange={(e) => setStartsAt(e.target.value)} />
+          <Input type="date" aria-label="Ends" value={endsAt} onChange={(e) => setEndsAt(e.target.value)} />
+          <Input
+            type="number"
+            min={1}
+            placeholder="Max entries per person"
+            value={maxEntries}
+            onChange={(e) => setMaxEntries(e.target.value)}
+          />
+          <Button type="submit" disabled={saving || !name.trim()}>
+            {saving ? "Creating..." : "New contest"}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,243 @@
+import { useEffect, useRef, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Film, Trash2, Upload } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+
+interface MediaAsset {
+  id: number;
+  filename: string;
+  mime_type: string;
+  kind: "video" | "image";
+  size: number;
+  created_at: string;
+}
+
+interface MediaAssignment {
+  event: string;
+  media_id: number;
+}
+
+interface MediaLibraryPanelProps {
+  isAuthenticated: boolean;
+}
+
+const API_BASE = 'https://api.maidan72club.in/api/media';
+const NO_MEDIA = "none";
+
+export function MediaLibraryPanel({ isAuthenticated }: MediaLibraryPanelProps) {
+  const [assets, setAssets] = useState<MediaAsset[]>([]);
+  const [assignments, setAssignments] = useState<MediaAssignment[]>([]);
+  const [events, setEvents] = useState<Record<string, string>>({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [uploading, setUploading] = useState(false);
+  const [reloadTrigger, setReloadTrigger] = useState(0);
+  const fileInput = useRef<HTMLInputElement>(null);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    const fetchMedia = async () => {
+      if (!isAuthenticated) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        const response = await fetch(API_BASE);
+        if (!response.ok) {
+          throw new Error('Failed to fetch media library');
+        }
+        const data = await response.json();
+        setAssets(data.assets);
+        setAssignments(data.assignments);
+        setEvents(data.events);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching media library:', err);
+        setError('Failed to load the media library');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMedia();
+  }, [isAuthenticated, reloadTrigger]);
+
+  const showError = (err: unknown, fallback: string) => {
+    console.error(fallback, err);
+    toast({
+      title: "Error",
+      description: err instanceof Error ? err.message : fallback,
+      variant: "destructive",
+    });
+  };
+
+  const handleUpload = async (file: File) => {
+    try {
+      setUploading(true);
+      const response = await fetch(`${API_BASE}?filename=${encodeURIComponent(file.name)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': file.type },
+        body: file,
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to upload media');
+      }
+      toast({ title: "Media uploaded", description: `${file.name} can now be assigned to an event.` });
+      setReloadTrigger((n) => n + 1);
+    } catch (err) {
+      showError(err, 'Failed to upload media');
+    } finally {
+      setUploading(false);
+      if (fileInput.current) {
+        fileInput.current.value = "";
+      }
+    }
+  };
+
+  const handleAssign = async (event: string, value: string) => {
+    try {
+      const response = value === NO_MEDIA
+        ? await fetch(`${API_BASE}/assignments/${event}`, { method: 'DELETE' })
+        : await fetch(`${API_BASE}/assignments/${event}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mediaId: Number(value) }),
+          });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to assign media');
+      }
+      setAssignments((prev) => [
+        ...prev.filter((a) => a.event !== event),
+        ...(value === NO_MEDIA ? [] : [{ event, media_id: Number(value) }]),
+      ]);
+      toast({ title: "Media updated", description: `"${events[event]}" messages updated.` });
+    } catch (err) {
+      showError(err, 'Failed to assign media');
+    }
+  };
+
+  const handleDelete = async (asset: MediaAsset) => {
+    try {
+      const response = await fetch(`${API_BASE}/${asset.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to delete media');
+      }
+      setAssets((prev) => prev.filter((a) => a.id !== asset.id));
+      setAssignments((prev) => prev.filter((a) => a.media_id !== asset.id));
+    } catch (err) {
+      showError(err, 'Failed to delete media');
+    }
+  };
+
+  const assignedEvents = (asset: MediaAsset) =>
+    assignments.filter((a) => a.media_id === asset.id).map((a) => events[a.event] || a.event);
+
+  return (
+    <Card style={{ boxShadow: "var(--shadow-elevated)" }}>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-lg font-semibold">Media Library</CardTitle>
+        <div>
+          <input
+            ref={fileInput}
+            type="file"
+            accept="video/mp4,video/3gpp,image/jpeg,image/png"
+            className="hidden"
+            onChange={(e) => e.target.files?.[0] && handleUpload(e.target.files[0])}
+          />
+          <Button variant="outline" size="sm" onClick={() => fileInput.current?.click()} disabled={uploading}>
+            <Upload className="h-4 w-4 mr-1" />
+            {uploading ? "Uploading..." : "Upload"}
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {loading ? (
+          <div className="h-24 bg-muted animate-pulse rounded"></div>
+        ) : error ? (
+          <p className="text-center text-red-500">{error}</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {Object.entries(events).map(([event, label]) => {
+                const assigned = assignments.find((a) => a.event === event);
+                return (
+                  <div key={event} className="space-y-1">
+                    <div className="text-sm text-muted-foreground">{label}</div>
+                    <Select
+                      value={assigned ? String(assigned.media_id) : NO_MEDIA}
+                      onValueChange={(value) => handleAssign(event, value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={NO_MEDIA}>No media (text only)</SelectItem>
+                        {assets.map((asset) => (
+                          <SelectItem key={asset.id} value={String(asset.id)}>
+                            {asset.filename}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                );
+              })}
+            </div>
+
+            {assets.length === 0 ? (
+              <div className="flex flex-col items-center gap-2 py-6 text-muted-foreground">
+                <Film className="h-6 w-6" />
+                <p className="text-sm">Upload an MP4 video (up to 16MB) or a JPEG/PNG image (up to 5MB)</p>
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+                {assets.map((asset) => (
+                  <div key={asset.id} className="rounded-lg border bg-muted/30 p-3 space-y-2">
+                    {asset.kind === "video" ? (
+                      <video
+                        src={`${API_BASE}/${asset.id}/file`}
+                        controls
+                        preload="metadata"
+                        className="w-full h-40 rounded bg-background"
+                      />
+                    ) : (
+                      <img
+                        src={`${API_BASE}/${asset.id}/file`}
+                        alt={asset.filename}
+                        className="w-full h-40 object-contain rounded bg-background"
+                      />
+                    )}
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="font-medium truncate">{asset.filename}</div>
+                        <div className="text-xs text-muted-foreground">
+                          {(asset.size / (1024 * 1024)).toFixed(1)}MB · {new Date(asset.created_at).toLocaleDateString()}
+                        </div>
+                      </div>
+                      <Button variant="ghost" size="sm" onClick={() => handleDelete(asset)}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                    <div className="flex flex-wrap gap-1">
+                      {assignedEvents(asset).map((label) => (
+                        <Badge key={label} variant="secondary">{label}</Badge>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -16,7 +16,11 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { type Entry } from "./RecentActivityTable";
+import { contestFileName, contestNames, contestQuery, type Contest } from "@/utils/contest";
 
 interface Winner {
   id: string;
@@ -25,28 +29,62 @@ interface Winner {
   city: string;
 }
 
+interface DrawnWinner extends Winner {
+  position: number;
+  round: string;
+}
+
+// A recorded server-side draw, see POST /api/draws
+interface Draw {
+  id: number;
+  seed: string;
+  pool_size: number;
+  pool_hash: string;
+}
+
+type Weighting = "entries" | "participant";
+
+interface MessagingWindow {
+  phone: string;
+  lastInboundAt: string | null;
+  needsTemplate: boolean;
+}
+
 interface QuickActionsProps {
   winners: Winner[];
   setWinners: (winners: Winner[]) => void;
   onWinnersUpdated?: () => void;
   isAuthenticated: boolean;
+  contestId: number | null;
+  // The selected contest, for the wording of exports and previews
+  contest?: Contest;
 }
 
-export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenticated }: QuickActionsProps) {
+export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenticated, contestId, contest }: QuickActionsProps) {
   const [entries, setEntries] = useState<Entry[]>([]);
   const [loading, setLoading] = useState(false);
   const { toast } = useToast();
   const [winnersOpen, setWinnersOpen] = useState(false);
   const [broadcastOpen, setBroadcastOpen] = useState(false);
   const [count, setCount] = useState(3);
-  const [selectedWinners, setSelectedWinners] = useState<Winner[]>([]);
+  const [selectedWinners, setSelectedWinners] = useState<DrawnWinner[]>([]);
+  const [draw, setDraw] = useState<Draw | null>(null);
+  const [drawing, setDrawing] = useState(false);
+  const [weighting, setWeighting] = useState<Weighting>("entries");
+  const [excludePreviousWinners, setExcludePreviousWinners] = useState(true);
+  const [excludeBlocked, setExcludeBlocked] = useState(true);
+  const [supersedeReason, setSupersedeReason] = useState("");
+  const [excludePhones, setExcludePhones] = useState("");
+  const [cityQuotas, setCityQuotas] = useState("");
+  const [messagingWindows, setMessagingWindows] = useState<Record<string, MessagingWindow>>({});
+  const [winnerTemplate, setWinnerTemplate] = useState<string | null>(null);
 
   useEffect(() => {
     const fetchEntries = async () => {
       if (!isAuthenticated) return;
       
       try {
-        const response = await fetch('https://api.maidan72club.in/api/recent-activity');
+        const response = await fetch(`https://api.maidan72club.in/api/recent-activity${contestQuery(contestId)}`);
         if (response.ok) {
           const data = await response.json();
           setEntries(data.entries);
@@ -57,7 +95,7 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
     };
 
     fetchEntries();
-  }, [isAuthenticated]);
+  }, [isAuthenticated, contestId]);
 
   // Fetch current winners from database when component mounts
   useEffect(() => {
@@ -65,19 +103,17 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
       if (!isAuthenticated) return;
       
       try {
-        const response = await fetch('https://api.maidan72club.in/api/stats');
+        const response = await fetch(`https://api.maidan72club.in/api/stats${contestQuery(contestId)}`);
         if (response.ok) {
           const data = await response.json();
-          // Update the winners state with current winners from database
-          if (data.winnersSelected && data.winnersSelected.length > 0) {
-            const formattedWinners = data.winnersSelected.map((winner: any, index: number) => ({
-              id: `winner_${index}`, // Generate ID since API doesn't return it
-              name: winner.name,
-              phone: winner.phone,
-              city: winner.city
-            }));
-            setWinners(formattedWinners);
-          }
+          // Update the winners state with the contest's current winners from database
+          const formattedWinners = (data.winnersSelected || []).map((winner: any, index: number) => ({
+            id: `winner_${index}`, // Generate ID since API doesn't return it
+            name: winner.name,
+            phone: winner.phone,
+            city: winner.city
+          }));
+          setWinners(formattedWinners);
         }
       } catch (error) {
         console.error('Error fetching current winners:', error);
@@ -85,54 +121,112 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
     };
 
     fetchCurrentWinners();
-  }, [setWinners, isAuthenticated]);
+  }, [setWinners, isAuthenticated, contestId]);
 
-  const pickWinners = () => {
-    if (entries.length === 0) {
-      toast({ 
-        title: "No users available", 
-        description: "No registered users found to select winners from.",
+  // WhatsApp only allows free-form messages within 24 hours of the user's last
+  // message, so show which winners will get the approved template instead
+  useEffect(() => {
+    const fetchMessagingWindows = async () => {
+      if (!isAuthenticated || !broadcastOpen) return;
+
+      try {
+        const response = await fetch(`https://api.maidan72club.in/api/winners/messaging-window${contestQuery(contestId)}`);
+        if (response.ok) {
+          const data = await response.json();
+          setMessagingWindows(Object.fromEntries(
+            data.recipients.map((recipient: MessagingWindow) => [recipient.phone, recipient])
+          ));
+          setWinnerTemplate(data.template);
+        }
+      } catch (error) {
+        console.error('Error fetching messaging windows:', error);
+      }
+    };
+
+    fetchMessagingWindows();
+  }, [broadcastOpen, isAuthenticated, contestId]);
+
+  const templateCount = winners.filter((w) => messagingWindows[w.phone]?.needsTemplate).length;
+
+  // A draw belongs to one contest
+  useEffect(() => {
+    setDraw(null);
+    setSelectedWinners([]);
+  }, [contestId]);
+
+  // "Mumbai: 2" per line → { Mumbai: 2 }
+  const parseCityQuotas = (text: string): Record<string, number> => {
+    const quotas: Record<string, number> = {};
+    for (const line of text.split("\n").map((l) => l.trim()).filter(Boolean)) {
+      const match = line.match(/^(.+?)\s*[:=]\s*(\d+)$/);
+      if (!match) {
+        throw new Error(`City quota "${line}" should look like "Mumbai: 2"`);
+      }
+      quotas[match[1]] = parseInt(match[2], 10);
+    }
+    return quotas;
+  };
+
+  // The draw runs and is recorded on the server, so it can be audited later
+  const drawWinners = async () => {
+    if (contestId === null) {
+      toast({
+        title: "Select a contest",
+        description: "Winners are drawn per contest. Select one in the header first.",
         variant: "destructive"
       });
       return;
     }
 
-    const chosen: Winner[] = [];
-    const availableEntries = [...entries]; // Create a copy to avoid modifying original
-    const n = Math.max(1, count);
-    
-    // If more winners requested than available users, show warning but proceed
-    if (n > availableEntries.length) {
-      toast({ 
-        title: "Limited users available", 
-        description: `Only ${availableEntries.length} users available. Selecting all of them.`,
-        variant: "default"
+    setDrawing(true);
+    try {
+      const response = await fetch('https://api.maidan72club.in/api/draws', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          contestId,
+          count: Math.max(1, count),
+          weighting,
+          excludePhones: excludePhones.split(/[\s,]+/).filter(Boolean),
+          excludePreviousWinners,
+          excludeBlocked,
+          cityQuotas: parseCityQuotas(cityQuotas)
+        }),
       });
-    }
-    
-    // Select random winners from available entries
-    const winnersToSelect = Math.min(n, availableEntries.length);
-    
-    for (let i = 0; i < winnersToSelect; i++) {
-      const randomIndex = Math.floor(Math.random() * availableEntries.length);
-      const selectedEntry = availableEntries.splice(randomIndex, 1)[0];
-      
-      chosen.push({
-        id: selectedEntry.id,
-        name: selectedEntry.name,
-        phone: selectedEntry.phone,
-        city: selectedEntry.city
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to draw winners');
+      }
+
+      const result = await response.json();
+      setDraw(result.draw);
+      setSelectedWinners(result.winners);
+      if (result.winners.length < count) {
+        toast({
+          title: "Limited entries available",
+          description: `Only ${result.winners.length} eligible participant(s) could be drawn.`,
+        });
+      }
+    } catch (error) {
+      console.error('Error drawing winners:', error);
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to draw winners.",
+        variant: "destructive"
       });
+    } finally {
+      setDrawing(false);
     }
-    
-    setSelectedWinners(chosen);
   };
 
   const confirm = async () => {
-    if (selectedWinners.length === 0) {
+    if (!draw || selectedWinners.length === 0) {
       toast({ 
         title: "No winners selected", 
-        description: "Please pick winners first.",
+        description: "Please draw winners first.",
         variant: "destructive"
       });
       return;
@@ -140,23 +234,22 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
 
     setLoading(true);
     try {
-      const response = await fetch('https://api.maidan72club.in/api/update-winners', {
+      const response = await fetch(`https://api.maidan72club.in/api/draws/${draw.id}/apply`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          winnerIds: selectedWinners.map(w => w.id)
-        }),
+        body: JSON.stringify({ supersedeReason: supersedeReason.trim() || null }),
       });
 
       if (!response.ok) {
-        throw new Error('Failed to update winners');
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update winners in database.');
       }
 
       const result = await response.json();
       console.log("result",result);
-      setWinners(selectedWinners);
+      setWinners(result.winners);
       
       // Trigger refresh of StatsCards to update winner count immediately
       if (onWinnersUpdated) {
@@ -172,15 +265,18 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
       
       toast({ 
         title: "Winners confirmed!", 
-        description: `${result.updatedCount} winner(s) have been updated in the database.` 
+        description: result.supersededDrawId
+          ? `${result.updatedCount} winner(s) from draw #${draw.id} replace those of draw #${result.supersededDrawId}.`
+          : `${result.updatedCount} winner(s) from draw #${draw.id} have been updated in the database.`
       });
       
+      setSupersedeReason("");
       setWinnersOpen(false);
     } catch (error) {
       console.error('Error updating winners:', error);
       toast({ 
         title: "Error", 
-        description: "Failed to update winners in database.",
+        description: error instanceof Error ? error.message : "Failed to update winners in database.",
         variant: "destructive"
       });
     } finally {
@@ -209,6 +305,7 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
         headers: {
           'Content-Type': 'application/json',
         },
+        body: JSON.stringify({ contestId }),
       });
 
       if (!response.ok) {
@@ -219,8 +316,8 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
       const result = await response.json();
       
       toast({ 
-        title: "🎉 Emails sent successfully!", 
-        description: result.message || `Congratulations emails sent to ${result.emailsSent} winner(s)!`
+        title: "🎉 Notifications queued!", 
+        description: result.message || `Congratulations emails queued for ${result.emailsQueued} winner(s)!`
       });
       
       setBroadcastOpen(false);
@@ -256,7 +353,7 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
     const encodedUri = encodeURI(csvContent);
     const link = document.createElement("a");
     link.setAttribute("href", encodedUri);
-    link.setAttribute("download", `maidan72_registrations_${new Date().toISOString().slice(0, 10)}.csv`);
+    link.setAttribute("download", `${contestFileName(contest)}_registrations_${new Date().toISOString().slice(0, 10)}.csv`);
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -281,7 +378,10 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
           <DialogContent>
             <DialogHeader>
               <DialogTitle>Select Winners</DialogTitle>
-              <DialogDescription>Pick a random set of winners from recent participants.</DialogDescription>
+              <DialogDescription>
+                Draw winners for the selected contest on the server. Every draw is recorded with its seed
+                and entry pool, so it can be verified later.
+              </DialogDescription>
             </DialogHeader>
             <div className="space-y-4">
               <div className="grid grid-cols-2 gap-3 items-center">
@@ -294,22 +394,88 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
                   value={count} 
                   onChange={(e) => setCount(parseInt(e.target.value || "1", 10))} 
                 />
+                <Label>Chances</Label>
+                <Select value={weighting} onValueChange={(value) => setWeighting(value as Weighting)}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="entries">One per entry</SelectItem>
+                    <SelectItem value="participant">One per participant</SelectItem>
+                  </SelectContent>
+                </Select>
+                <Label htmlFor="exclude-previous">Exclude previous winners</Label>
+                <Switch
+                  id="exclude-previous"
+                  checked={excludePreviousWinners}
+                  onCheckedChange={setExcludePreviousWinners}
+                />
+                <Label htmlFor="exclude-blocked">Exclude opted-out and locked-out phones</Label>
+                <Switch
+                  id="exclude-blocked"
+                  checked={excludeBlocked}
+                  onCheckedChange={setExcludeBlocked}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="exclude-phones">Excluded phone numbers</Label>
+                <Textarea
+                  id="exclude-phones"
+                  placeholder="e.g. 919812345678, 919876543210"
+                  value={excludePhones}
+                  onChange={(e) => setExcludePhones(e.target.value)}
+                  rows={2}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="city-quotas">City quotas</Label>
+                <Textarea
+                  id="city-quotas"
+                  placeholder={"One per line, e.g.\nMumbai: 2\nPune: 1"}
+                  value={cityQuotas}
+                  onChange={(e) => setCityQuotas(e.target.value)}
+                  rows={3}
+                />
               </div>
               <p className="text-xs text-muted-foreground">
-                {entries.length} registered users available
+                {contestId === null
+                  ? "Select a contest in the header to draw its winners."
+                  : `${entries.length} registrations in this contest`}
               </p>
               <div className="flex gap-2">
-                <Button variant="secondary" onClick={pickWinners}>Pick Randomly</Button>
+                <Button variant="secondary" onClick={drawWinners} disabled={drawing || contestId === null}>
+                  {drawing ? "Drawing..." : "Draw Winners"}
+                </Button>
               </div>
+              {draw && (
+                <div className="text-xs text-muted-foreground space-y-1 break-all">
+                  <p>Draw #{draw.id} from {draw.pool_size} ticket(s)</p>
+                  <p>Seed: <span className="font-mono">{draw.seed}</span></p>
+                  <p>Pool hash: <span className="font-mono">{draw.pool_hash}</span></p>
+                </div>
+              )}
+              {draw && (
+                <div className="space-y-2">
+                  <Label htmlFor="supersede-reason">Reason for replacing current winners</Label>
+                  <Input
+                    id="supersede-reason"
+                    placeholder="Only needed if this contest already has applied winners"
+                    value={supersedeReason}
+                    onChange={(e) => setSupersedeReason(e.target.value)}
+                  />
+                </div>
+              )}
               {selectedWinners.length > 0 && (
                 <div>
                   <p className="text-sm text-muted-foreground mb-2">Selected winners</p>
                   <ScrollArea className="h-40 rounded-md border p-3">
                     <ul className="text-sm space-y-2">
-                      {selectedWinners.map((w, i) => (
-                        <li key={i} className="flex items-center gap-2">
-                          <span className="text-muted-foreground">#{i + 1}</span>
+                      {selectedWinners.map((w) => (
+                        <li key={w.id} className="flex items-center gap-2">
+                          <span className="text-muted-foreground">#{w.position}</span>
                           <span>{w.name}</span>
+                          <span className="text-muted-foreground">{w.city}</span>
+                          {w.round !== "open" && <Badge variant="secondary">{w.round} quota</Badge>}
                         </li>
                       ))}
                     </ul>
@@ -319,7 +485,7 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
             </div>
             <DialogFooter>
               <Button variant="ghost" onClick={() => setWinnersOpen(false)} disabled={loading}>Cancel</Button>
-              <Button onClick={confirm} disabled={selectedWinners.length === 0 || loading}>
+              <Button onClick={confirm} disabled={!draw || selectedWinners.length === 0 || loading}>
                 {loading ? "Updating..." : "Confirm Selection"}
               </Button>
             </DialogFooter>
@@ -357,7 +523,7 @@ export function QuickActions({ winners, setWinners, onWinnersUpdated, isAuthenti
                     readOnly 
                     value={`🎉 Congratulations {name}!
 
-You've been selected as a winner in the Maidan 72 Club contest! 
+You've been selected as a winner in ${contestNames(contest).contest}! 
 
 Your winning code: {code}
 Registration City: {city}
@@ -365,7 +531,7 @@ Registration City: {city}
 Please contact us to claim your prize. Thank you for participating!
 
 Best regards,
-Maidan 72 Club Team`}
+${contestNames(contest).team}`}
                     className="mt-2"
                     rows={8}
                   />
@@ -381,10 +547,24 @@ Maidan 72 Club Team`}
                          <li key={i} className="flex items-center gap-2">
                            <span className="text-muted-foreground">#{i + 1}</span>
                            <span>{winner.name}</span>
+                           {messagingWindows[winner.phone] && (
+                             <Badge
+                               variant={messagingWindows[winner.phone].needsTemplate ? "outline" : "secondary"}
+                               className="ml-auto"
+                             >
+                               {messagingWindows[winner.phone].needsTemplate ? "Template" : "Free-form"}
+                             </Badge>
+                           )}
                          </li>
                        ))}
                     </ul>
                   </ScrollArea>
+                  {templateCount > 0 && (
+                    <p className="text-xs text-muted-foreground mt-1">
+                      {templateCount} winner(s) haven't messaged in the last 24 hours and will get the
+                      approved "{winnerTemplate}" WhatsApp template instead of this message.
+                    </p>
+                  )}
                 </div>
               </div>
             )}
@@ -1,4 +1,5 @@
 import { useMemo, useState, useEffect } from "react";
+import { contestQuery } from "@/utils/contest";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { Input } from "@/components/ui/input";
@@ -29,15 +30,18 @@ export type Entry = {
   email?: string;
   code?: string;
   isWinner?: boolean;
+  // The participant's registrations in the selected contest(s)
+  entries?: number;
 };
 
 const statuses = ["All", "Registered", "Verified", "Pending", "Rejected"] as const;
 
 interface RecentActivityTableProps {
   isAuthenticated: boolean;
+  contestId: number | null;
 }
 
-export function RecentActivityTable({ isAuthenticated }: RecentActivityTableProps) {
+export function RecentActivityTable({ isAuthenticated, contestId }: RecentActivityTableProps) {
   const [entries, setEntries] = useState<Entry[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -57,7 +61,7 @@ export function RecentActivityTable({ isAuthenticated }: RecentActivityTableProp
 
       try {
         setLoading(true);
-        const response = await fetch('https://api.maidan72club.in/api/recent-activity');
+        const response = await fetch(`https://api.maidan72club.in/api/recent-activity${contestQuery(contestId)}`);
         if (!response.ok) {
           throw new Error('Failed to fetch recent activity data');
         }
@@ -73,7 +77,7 @@ export function RecentActivityTable({ isAuthenticated }: RecentActivityTableProp
     };
 
     fetchRecentActivity();
-  }, [isAuthenticated]);
+  }, [isAuthenticated, contestId]);
 
   const filtered = useMemo(() => {
     const q = query.toLowerCase();
@@ -210,6 +214,7 @@ export function RecentActivityTable({ isAuthenticated }: RecentActivityTableProp
                 <TableHead>Name</TableHead>
                 <TableHead>Phone</TableHead>
                 <TableHead>City</TableHead>
+                <TableHead className="text-right">Entries</TableHead>
                 <TableHead>Status</TableHead>
                 <TableHead className="text-right">Date</TableHead>
                 <TableHead className="text-right">Actions</TableHead>
@@ -218,7 +223,7 @@ export function RecentActivityTable({ isAuthenticated }: RecentActivityTableProp
             <TableBody>
               {current.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={6} className="text-center py-10 text-muted-foreground">No results found.</TableCell>
+                  <TableCell colSpan={7} className="text-center py-10 text-muted-foreground">No results found.</TableCell>
                 </TableRow>
               ) : (
                 current.map((e) => (
@@ -226,6 +231,7 @@ export function RecentActivityTable({ isAuthenticated }: RecentActivityTableProp
                     <TableCell className="font-medium">{e.name}</TableCell>
                     <TableCell>{e.phone}</TableCell>
                     <TableCell>{e.city}</TableCell>
+                    <TableCell className="text-right">{e.entries ?? 1}</TableCell>
                     <TableCell>
                       <Badge variant={
                         e.status === "Registered" ? "default" : 
@@ -259,7 +265,7 @@ export function RecentActivityTable({ isAuthenticated }: RecentActivityTableProp
                               This action cannot be undone and will permanently remove all registration data including:
                               <ul className="list-disc list-inside mt-2 space-y-1">
                                 <li>Personal information (name, email, city)</li>
-                                <li>Scratch code usage</li>
+                                <li>Every entry of this phone number; its scratch codes can be registered again</li>
                                 <li>Registration timestamp</li>
                                 <li>Winner status (if applicable)</li>
                               </ul>
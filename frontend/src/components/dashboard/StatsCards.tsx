@@ -3,6 +3,7 @@ import { Button } from "@/components/ui/button";
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
 import { ArrowUpRight, CheckCircle2, Users, Trophy, TrendingUp, ShoppingBag, Scan, Award } from "lucide-react";
 import { useEffect, useState } from "react";
+import { contestQuery } from "@/utils/contest";
 
 interface Winner {
   name: string;
@@ -12,6 +13,8 @@ interface Winner {
 
 interface StatsData {
   registrations: number;
+  participants: number;
+  entriesPerParticipant: number;
   codeScansPerDay: number;
   winnersSelected: Winner[];
 }
@@ -19,11 +22,14 @@ interface StatsData {
 interface StatsCardsProps {
   refreshTrigger?: number;
   isAuthenticated: boolean;
+  contestId: number | null;
 }
 
-export function StatsCards({ refreshTrigger, isAuthenticated }: StatsCardsProps) {
+export function StatsCards({ refreshTrigger, isAuthenticated, contestId }: StatsCardsProps) {
   const [data, setData] = useState<StatsData>({
     registrations: 0,
+    participants: 0,
+    entriesPerParticipant: 0,
     codeScansPerDay: 0,
     winnersSelected: []
   });
@@ -39,7 +45,7 @@ export function StatsCards({ refreshTrigger, isAuthenticated }: StatsCardsProps)
 
       try {
         setLoading(true);
-        const response = await fetch('https://api.maidan72club.in/api/stats');
+        const response = await fetch(`https://api.maidan72club.in/api/stats${contestQuery(contestId)}`);
         if (!response.ok) {
           throw new Error('Failed to fetch statistics');
         }
@@ -56,9 +62,15 @@ export function StatsCards({ refreshTrigger, isAuthenticated }: StatsCardsProps)
     };
 
     fetchStats();
-  }, [refreshTrigger, isAuthenticated]); // Add isAuthenticated as dependency
+  }, [refreshTrigger, isAuthenticated, contestId]); // Add isAuthenticated as dependency
   const items = [
     { title: "Total Registrations", value: data.registrations.toLocaleString(), icon: Users },
+    {
+      title: "Participants",
+      value: data.participants.toLocaleString(),
+      icon: ShoppingBag,
+      note: `${data.entriesPerParticipant} entries per participant`
+    },
     { title: "Code Scans Per Day", value: data.codeScansPerDay.toLocaleString(), icon: Scan },
     { 
       title: "Winners Selected", 
@@ -71,8 +83,8 @@ export function StatsCards({ refreshTrigger, isAuthenticated }: StatsCardsProps)
 
   if (loading) {
     return (
-      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
-        {[1, 2, 3].map((i) => (
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+        {[1, 2, 3, 4].map((i) => (
           <Card key={i} className="hover:shadow-md" style={{ boxShadow: "var(--shadow-elevated)" }}>
             <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
               <div className="h-4 w-32 bg-muted animate-pulse rounded"></div>
@@ -90,7 +102,7 @@ export function StatsCards({ refreshTrigger, isAuthenticated }: StatsCardsProps)
 
   if (error) {
     return (
-      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
         <Card className="col-span-full">
           <CardContent className="pt-6">
             <div className="text-center text-red-500">
@@ -110,7 +122,7 @@ export function StatsCards({ refreshTrigger, isAuthenticated }: StatsCardsProps)
   }
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
       {items.map((i) => (
         <Card key={i.title} className="hover:shadow-md" style={{ boxShadow: "var(--shadow-elevated)" }}>
           <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
@@ -146,7 +158,7 @@ export function StatsCards({ refreshTrigger, isAuthenticated }: StatsCardsProps)
             </div>
             <p className="text-xs text-muted-foreground flex items-center gap-1 mt-1">
               <TrendingUp className="h-3 w-3" />
-              Live data from database
+              {i.note || "Live data from database"}
             </p>
           </CardContent>
         </Card>
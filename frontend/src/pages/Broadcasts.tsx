@@ -192,11 +192,12 @@ export default function Broadcasts() {
                           <Mail className="h-4 w-4 text-blue-500" />
                           <p className="font-medium">Email Template</p>
                         </div>
-                        <p className="text-xs text-muted-foreground">Subject: 🎉 Congratulations! You're a Winner - Maidan 72 Club</p>
+                        <p className="text-xs text-muted-foreground">Subject: 🎉 Congratulations! You're a Winner - {"{contest}"}</p>
                         <Separator />
                         <div className="text-muted-foreground text-xs">
                           <p>• Professional HTML email with winner details</p>
                           <p>• Personalized congratulations message</p>
+                          <p>• Worded for each winner's contest, signed by its team</p>
                           <p>• Instructions to claim prize</p>
                         </div>
                       </div>
@@ -4,11 +4,19 @@ import { StatsCards } from "@/components/dashboard/StatsCards";
 import { ChartsPanel } from "@/components/dashboard/ChartsPanel";
 import { RecentActivityTable, type Entry } from "@/components/dashboard/RecentActivityTable";
 import { QuickActions } from "@/components/dashboard/QuickActions";
+import { CodeLockoutsPanel } from "@/components/dashboard/CodeLockoutsPanel";
+import { CodeReviewQueue } from "@/components/dashboard/CodeReviewQueue";
+import { AbandonedRegistrationsPanel } from "@/components/dashboard/AbandonedRegistrationsPanel";
+import { MediaLibraryPanel } from "@/components/dashboard/MediaLibraryPanel";
+import { ContestsPanel } from "@/components/dashboard/ContestsPanel";
+import { CodeBatchesPanel } from "@/components/dashboard/CodeBatchesPanel";
 import { useEffect, useMemo, useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { getAuthSession, setAuthSession } from "@/utils/auth";
+import { type Contest } from "@/utils/contest";
 
 interface Winner {
   id: string;
@@ -67,6 +75,10 @@ const Index = () => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [password, setPassword] = useState("");
   const [passwordError, setPasswordError] = useState("");
+  const [contests, setContests] = useState<Contest[]>([]);
+  // null shows every contest
+  const [contestId, setContestId] = useState<number | null>(null);
+  const [contestsTrigger, setContestsTrigger] = useState(0);
   const data = useMemo(() => generateData(), []);
 
   const triggerRefresh = () => {
@@ -91,6 +103,26 @@ const Index = () => {
     setIsAuthenticated(isAuth);
   }, []);
 
+  useEffect(() => {
+    const fetchContests = async () => {
+      if (!isAuthenticated) return;
+
+      try {
+        const response = await fetch('https://api.maidan72club.in/api/contests');
+        if (response.ok) {
+          const data = await response.json();
+          setContests(data.contests);
+        }
+      } catch (error) {
+        console.error('Error fetching contests:', error);
+      }
+    };
+
+    fetchContests();
+  }, [isAuthenticated, contestsTrigger]);
+
+  const selectedContest = contests.find((contest) => contest.id === contestId);
+
   useEffect(() => {
     const id = setTimeout(() => setLoading(false), 700);
     return () => clearTimeout(id);
@@ -140,22 +172,49 @@ const Index = () => {
           <div className="container flex h-16 items-center justify-between px-6">
             <div className="space-y-1">
               <h1 className="text-2xl font-heading font-semibold text-foreground">Admin Dashboard</h1>
-              <p className="text-base text-muted-foreground">Maidan 72 Club</p>
+              <p className="text-base text-muted-foreground">{selectedContest?.name || "All contests"}</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Select
+                value={contestId === null ? "all" : String(contestId)}
+                onValueChange={(value) => {
+                  setContestId(value === "all" ? null : Number(value));
+                  setWinners([]);
+                }}
+              >
+                <SelectTrigger className="w-48">
+                  <SelectValue placeholder="Contest" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All contests</SelectItem>
+                  {contests.map((contest) => (
+                    <SelectItem key={contest.id} value={String(contest.id)}>{contest.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <ModeToggle />
             </div>
-            <ModeToggle />
           </div>
         </header>
         
         <main className="container px-6 py-6 space-y-6">
-          <StatsCards refreshTrigger={refreshTrigger} isAuthenticated={isAuthenticated} />
+          <StatsCards refreshTrigger={refreshTrigger} isAuthenticated={isAuthenticated} contestId={contestId} />
           <QuickActions 
             winners={winners} 
             setWinners={setWinners} 
             onWinnersUpdated={triggerRefresh} 
             isAuthenticated={isAuthenticated} 
+            contestId={contestId}
+            contest={selectedContest}
           />
-          <ChartsPanel isAuthenticated={isAuthenticated} />
-          <RecentActivityTable isAuthenticated={isAuthenticated} />
+          <ChartsPanel isAuthenticated={isAuthenticated} contestId={contestId} />
+          <ContestsPanel contests={contests} onContestsChanged={() => setContestsTrigger((n) => n + 1)} />
+          <CodeBatchesPanel isAuthenticated={isAuthenticated} contestId={contestId} />
+          <CodeReviewQueue isAuthenticated={isAuthenticated} />
+          <RecentActivityTable isAuthenticated={isAuthenticated} contestId={contestId} />
+          <AbandonedRegistrationsPanel isAuthenticated={isAuthenticated} />
+          <CodeLockoutsPanel isAuthenticated={isAuthenticated} />
+          <MediaLibraryPanel isAuthenticated={isAuthenticated} />
         </main>
       </div>
     </div>
@@ -0,0 +1,34 @@
+// Contests as returned by GET /api/contests
+export interface Contest {
+  id: number;
+  name: string;
+  brand: string | null;
+  starts_at: string | null;
+  ends_at: string | null;
+  active: boolean;
+  copy: Record<string, string>;
+  // Codes one participant may register; null is no limit
+  max_entries: number | null;
+  codes: number;
+  registrations: number;
+  winners: number;
+}
+
+// Query string that narrows a dashboard API call to one contest; null means all contests
+export const contestQuery = (contestId: number | null): string =>
+  contestId === null ? "" : `?contest=${contestId}`;
+
+// The contest's name and sign-off as the winner email and WhatsApp message
+// word them (winnerNotifications.js), with the same fallbacks
+export const contestNames = (contest?: Contest | null) => ({
+  contest: contest?.name || "the contest",
+  team: contest?.name ? `${contest.name} Team` : "The Team",
+});
+
+// A contest's name as part of a file name, e.g. "Summer Promo" → "summer_promo"
+export const contestFileName = (contest?: Contest | null): string => {
+  if (!contest) {
+    return "all_contests";
+  }
+  return contest.name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "contest";
+};